@@ -1,31 +1,113 @@
 import React from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
-import { Container } from '@mui/material';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
+import { Container, Box, CircularProgress } from '@mui/material';
 import { useAuth } from './contexts/AuthContext';
 import Navbar from './components/Navbar';
 import Login from './components/Login';
 import Dashboard from './components/Dashboard';
 import ApiExplorer from './components/ApiExplorer';
+import SessionTimeoutDialog from './components/SessionTimeoutDialog';
+import ReauthDialog from './components/ReauthDialog';
+import RequirePermission from './components/RequirePermission';
+import BinderList from './components/binders/BinderList';
+import BinderDetail from './components/binders/BinderDetail';
+import CreateBinderWizard from './components/binders/CreateBinderWizard';
+import BinderPages from './components/source/BinderPages';
+import PageDesigner from './components/source/PageDesigner';
+import HeaderFooterEditor from './components/source/HeaderFooterEditor';
+import TemplateLibrary from './components/source/TemplateLibrary';
+import { PERMISSIONS } from './services/permissions';
 
 function App() {
-  const { user } = useAuth();
+  const { user, loading } = useAuth();
+  const location = useLocation();
+  // Where RequirePermission or the re-login dialog sent the user from
+  const returnTo = location.state?.from || '/dashboard';
+
+  // Hold routing until the stored session has been validated
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="100vh">
+        <CircularProgress />
+      </Box>
+    );
+  }
 
   return (
     <div className="App">
       {user && <Navbar />}
+      {user && <SessionTimeoutDialog />}
+      {user && <ReauthDialog />}
       <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
         <Routes>
           <Route 
             path="/login" 
-            element={user ? <Navigate to="/dashboard" /> : <Login />} 
+            element={user ? <Navigate to={returnTo} replace /> : <Login />} 
           />
           <Route 
             path="/dashboard" 
-            element={user ? <Dashboard /> : <Navigate to="/login" />} 
+            element={<RequirePermission><Dashboard /></RequirePermission>} 
           />
           <Route 
             path="/api-explorer" 
-            element={user ? <ApiExplorer /> : <Navigate to="/login" />} 
+            element={<RequirePermission><ApiExplorer /></RequirePermission>} 
+          />
+          <Route 
+            path="/binders" 
+            element={
+              // View rights are granted per binder, so the list only needs a signed-in user
+              <RequirePermission>
+                <BinderList />
+              </RequirePermission>
+            } 
+          />
+          <Route 
+            path="/binders/new" 
+            element={
+              <RequirePermission permission={PERMISSIONS.BINDER_CREATE}>
+                <CreateBinderWizard />
+              </RequirePermission>
+            } 
+          />
+          <Route 
+            path="/binders/:binderId" 
+            element={
+              <RequirePermission permission={PERMISSIONS.BINDER_VIEW} binderParam="binderId">
+                <BinderDetail />
+              </RequirePermission>
+            } 
+          />
+          <Route 
+            path="/binders/:binderId/pages/:pageId?" 
+            element={
+              <RequirePermission permission={PERMISSIONS.BINDER_VIEW} binderParam="binderId">
+                <BinderPages />
+              </RequirePermission>
+            } 
+          />
+          <Route 
+            path="/binders/:binderId/header-footer" 
+            element={
+              <RequirePermission permission={PERMISSIONS.BINDER_EDIT} binderParam="binderId">
+                <HeaderFooterEditor />
+              </RequirePermission>
+            } 
+          />
+          <Route 
+            path="/binders/:binderId/pages/:pageId/design" 
+            element={
+              <RequirePermission permission={PERMISSIONS.BINDER_EDIT} binderParam="binderId">
+                <PageDesigner />
+              </RequirePermission>
+            } 
+          />
+          <Route 
+            path="/templates" 
+            element={
+              <RequirePermission>
+                <TemplateLibrary />
+              </RequirePermission>
+            } 
           />
           <Route 
             path="/" 
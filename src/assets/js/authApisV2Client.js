@@ -6,8 +6,16 @@ var Auth = (function () {
     // (Kept for renderButton fallback themes; can be blank if using password-less only.)
     var CLIENT_ID = '433232869281-jr409nki449q55oclm7chet102inc6tp.apps.googleusercontent.com';
 
-    // Endpoints - auto-detect API server or use configured base
-    var API_BASE_URL = (function () {
+    // Endpoints - use the environment selected in the React app (src/config/environments.js),
+    // otherwise auto-detect the API server
+    function getApiBaseUrl() {
+        if (window.StatApiConfig && typeof window.StatApiConfig.getApiBaseUrl === 'function') {
+            return window.StatApiConfig.getApiBaseUrl();
+        }
+        try {
+            var stored = localStorage.getItem('apiBaseUrl');
+            if (stored) { return stored; }
+        } catch (e) { /* ignore */ }
         // If we're on localhost:5500 (VS Code Live Server), point to the API server
         if (window.location.hostname === '127.0.0.1' || window.location.hostname === 'localhost') {
             // Check if we're on a non-standard port (like 5500 for Live Server)
@@ -17,10 +25,15 @@ var Auth = (function () {
         }
         // Otherwise use relative paths (same origin)
         return '';
-    })();
-    var AUTH_EXCHANGE_ENDPOINT = API_BASE_URL + '/api/v1/users/Authenticate'; // Expects { idToken } and returns local token/guid
+    }
+    var AUTH_EXCHANGE_PATH = '/api/v1/users/Authenticate'; // Expects { idToken } and returns local token/guid
+
+    // Prefix root-relative endpoints with the API base URL
+    function apiUrl(endpoint) {
+        return endpoint.charAt(0) === '/' ? getApiBaseUrl() + endpoint : endpoint;
+    }
 
-    console.log('[Auth] Using API base URL:', API_BASE_URL || '(relative)');
+    console.log('[Auth] Using API base URL:', getApiBaseUrl() || '(relative)');
 
     // State
     var _localToken = null;      // local session token/guid (preferred for Authorization)
@@ -31,8 +44,9 @@ var Auth = (function () {
     var _gsiInitialized = false; // google.accounts.id.initialize called
     var _renderedContainer = null; // last rendered button container
 
-    // Storage keys
-    var STORAGE_LOCAL_TOKEN = 'statSessionToken';
+    // Storage keys - shared with the React app (src/services/authToken.js)
+    var STORAGE_LOCAL_TOKEN = 'authToken';
+    var LEGACY_SESSION_TOKEN = 'statSessionToken';
 
     function loadGsiScript() {
         if (window.google && window.google.accounts && window.google.accounts.id) {
@@ -75,18 +89,62 @@ var Auth = (function () {
     function setLocalToken(token) {
         _localToken = token || null;
         try {
-            if (token) { sessionStorage.setItem(STORAGE_LOCAL_TOKEN, token); }
-            else { sessionStorage.removeItem(STORAGE_LOCAL_TOKEN); }
+            if (token) { localStorage.setItem(STORAGE_LOCAL_TOKEN, token); }
+            else { localStorage.removeItem(STORAGE_LOCAL_TOKEN); }
+            sessionStorage.removeItem(LEGACY_SESSION_TOKEN);
+        } catch (e) { /* ignore */ }
+    }
+
+    // Cross-tab session events, shared with the React app (src/services/sessionSync.js)
+    var _sessionChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('stat-session') : null;
+    var _tabId = Math.random().toString(36).slice(2);
+
+    function broadcastSession(type, payload) {
+        if (!_sessionChannel) { return; } // other tabs still see the token change via the storage event
+        try {
+            _sessionChannel.postMessage(Object.assign({ type: type, tabId: _tabId, sentAt: Date.now() }, payload || {}));
         } catch (e) { /* ignore */ }
     }
 
+    function dispatchAuthState(loggedIn) {
+        try {
+            window.dispatchEvent(new CustomEvent('authStateChanged', { detail: { loggedIn: loggedIn, user: _user } }));
+        } catch (e) { /* ignore */ }
+    }
+
+    function handleRemoteSession(message) {
+        if (!message || message.tabId === _tabId) { return; }
+        if (message.type === 'logout' && _localToken) {
+            _localToken = null;
+            _user = null;
+            dispatchAuthState(false);
+        } else if (message.type === 'login' && message.token && message.token !== _localToken) {
+            _localToken = message.token;
+            _user = message.user || null;
+            dispatchAuthState(true);
+        }
+    }
+
+    if (_sessionChannel) {
+        _sessionChannel.addEventListener('message', function (e) { handleRemoteSession(e.data); });
+    }
+    window.addEventListener('storage', function (e) {
+        if (e.key !== STORAGE_LOCAL_TOKEN) { return; }
+        handleRemoteSession(e.newValue ? { type: 'login', token: e.newValue } : { type: 'logout' });
+    });
+
     function setLocalUser(user) {
         _user = user || null;
     }
 
     function loadTokensFromStorage() {
         try {
-            var lt = sessionStorage.getItem(STORAGE_LOCAL_TOKEN);
+            var lt = localStorage.getItem(STORAGE_LOCAL_TOKEN);
+            if (!lt) {
+                // Adopt a token stored by older builds of this client
+                lt = sessionStorage.getItem(LEGACY_SESSION_TOKEN);
+                if (lt) { setLocalToken(lt); }
+            }
             _localToken = lt || null;
             _user = null; // user info is derived during login; not persisted client-side
         } catch (e) { /* ignore */ }
@@ -101,7 +159,7 @@ var Auth = (function () {
     function exchangeGoogleTokenWithServer(idToken) {
         // Posts Google ID token to server; expects { guid | token | sessionToken }
         console.log('[Auth] Exchanging Google token with server...');
-        return fetch(AUTH_EXCHANGE_ENDPOINT, {
+        return fetch(apiUrl(AUTH_EXCHANGE_PATH), {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ idToken: idToken })
@@ -155,11 +213,9 @@ var Auth = (function () {
                             _user = tokenData.user;
                         }
                         console.log('[Auth] Login successful, user:', _user);
-                        // Dispatch event for UI updates
-                        try {
-                            var event = new CustomEvent('authStateChanged', { detail: { loggedIn: true, user: _user } });
-                            window.dispatchEvent(event);
-                        } catch (e) { /* ignore */ }
+                        // Dispatch event for UI updates, here and in other tabs
+                        dispatchAuthState(true);
+                        broadcastSession('login', { token: _localToken, user: _user });
                         if (_pendingResolve) { _pendingResolve(_user); }
                     })
                     .catch(function (err) { if (_pendingReject) { _pendingReject(err); } })
@@ -211,6 +267,7 @@ var Auth = (function () {
 
             setLocalToken(null);
             _user = null;
+            broadcastSession('logout');
             resolve();
         });
     }
@@ -221,7 +278,7 @@ var Auth = (function () {
 
     function authGet(endpoint) {
         if (!_localToken) { return Promise.reject(new Error('Not authenticated')); }
-        return fetch(endpoint, {
+        return fetch(apiUrl(endpoint), {
             headers: getAuthHeader()
         }).then(function (res) {
             if (!res.ok) {
@@ -233,7 +290,7 @@ var Auth = (function () {
 
     function authPost(endpoint, body) {
         if (!_localToken) { return Promise.reject(new Error('Not authenticated')); }
-        return fetch(endpoint, {
+        return fetch(apiUrl(endpoint), {
             method: 'POST',
             headers: Object.assign({ 'Content-Type': 'application/json' }, getAuthHeader()),
             body: JSON.stringify(body || {})
@@ -281,7 +338,7 @@ var Auth = (function () {
     function validateAuth() {
         // /api/v1/users/ValidateSession
         if (!_localToken) { return Promise.resolve(false); }
-        return fetch(API_BASE_URL + '/api/v1/users/ValidateSession', {
+        return fetch(apiUrl('/api/v1/users/ValidateSession'), {
             headers: getAuthHeader()
         }).then(async function (res) {
             if (!res.ok) {
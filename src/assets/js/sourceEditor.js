@@ -86,49 +86,42 @@
             return params.get(name);
         }
 
+        var SOURCE_API = '/api/v1/source';
+
+        function showLoadError(message, err) {
+            status.className = 'alert alert-danger';
+            status.textContent = message;
+            console.error(message, err);
+        }
+
         function loadBinders() {
-            // Strategy: If binderId is provided in querystring, load its pages (simple view)
+            // If binderId is provided in querystring, load its pages (simple view);
+            // otherwise list the binders the user can see
             var binderId = getQueryParam('binderId');
-            if (binderId && typeof BinderApisV2Client === 'function') {
-                try {
-                    var client = new BinderApisV2Client();
-                    client.getBinderPages(binderId, { simple: true, onlyActive: false })
-                        .then(function (pages) {
-                            renderBinders(Array.isArray(pages) ? pages : []);
-                        }, function (err) {
-                            status.className = 'alert alert-danger';
-                            status.textContent = 'Failed to load binder pages.';
-                            console.error('getBinderPages error', err);
-                        });
-                    return;
-                } catch (e) {
-                    // fall through to message
-                }
+            if (binderId) {
+                var pagesUrl = SOURCE_API + '/GetBinderPages/' + encodeURIComponent(binderId) +
+                    '?simple=true&onlyActive=false';
+                Auth.authGet(pagesUrl)
+                    .then(function (pages) {
+                        renderBinders(Array.isArray(pages) ? pages : []);
+                    }, function (err) {
+                        showLoadError('Failed to load binder pages.', err);
+                    });
+                return;
             }
 
-            // If no binderId, show list of accessible binders
-            if (typeof BinderApisV2Client === 'function') {
-                try {
-                    var clientList = new BinderApisV2Client();
-                    if (clientList.listBinders) {
-                        clientList.listBinders().then(function (list) {
-                            if (Array.isArray(list) && list.length) {
-                                renderBinders(list);
-                            } else {
-                                status.className = 'alert alert-warning';
-                                status.textContent = 'No binders available.';
-                            }
-                        }, function (err) {
-                            status.className = 'alert alert-danger';
-                            status.textContent = 'Failed to list binders.';
-                            console.error('listBinders error', err);
-                        });
-                        return;
+            Auth.authGet(SOURCE_API + '/ListBinders')
+                .then(function (list) {
+                    if (Array.isArray(list) && list.length) {
+                        renderBinders(list);
+                    } else {
+                        status.className = 'alert alert-warning';
+                        status.textContent = 'No binders available. Provide a binderId in the URL to view pages, ' +
+                            'e.g. ?binderId=123';
                     }
-                } catch (e) { /* ignore */ }
-            }
-            status.className = 'alert alert-warning';
-            status.textContent = 'Provide a binderId in the URL to view pages, e.g. ?binderId=123';
+                }, function (err) {
+                    showLoadError('Failed to list binders.', err);
+                });
         }
 
         function loadCurrentUser() {
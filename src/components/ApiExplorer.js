@@ -18,6 +18,7 @@ import {
 } from '@mui/material';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
 import { apiService } from '../services/apiService';
+import { getActiveEnvironment } from '../config/environments';
 
 const ApiExplorer = () => {
   const [endpoint, setEndpoint] = useState('');
@@ -113,7 +114,7 @@ const ApiExplorer = () => {
       </Typography>
       
       <Typography variant="body1" paragraph>
-        Explore and test endpoints from your backend server at https://www.statresearch.com:3001
+        Explore and test endpoints from your backend server at {getActiveEnvironment().baseUrl}
       </Typography>
 
       {/* Discovered Endpoints Section */}
@@ -9,7 +9,8 @@ import {
   Alert,
   CircularProgress
 } from '@mui/material';
-import { apiService } from '../services/apiService';
+import { apiService, isRequestCanceled } from '../services/apiService';
+import { getActiveEnvironment } from '../config/environments';
 
 const Dashboard = () => {
   const [profile, setProfile] = useState(null);
@@ -17,19 +18,28 @@ const Dashboard = () => {
   const [error, setError] = useState('');
 
   useEffect(() => {
-    fetchProfile();
+    // Abort the load if the user navigates away first
+    const controller = new AbortController();
+    fetchProfile(controller.signal);
+    return () => controller.abort();
   }, []);
 
-  const fetchProfile = async () => {
+  const fetchProfile = async (signal) => {
     try {
       setLoading(true);
-      const response = await apiService.getProfile();
+      setError('');
+      const response = await apiService.getProfile({ signal });
       setProfile(response.data);
     } catch (error) {
+      if (isRequestCanceled(error)) {
+        return;
+      }
       console.error('Failed to fetch profile:', error);
       setError('Failed to load profile data');
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+      }
     }
   };
 
@@ -64,7 +74,7 @@ const Dashboard = () => {
                 This is your dashboard where you can manage your account and explore the available API endpoints.
               </Typography>
               <Typography variant="body2" color="text.secondary">
-                Backend Server: https://www.statresearch.com:3001
+                Backend Server: {getActiveEnvironment().baseUrl} ({getActiveEnvironment().label})
               </Typography>
             </CardContent>
           </Card>
@@ -90,7 +100,7 @@ const Dashboard = () => {
               )}
               <Button 
                 variant="outlined" 
-                onClick={fetchProfile} 
+                onClick={() => fetchProfile()} 
                 sx={{ mt: 2 }}
                 disabled={loading}
               >
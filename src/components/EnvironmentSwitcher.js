@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { Chip, Menu, MenuItem, ListItemText, Divider } from '@mui/material';
+import {
+  getEnvironments,
+  getActiveEnvironment,
+  setActiveEnvironment
+} from '../config/environments';
+import { isMockModeEnabled, setMockModeEnabled } from '../mocks/mockMode';
+
+// Navbar badge showing the active backend; click to switch environments
+const EnvironmentSwitcher = () => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const environments = getEnvironments();
+  const active = getActiveEnvironment();
+  const mockMode = isMockModeEnabled();
+
+  const handleSelect = (name) => {
+    setAnchorEl(null);
+    if (mockMode) {
+      setMockModeEnabled(false);
+    }
+    setActiveEnvironment(name);
+  };
+
+  return (
+    <>
+      <Chip
+        label={mockMode ? 'Mock' : active.label}
+        color={mockMode ? 'info' : active.color}
+        size="small"
+        title={mockMode ? 'Serving fixture data from the in-browser mock backend' : active.baseUrl}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        sx={{ fontWeight: 'bold', alignSelf: 'center' }}
+      />
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {environments.map((environment) => (
+          <MenuItem
+            key={environment.name}
+            selected={!mockMode && environment.name === active.name}
+            onClick={() => handleSelect(environment.name)}
+          >
+            <ListItemText primary={environment.label} secondary={environment.baseUrl} />
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem selected={mockMode} onClick={() => setMockModeEnabled(!mockMode)}>
+          <ListItemText
+            primary={mockMode ? 'Leave mock mode' : 'Mock backend'}
+            secondary="Fixture data, no server required"
+          />
+        </MenuItem>
+      </Menu>
+    </>
+  );
+};
+
+export default EnvironmentSwitcher;
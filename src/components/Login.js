@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Box,
   Paper,
@@ -6,17 +6,30 @@ import {
   Button,
   Typography,
   Alert,
-  CircularProgress
+  CircularProgress,
+  Divider
 } from '@mui/material';
 import { useAuth } from '../contexts/AuthContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 
 const Login = () => {
   const [credentials, setCredentials] = useState({ username: '', password: '' });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const [googleUnavailable, setGoogleUnavailable] = useState(false);
+  const googleButtonRef = useRef(null);
+  const { login, renderGoogleButton, sessionNotice } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+
+  useEffect(() => {
+    // A successful Google sign-in sets the user, and App redirects away from /login
+    renderGoogleButton(googleButtonRef.current, { onError: setError })
+      .catch((err) => {
+        console.error('Google Sign-In unavailable:', err);
+        setGoogleUnavailable(true);
+      });
+  }, []);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -26,7 +39,8 @@ const Login = () => {
     const result = await login(credentials);
     
     if (result.success) {
-      navigate('/dashboard');
+      // Return to the page that sent the user here, if any
+      navigate(location.state?.from || '/dashboard', { replace: true });
     } else {
       setError(result.error);
     }
@@ -53,6 +67,12 @@ const Login = () => {
           Login
         </Typography>
         
+        {sessionNotice && !error && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {sessionNotice}
+          </Alert>
+        )}
+
         {error && (
           <Alert severity="error" sx={{ mb: 2 }}>
             {error}
@@ -94,6 +114,13 @@ const Login = () => {
           </Button>
         </form>
 
+        {!googleUnavailable && (
+          <>
+            <Divider sx={{ mb: 2 }}>or</Divider>
+            <Box ref={googleButtonRef} sx={{ display: 'flex', justifyContent: 'center', mb: 2 }} />
+          </>
+        )}
+
         <Typography variant="body2" color="text.secondary" align="center">
           Enter your credentials to access the Stat API
         </Typography>
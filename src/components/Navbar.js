@@ -2,6 +2,7 @@ import React from 'react';
 import { AppBar, Toolbar, Typography, Button, Box } from '@mui/material';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import EnvironmentSwitcher from './EnvironmentSwitcher';
 
 const Navbar = () => {
   const { logout } = useAuth();
@@ -19,9 +20,16 @@ const Navbar = () => {
           Stat API Frontend
         </Typography>
         <Box sx={{ display: 'flex', gap: 2 }}>
+          <EnvironmentSwitcher />
           <Button color="inherit" onClick={() => navigate('/dashboard')}>
             Dashboard
           </Button>
+          <Button color="inherit" onClick={() => navigate('/binders')}>
+            Binders
+          </Button>
+          <Button color="inherit" onClick={() => navigate('/templates')}>
+            Templates
+          </Button>
           <Button color="inherit" onClick={() => navigate('/api-explorer')}>
             API Explorer
           </Button>
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Button,
+  Alert,
+  Box,
+  Divider,
+  CircularProgress
+} from '@mui/material';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { getUserId } from '../services/permissions';
+
+// Replayed requests must belong to the same person who started them; without both ids
+// there is no telling, so the queue is dropped
+const isSameUser = (previous, next) => {
+  const before = getUserId(previous);
+  const after = getUserId(next);
+  return Boolean(before && after) && String(before) === String(after);
+};
+
+// Shown when a request hits a 401 mid-session. The page underneath stays mounted,
+// so the route and any unsaved input survive; failed requests replay on success.
+const ReauthDialog = () => {
+  const { user, login, renderGoogleButton, reauthenticating, completeReauthentication, logout } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const googleButtonRef = useRef(null);
+  // The user whose session expired, captured when the dialog opens
+  const previousUserRef = useRef(null);
+
+  const finish = (nextUser) => {
+    if (!isSameUser(previousUserRef.current, nextUser)) {
+      // A different (or unidentified) account signed in: drop the queued work rather than replay it
+      completeReauthentication(false);
+      navigate('/dashboard');
+      return;
+    }
+    completeReauthentication(true);
+  };
+
+  useEffect(() => {
+    if (!reauthenticating) {
+      return;
+    }
+    previousUserRef.current = user;
+    setCredentials({ username: user?.username || user?.email || '', password: '' });
+    setError('');
+
+    // The Dialog mounts its content after opening; wait a tick for the container
+    const timer = setTimeout(() => {
+      if (googleButtonRef.current) {
+        renderGoogleButton(googleButtonRef.current, { onSuccess: finish, onError: setError })
+          .catch((err) => console.error('Google Sign-In unavailable:', err));
+      }
+    });
+    return () => clearTimeout(timer);
+  }, [reauthenticating]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+
+    const result = await login(credentials);
+    setSubmitting(false);
+
+    if (result.success) {
+      finish(result.user);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setCredentials((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSignOut = () => {
+    completeReauthentication(false);
+    logout('Please sign in again to continue.');
+    navigate('/login', { state: { from: location } });
+  };
+
+  return (
+    <Dialog open={reauthenticating} maxWidth="xs" fullWidth disableEscapeKeyDown>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>Sign in to continue</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 1 }}>
+            Your session has expired. Sign in again and you will pick up right where you left
+            off; nothing on this page has been lost.
+          </DialogContentText>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 1 }}>
+              {error}
+            </Alert>
+          )}
+
+          <TextField
+            fullWidth
+            label="Username"
+            name="username"
+            value={credentials.username}
+            onChange={handleChange}
+            margin="dense"
+            required
+            disabled={submitting}
+          />
+          <TextField
+            fullWidth
+            autoFocus
+            label="Password"
+            name="password"
+            type="password"
+            value={credentials.password}
+            onChange={handleChange}
+            margin="dense"
+            required
+            disabled={submitting}
+          />
+
+          <Divider sx={{ my: 2 }}>or</Divider>
+          <Box ref={googleButtonRef} sx={{ display: 'flex', justifyContent: 'center' }} />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleSignOut} disabled={submitting}>
+            Sign out
+          </Button>
+          <Button type="submit" variant="contained" disabled={submitting}>
+            {submitting ? <CircularProgress size={24} /> : 'Sign in'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default ReauthDialog;
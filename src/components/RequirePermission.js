@@ -0,0 +1,59 @@
+import React from 'react';
+import { Navigate, useLocation, useParams } from 'react-router-dom';
+import { Box, Alert, Button, CircularProgress } from '@mui/material';
+import { useAuth } from '../contexts/AuthContext';
+import { useBinderPermissions } from '../contexts/PermissionContext';
+
+// Route guard. Without a permission it only requires a signed-in user.
+// binderParam names the route parameter holding the binder id, for binder-scoped checks.
+const RequirePermission = ({ permission, binderParam, children }) => {
+  const { user } = useAuth();
+  const location = useLocation();
+  const params = useParams();
+  const binderId = binderParam ? params[binderParam] : undefined;
+  const { can, loading, error, retry } = useBinderPermissions(user ? binderId : undefined);
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  if (!permission) {
+    return children;
+  }
+
+  if (binderId && loading && !can(permission)) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="30vh">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error && !can(permission)) {
+    return (
+      <Alert
+        severity="error"
+        action={
+          <Button color="inherit" size="small" onClick={retry}>
+            Retry
+          </Button>
+        }
+      >
+        {error}
+      </Alert>
+    );
+  }
+
+  if (!can(permission)) {
+    return (
+      <Alert severity="warning">
+        You do not have permission to view this page. Contact the binder owner or an
+        administrator if you need access.
+      </Alert>
+    );
+  }
+
+  return children;
+};
+
+export default RequirePermission;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  LinearProgress
+} from '@mui/material';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth, IDLE_TIMEOUT_MS, SESSION_WARNING_MS } from '../contexts/AuthContext';
+import { useIdleTimer } from '../hooks/useIdleTimer';
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+// Warns before an idle timeout or server-side session expiry and signs the user
+// out when time runs out. Rendered once, while a user is signed in.
+const SessionTimeoutDialog = () => {
+  const { user, logout, extendSession, sessionExpiresAt } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  // The interval outlives in-app navigation, so it reads the current page from here
+  const locationRef = useRef(location);
+  locationRef.current = location;
+  const [remaining, setRemaining] = useState(null);
+  const [extending, setExtending] = useState(false);
+  const warningOpen = remaining !== null;
+  const { getLastActivity, resetActivity } = useIdleTimer({
+    enabled: Boolean(user),
+    paused: warningOpen
+  });
+
+  useEffect(() => {
+    if (!user) {
+      setRemaining(null);
+      return undefined;
+    }
+
+    const tick = () => {
+      const idleDeadline = getLastActivity() + IDLE_TIMEOUT_MS;
+      const deadline = sessionExpiresAt ? Math.min(idleDeadline, sessionExpiresAt) : idleDeadline;
+      const left = deadline - Date.now();
+
+      if (left <= 0) {
+        setRemaining(null);
+        logout('You were signed out because your session timed out.');
+        // Bring the user back to this page after they sign in again
+        navigate('/login', { state: { from: locationRef.current } });
+      } else if (left <= SESSION_WARNING_MS) {
+        setRemaining(left);
+      } else {
+        setRemaining(null);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [user, sessionExpiresAt]);
+
+  const handleStaySignedIn = async () => {
+    setExtending(true);
+    const extended = await extendSession();
+    setExtending(false);
+    if (extended) {
+      resetActivity();
+      setRemaining(null);
+    } else {
+      navigate('/login');
+    }
+  };
+
+  const handleSignOut = () => {
+    logout();
+    navigate('/login');
+  };
+
+  return (
+    <Dialog open={warningOpen} disableEscapeKeyDown>
+      <DialogTitle>Are you still there?</DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          For security you will be signed out in {formatRemaining(remaining || 0)}.
+          Any unsaved changes will be lost.
+        </DialogContentText>
+        <LinearProgress
+          variant="determinate"
+          value={((remaining || 0) / SESSION_WARNING_MS) * 100}
+          sx={{ mt: 2 }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleSignOut} disabled={extending}>
+          Sign out
+        </Button>
+        <Button variant="contained" onClick={handleStaySignedIn} disabled={extending}>
+          Stay signed in
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SessionTimeoutDialog;
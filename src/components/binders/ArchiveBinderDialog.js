@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+  Typography
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage, isUnsupportedEndpoint } from '../../services/apiService';
+import { validateFields } from '../../utils/validation';
+import { getBinderId, getBinderName } from '../../utils/binderFields';
+import { toPageArray } from '../source/sourceCellTypes';
+import { PAGE_STATUS, getPageStatus } from '../source/pageStatus';
+
+const ARCHIVE_REASON_MAX_LENGTH = 500;
+
+const REASON_FIELDS = [
+  { name: 'reason', label: 'Reason', required: true, maxLength: ARCHIVE_REASON_MAX_LENGTH }
+];
+
+const countPages = (pages) => ({
+  total: pages.length,
+  drafts: pages.filter((page) => getPageStatus(page) === PAGE_STATUS.DRAFT).length
+});
+
+// Archiving makes the whole binder read-only, so it takes a reason and the binder's
+// name typed back before the button enables. onArchived gets the server's response,
+// which may or may not be the updated binder.
+const ArchiveBinderDialog = ({ open, binder, onClose, onArchived }) => {
+  const binderId = getBinderId(binder);
+  const binderName = getBinderName(binder);
+  const [reason, setReason] = useState('');
+  const [confirmName, setConfirmName] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [pageCounts, setPageCounts] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+    setReason('');
+    setConfirmName('');
+    setFieldErrors({});
+    setError('');
+    setPageCounts(null);
+
+    const controller = new AbortController();
+    binderApi
+      .getBinderPages(binderId, { simple: true }, { signal: controller.signal })
+      .then((response) => setPageCounts(countPages(toPageArray(response))))
+      .catch((err) => {
+        if (!isRequestCanceled(err)) {
+          console.warn('Failed to count binder pages:', err);
+        }
+      });
+    return () => controller.abort();
+  }, [open, binderId]);
+
+  const nameMatches = confirmName.trim() === binderName.trim();
+
+  const handleArchive = async () => {
+    const errors = validateFields(REASON_FIELDS, { reason });
+    setFieldErrors(errors);
+    if (Object.keys(errors).length || !nameMatches) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const updated = await binderApi.archiveBinder(binderId, { reason: reason.trim() });
+      onArchived(updated);
+    } catch (err) {
+      console.error('Failed to archive binder:', err);
+      setError(getErrorMessage(err, 'Failed to archive binder'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Archive binder?</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          <Typography variant="body2" gutterBottom>
+            Once archived, <b>{binderName}</b> becomes read-only:
+          </Typography>
+          <ul style={{ margin: 0, paddingLeft: 20 }}>
+            <li>
+              {pageCounts
+                ? `${pageCounts.total} page${pageCounts.total === 1 ? '' : 's'} can no longer be designed, promoted or rescinded`
+                : 'Its pages can no longer be designed, promoted or rescinded'}
+            </li>
+            {pageCounts?.drafts > 0 && (
+              <li>
+                {pageCounts.drafts} draft page{pageCounts.drafts === 1 ? ' stays' : 's stay'} a draft
+              </li>
+            )}
+            <li>Captured entries can be viewed but not changed</li>
+            <li>Name, description, protocol, header and footer are locked</li>
+            <li>Members and ownership can no longer be changed</li>
+          </ul>
+        </Alert>
+        <DialogContentText sx={{ mb: 2 }}>
+          Pages can still be viewed, printed and exported.
+        </DialogContentText>
+        <TextField
+          label="Reason"
+          required
+          fullWidth
+          multiline
+          minRows={2}
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          error={Boolean(fieldErrors.reason)}
+          helperText={fieldErrors.reason || 'Kept with the binder'}
+          inputProps={{ maxLength: ARCHIVE_REASON_MAX_LENGTH }}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          label="Binder name"
+          fullWidth
+          value={confirmName}
+          onChange={(e) => setConfirmName(e.target.value)}
+          helperText={`Type "${binderName}" to confirm`}
+          autoComplete="off"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button variant="contained" color="error" onClick={handleArchive} disabled={saving || !nameMatches}>
+          Archive
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+// Brings an archived binder back to active, where the server supports it
+export const RestoreBinderDialog = ({ open, binder, onClose, onRestored }) => {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setError('');
+    }
+  }, [open]);
+
+  const handleRestore = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      onRestored(await binderApi.restoreBinder(getBinderId(binder)));
+    } catch (err) {
+      console.error('Failed to restore binder:', err);
+      setError(
+        isUnsupportedEndpoint(err)
+          ? 'This server does not support restoring archived binders.'
+          : getErrorMessage(err, 'Failed to restore binder')
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Restore binder?</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <DialogContentText>
+          {getBinderName(binder)} becomes active again, and members with edit rights can change its pages
+          and details.
+        </DialogContentText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button variant="contained" onClick={handleRestore} disabled={saving}>
+          Restore
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ArchiveBinderDialog;
@@ -0,0 +1,521 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Grid,
+  Card,
+  CardContent,
+  Chip,
+  Link,
+  Breadcrumbs,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { useBinderPermissions } from '../../contexts/PermissionContext';
+import { PERMISSIONS } from '../../services/permissions';
+import { OPTIONAL_ENDPOINTS } from '../../services/endpointSupport';
+import { useEndpointMissing } from '../../hooks/useEndpointMissing';
+import {
+  getBinderId,
+  getBinderName,
+  getBinderDescription,
+  getBinderStatus,
+  getArchiveInfo,
+  getProtocolInfo,
+  getUserDisplayName,
+  isBinderArchived,
+  normalizeBinder,
+  PROTOCOL_FIELDS
+} from '../../utils/binderFields';
+import EditableSection from './EditableSection';
+import BinderMembersPanel from './BinderMembersPanel';
+import ArchiveBinderDialog, { RestoreBinderDialog } from './ArchiveBinderDialog';
+import { exportBinderBundle, downloadBundle } from './binderBundle';
+
+const NAME_FIELDS = [{ name: 'name', label: 'Name', required: true, maxLength: 200 }];
+const DESCRIPTION_FIELDS = [
+  { name: 'description', label: 'Description', multiline: true, maxLength: 2000 }
+];
+
+const getEditableValues = (binder) => ({
+  name: getBinderName(binder),
+  description: getBinderDescription(binder),
+  ...getProtocolInfo(binder)
+});
+
+// Whether someone else changed these fields on the server since `base` was loaded.
+// Edits to other sections are not a conflict; the save response brings them in.
+const hasSectionChanged = (fields, base, latest) => {
+  const before = getEditableValues(base);
+  const after = getEditableValues(latest);
+  return fields.some((field) => (before[field.name] || '') !== (after[field.name] || ''));
+};
+
+// Writes changes to whichever key casing the binder already uses
+const applyChanges = (binder, changes) => {
+  const next = { ...binder };
+  Object.entries(changes).forEach(([key, value]) => {
+    const pascal = key.charAt(0).toUpperCase() + key.slice(1);
+    next[pascal in next ? pascal : key] = value;
+  });
+  return next;
+};
+
+const applyProtocolInfo = (binder, changes) => ({
+  ...binder,
+  protocolInfo: { ...getProtocolInfo(binder), ...changes }
+});
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const DetailRow = ({ label, children }) => (
+  <Box sx={{ display: 'flex', py: 0.5 }}>
+    <Typography variant="body2" color="text.secondary" sx={{ width: 160, flexShrink: 0 }}>
+      {label}
+    </Typography>
+    <Typography variant="body2" component="div">
+      {children || '—'}
+    </Typography>
+  </Box>
+);
+
+const BinderDetail = () => {
+  const { binderId } = useParams();
+  const { can } = useBinderPermissions(binderId);
+  const [binder, setBinder] = useState(null);
+  const [owner, setOwner] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // { title, fields, mine, theirs, resolve } while the overwrite warning is open
+  const [conflict, setConflict] = useState(null);
+  const [archiveOpen, setArchiveOpen] = useState(false);
+  const [restoreOpen, setRestoreOpen] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+  const headerFooterMissing = useEndpointMissing(OPTIONAL_ENDPOINTS.HEADER_FOOTER);
+  // The last copy we know the server had, to detect edits made elsewhere
+  const serverCopyRef = useRef(null);
+
+  const acceptServerCopy = (latest) => {
+    serverCopyRef.current = latest;
+    setBinder(latest);
+  };
+
+  // Uses a write's response when it is the binder; otherwise (empty, true, a status)
+  // loads the binder again so the page and the next save see the server's copy
+  const acceptWriteResponse = (response) => {
+    if (getBinderId(response)) {
+      acceptServerCopy(response);
+    } else {
+      binderApi
+        .getBinder(binderId, { dedupe: false })
+        .then(acceptServerCopy)
+        .catch(() => {});
+    }
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    setLoading(true);
+    setError('');
+
+    binderApi
+      .getBinder(binderId, { signal })
+      .then((response) => {
+        acceptServerCopy(response);
+        setOwner(response.owner || null);
+      })
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to load binder:', err);
+        setError(err.status === 404 ? 'Binder not found.' : getErrorMessage(err, 'Failed to load binder'));
+      })
+      .finally(() => {
+        if (!signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    binderApi
+      .getBinderOwner(binderId, { signal })
+      .then(setOwner)
+      .catch((err) => {
+        if (!isRequestCanceled(err)) {
+          console.warn('Failed to load binder owner:', err);
+        }
+      });
+
+    return () => controller.abort();
+  }, [binderId]);
+
+  const confirmOverwrite = (title, fields, mine, latest) =>
+    new Promise((resolve) => {
+      setConflict({ title, fields, mine, theirs: getEditableValues(latest), resolve });
+    });
+
+  const resolveConflict = (overwrite) => {
+    conflict.resolve(overwrite);
+    setConflict(null);
+  };
+
+  // Shows the new values at once, warns if someone else saved in the meantime,
+  // and puts the section back the way it was if the server rejects the change.
+  const saveSection = async ({ title, fields, values, request, apply = applyChanges }) => {
+    const current = getEditableValues(binder);
+    const previousValues = fields.reduce((prev, field) => {
+      prev[field.name] = current[field.name];
+      return prev;
+    }, {});
+
+    setBinder((shown) => apply(shown, values));
+
+    let latest = null;
+    try {
+      latest = await binderApi.getBinder(binderId, { dedupe: false });
+    } catch (err) {
+      // Could not check; let the save go ahead and the server decide
+    }
+    if (latest && serverCopyRef.current && hasSectionChanged(fields, serverCopyRef.current, latest)) {
+      const overwrite = await confirmOverwrite(title, fields, values, latest);
+      if (!overwrite) {
+        // Show what is on the server now; the form reopens with the user's edits
+        acceptServerCopy(latest);
+        return false;
+      }
+    }
+
+    try {
+      acceptWriteResponse(await request(values));
+      return true;
+    } catch (err) {
+      setBinder((shown) => apply(shown, previousValues));
+      throw new Error(getErrorMessage(err, `Failed to save ${title.toLowerCase()}`));
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="50vh">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error || !binder) {
+    return (
+      <Box>
+        <Breadcrumbs sx={{ mb: 2 }}>
+          <Link component={RouterLink} to="/binders">
+            Binders
+          </Link>
+        </Breadcrumbs>
+        <Alert severity="error">{error || 'Binder not found.'}</Alert>
+      </Box>
+    );
+  }
+
+  const summary = normalizeBinder(binder);
+  const values = getEditableValues(binder);
+  const archived = isBinderArchived(binder);
+  const canEdit = can(PERMISSIONS.BINDER_EDIT) && !archived;
+  const canArchive = can(PERMISSIONS.BINDER_ARCHIVE);
+  const archiveInfo = getArchiveInfo(binder);
+  const study = binder.study || binder.Study || null;
+
+  const handleArchived = (updated) => {
+    setArchiveOpen(false);
+    acceptWriteResponse(updated);
+    setNotice('Binder archived.');
+  };
+
+  const handleRestored = (updated) => {
+    setRestoreOpen(false);
+    acceptWriteResponse(updated);
+    setNotice('Binder restored.');
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    setExportError('');
+    try {
+      const bundle = await exportBinderBundle(binderId);
+      downloadBundle(bundle);
+      setNotice(`Exported ${bundle.pages.length} page${bundle.pages.length === 1 ? '' : 's'}.`);
+    } catch (err) {
+      console.error('Failed to export binder:', err);
+      setExportError(getErrorMessage(err, 'Failed to export binder'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Box>
+      <Breadcrumbs sx={{ mb: 2 }}>
+        <Link component={RouterLink} to="/binders">
+          Binders
+        </Link>
+        <Typography color="text.primary">{summary.name}</Typography>
+      </Breadcrumbs>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Typography variant="h4" component="h1">
+          {summary.name}
+        </Typography>
+        <Chip
+          label={getBinderStatus(binder) || 'Active'}
+          color={archived ? 'default' : 'success'}
+          variant={archived ? 'outlined' : 'filled'}
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <Button
+          variant="contained"
+          component={RouterLink}
+          to={`/binders/${encodeURIComponent(binderId)}/pages`}
+        >
+          View pages
+        </Button>
+        <Button component={RouterLink} to={`/binders/${encodeURIComponent(binderId)}/pages?export=1`}>
+          Export / Print
+        </Button>
+        <Button onClick={handleExport} disabled={exporting}>
+          {exporting ? 'Exporting...' : 'Export binder'}
+        </Button>
+        {canEdit && !headerFooterMissing && (
+          <Button component={RouterLink} to={`/binders/${encodeURIComponent(binderId)}/header-footer`}>
+            Header and footer
+          </Button>
+        )}
+        {canArchive && !archived && (
+          <Button color="error" onClick={() => setArchiveOpen(true)}>
+            Archive
+          </Button>
+        )}
+      </Box>
+
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice('')}>
+          {notice}
+        </Alert>
+      )}
+      {exportError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setExportError('')}>
+          {exportError}
+        </Alert>
+      )}
+      {archived && (
+        <Alert
+          severity="info"
+          sx={{ mb: 2 }}
+          action={
+            canArchive && (
+              <Button color="inherit" size="small" onClick={() => setRestoreOpen(true)}>
+                Restore
+              </Button>
+            )
+          }
+        >
+          This binder is archived and read-only.
+          {archiveInfo.archivedAt &&
+            ` Archived ${formatDateTime(archiveInfo.archivedAt)}${
+              archiveInfo.archivedByName ? ` by ${archiveInfo.archivedByName}` : ''
+            }.`}
+          {archiveInfo.reason && (
+            <Typography variant="body2" sx={{ mt: 0.5 }}>
+              Reason: {archiveInfo.reason}
+            </Typography>
+          )}
+        </Alert>
+      )}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={7}>
+          <EditableSection
+            title="Name"
+            fields={NAME_FIELDS}
+            values={{ name: values.name }}
+            canEdit={canEdit}
+            onSave={(next) =>
+              saveSection({
+                title: 'Name',
+                fields: NAME_FIELDS,
+                values: { name: next.name.trim() },
+                request: ({ name }) => binderApi.updateBinderName({ binderId, name })
+              })
+            }
+            renderValue={({ name }) => <Typography variant="body1">{name}</Typography>}
+          />
+
+          <EditableSection
+            title="Description"
+            fields={DESCRIPTION_FIELDS}
+            values={{ description: values.description }}
+            canEdit={canEdit}
+            onSave={(next) =>
+              saveSection({
+                title: 'Description',
+                fields: DESCRIPTION_FIELDS,
+                values: next,
+                request: ({ description }) =>
+                  binderApi.updateBinderDescription({ binderId, description })
+              })
+            }
+            renderValue={({ description }) => (
+              <Typography
+                variant="body2"
+                color={description ? 'text.primary' : 'text.secondary'}
+                sx={{ whiteSpace: 'pre-wrap' }}
+              >
+                {description || 'No description.'}
+              </Typography>
+            )}
+          />
+
+          <EditableSection
+            title="Protocol"
+            fields={PROTOCOL_FIELDS}
+            values={getProtocolInfo(binder)}
+            canEdit={canEdit}
+            onSave={(next) =>
+              saveSection({
+                title: 'Protocol',
+                fields: PROTOCOL_FIELDS,
+                values: next,
+                apply: applyProtocolInfo,
+                request: (info) => binderApi.updateBinderProtocolInfo({ binderId, ...info })
+              })
+            }
+            renderValue={(info) => (
+              <Box>
+                {PROTOCOL_FIELDS.map((field) => (
+                  <DetailRow key={field.name} label={field.label}>
+                    {info[field.name]}
+                  </DetailRow>
+                ))}
+              </Box>
+            )}
+          />
+        </Grid>
+
+        <Grid item xs={12} md={5}>
+          <Card sx={{ mb: 2 }}>
+            <CardContent>
+              <Typography variant="h6" component="h2" gutterBottom>
+                Details
+              </Typography>
+              <DetailRow label="Binder ID">
+                <Box component="span" sx={{ fontFamily: 'monospace' }}>
+                  {summary.id}
+                </Box>
+              </DetailRow>
+              <DetailRow label="Owner">
+                {owner ? `${getUserDisplayName(owner)}${owner.email ? ` (${owner.email})` : ''}` : ''}
+              </DetailRow>
+              <DetailRow label="Created">{formatDateTime(binder.createdAt || binder.CreatedAt)}</DetailRow>
+              <DetailRow label="Last updated">{formatDateTime(summary.updatedAt)}</DetailRow>
+              {archived && (
+                <DetailRow label="Archived">{formatDateTime(archiveInfo.archivedAt)}</DetailRow>
+              )}
+            </CardContent>
+          </Card>
+
+          <Card sx={{ mb: 2 }}>
+            <CardContent>
+              <Typography variant="h6" component="h2" gutterBottom>
+                Study
+              </Typography>
+              {summary.studyId ? (
+                <Box>
+                  <DetailRow label="Study">{study?.name || study?.Name || summary.studyName}</DetailRow>
+                  <DetailRow label="Study ID">{summary.studyId}</DetailRow>
+                  <DetailRow label="Protocol number">{study?.protocolNumber}</DetailRow>
+                  <DetailRow label="Sponsor">{study?.sponsor}</DetailRow>
+                </Box>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  Freestanding binder, not linked to a study.
+                </Typography>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      <BinderMembersPanel
+        binderId={binderId}
+        canManage={can(PERMISSIONS.BINDER_MANAGE_MEMBERS) && !archived}
+        canTransfer={can(PERMISSIONS.BINDER_TRANSFER_OWNERSHIP) && !archived}
+        onOwnerChanged={setOwner}
+      />
+
+      <ArchiveBinderDialog
+        open={archiveOpen}
+        binder={binder}
+        onClose={() => setArchiveOpen(false)}
+        onArchived={handleArchived}
+      />
+      <RestoreBinderDialog
+        open={restoreOpen}
+        binder={binder}
+        onClose={() => setRestoreOpen(false)}
+        onRestored={handleRestored}
+      />
+
+      <Dialog open={Boolean(conflict)} maxWidth="sm" fullWidth>
+        <DialogTitle>This binder changed since you opened it</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Someone else saved changes to this binder. Saving now will replace the current{' '}
+            {conflict?.title.toLowerCase()} on the server with yours.
+          </DialogContentText>
+          {conflict && (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Field</TableCell>
+                  <TableCell>On the server</TableCell>
+                  <TableCell>Yours</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {conflict.fields.map((field) => (
+                  <TableRow key={field.name}>
+                    <TableCell>{field.label}</TableCell>
+                    <TableCell>{conflict.theirs[field.name] || '—'}</TableCell>
+                    <TableCell>{conflict.mine[field.name] || '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => resolveConflict(false)}>Keep editing</Button>
+          <Button variant="contained" color="warning" onClick={() => resolveConflict(true)}>
+            Overwrite
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default BinderDetail;
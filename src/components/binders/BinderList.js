@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableSortLabel,
+  TablePagination,
+  Chip,
+  Link,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { usePermissions } from '../../contexts/PermissionContext';
+import { PERMISSIONS } from '../../services/permissions';
+import { toBinderArray, normalizeBinder } from '../../utils/binderFields';
+import ImportBinderDialog from './ImportBinderDialog';
+
+const STATUS_FILTERS = [
+  { value: 'active', label: 'Active', matches: (binder) => !binder.archived },
+  { value: 'archived', label: 'Archived', matches: (binder) => binder.archived },
+  { value: 'all', label: 'All', matches: () => true }
+];
+
+const COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'id', label: 'ID' },
+  { key: 'studyName', label: 'Study' },
+  { key: 'status', label: 'Status' },
+  { key: 'pageCount', label: 'Pages', numeric: true },
+  { key: 'updatedAt', label: 'Updated' }
+];
+
+// The archived tab dates binders by when they were archived
+const ARCHIVED_COLUMNS = COLUMNS.map((column) =>
+  column.key === 'updatedAt' ? { key: 'archivedAt', label: 'Archived' } : column
+);
+
+const ROWS_PER_PAGE_OPTIONS = [10, 25, 50];
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1;
+  if (b === null || b === undefined || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+const matchesSearch = (binder, search) => {
+  if (!search) return true;
+  const needle = search.toLowerCase();
+  return [binder.name, binder.id, binder.studyName, binder.protocolNumber, binder.ownerName]
+    .some((field) => field && String(field).toLowerCase().includes(needle));
+};
+
+// Search, filter, sort and page state live in the query string so the view
+// survives a reload and can be linked to.
+const BinderList = () => {
+  const navigate = useNavigate();
+  const { can } = usePermissions();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [binders, setBinders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [importOpen, setImportOpen] = useState(false);
+
+  const search = searchParams.get('q') || '';
+  const statusFilter = STATUS_FILTERS.find((option) => option.value === searchParams.get('status'))
+    ? searchParams.get('status')
+    : 'active';
+  const sortBy = searchParams.get('sort') || 'name';
+  const sortDirection = searchParams.get('dir') === 'desc' ? 'desc' : 'asc';
+  const page = Math.max(0, Number(searchParams.get('page')) || 0);
+  const rowsPerPage = ROWS_PER_PAGE_OPTIONS.includes(Number(searchParams.get('rows')))
+    ? Number(searchParams.get('rows'))
+    : ROWS_PER_PAGE_OPTIONS[0];
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === '' || value === null || value === undefined) {
+        next.delete(key);
+      } else {
+        next.set(key, String(value));
+      }
+    });
+    setSearchParams(next, { replace: true });
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError('');
+
+    binderApi
+      .listBinders({ signal: controller.signal })
+      .then((response) => setBinders(toBinderArray(response).map(normalizeBinder)))
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to list binders:', err);
+        setError(getErrorMessage(err, 'Failed to load binders'));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [reloadKey]);
+
+  const searched = useMemo(
+    () => binders.filter((binder) => matchesSearch(binder, search.trim())),
+    [binders, search]
+  );
+
+  const filtered = useMemo(() => {
+    const { matches } = STATUS_FILTERS.find((option) => option.value === statusFilter);
+    const rows = searched.filter(matches);
+    const direction = sortDirection === 'desc' ? -1 : 1;
+    return rows.sort((a, b) => direction * compareValues(a[sortBy], b[sortBy]));
+  }, [searched, statusFilter, sortBy, sortDirection]);
+
+  const columns = statusFilter === 'archived' ? ARCHIVED_COLUMNS : COLUMNS;
+  const dateColumn = columns[columns.length - 1];
+
+  // Keep the page in range when a filter shrinks the result set
+  const lastPage = Math.max(0, Math.ceil(filtered.length / rowsPerPage) - 1);
+  const currentPage = Math.min(page, lastPage);
+  const visible = filtered.slice(currentPage * rowsPerPage, (currentPage + 1) * rowsPerPage);
+
+  const handleSort = (key) => {
+    const direction = sortBy === key && sortDirection === 'asc' ? 'desc' : 'asc';
+    updateParams({ sort: key, dir: direction === 'asc' ? null : direction, page: null });
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h4" component="h1" sx={{ flexGrow: 1 }}>
+          Binders
+        </Typography>
+        {can(PERMISSIONS.BINDER_CREATE) && (
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button onClick={() => setImportOpen(true)}>Import binder</Button>
+            <Button variant="contained" onClick={() => navigate('/binders/new')}>
+              New binder
+            </Button>
+          </Box>
+        )}
+      </Box>
+
+      <Tabs
+        value={statusFilter}
+        onChange={(e, value) => updateParams({ status: value === 'active' ? null : value, page: null })}
+        sx={{ mb: 2 }}
+      >
+        {STATUS_FILTERS.map((option) => (
+          <Tab
+            key={option.value}
+            value={option.value}
+            label={loading ? option.label : `${option.label} (${searched.filter(option.matches).length})`}
+          />
+        ))}
+      </Tabs>
+
+      <Paper sx={{ p: 2, mb: 2, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          label="Search"
+          placeholder="Name, ID, study or protocol"
+          size="small"
+          value={search}
+          onChange={(e) => updateParams({ q: e.target.value, page: null })}
+          sx={{ flexGrow: 1, minWidth: 240 }}
+        />
+        <Button variant="outlined" onClick={() => setReloadKey((key) => key + 1)} disabled={loading}>
+          Refresh
+        </Button>
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              {columns.map((column) => (
+                <TableCell
+                  key={column.key}
+                  align={column.numeric ? 'right' : 'left'}
+                  sortDirection={sortBy === column.key ? sortDirection : false}
+                >
+                  <TableSortLabel
+                    active={sortBy === column.key}
+                    direction={sortBy === column.key ? sortDirection : 'asc'}
+                    onClick={() => handleSort(column.key)}
+                  >
+                    {column.label}
+                  </TableSortLabel>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={columns.length} align="center" sx={{ py: 4 }}>
+                  <CircularProgress size={32} />
+                </TableCell>
+              </TableRow>
+            ) : visible.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={columns.length} align="center" sx={{ py: 4 }}>
+                  <Typography variant="body2" color="text.secondary">
+                    {binders.length === 0 ? 'No binders available.' : 'No binders match these filters.'}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ) : (
+              visible.map((binder) => (
+                <TableRow key={binder.id || binder.name} hover>
+                  <TableCell>
+                    {binder.id ? (
+                      <Link component={RouterLink} to={`/binders/${encodeURIComponent(binder.id)}`}>
+                        {binder.name}
+                      </Link>
+                    ) : (
+                      binder.name
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{binder.id}</TableCell>
+                  <TableCell>{binder.studyName || (binder.studyId ? binder.studyId : 'Freestanding')}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={binder.status}
+                      color={binder.archived ? 'default' : 'success'}
+                      variant={binder.archived ? 'outlined' : 'filled'}
+                    />
+                  </TableCell>
+                  <TableCell align="right">{binder.pageCount ?? ''}</TableCell>
+                  <TableCell>{formatDate(binder[dateColumn.key])}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+        <TablePagination
+          component="div"
+          count={filtered.length}
+          page={currentPage}
+          rowsPerPage={rowsPerPage}
+          rowsPerPageOptions={ROWS_PER_PAGE_OPTIONS}
+          onPageChange={(e, nextPage) => updateParams({ page: nextPage || null })}
+          onRowsPerPageChange={(e) => updateParams({ rows: e.target.value, page: null })}
+        />
+      </Paper>
+
+      <ImportBinderDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={(binderId) => navigate(`/binders/${encodeURIComponent(binderId)}`)}
+      />
+    </Box>
+  );
+};
+
+export default BinderList;
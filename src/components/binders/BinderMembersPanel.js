@@ -0,0 +1,301 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Box,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  Button,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { useAuth } from '../../contexts/AuthContext';
+import { usePermissions } from '../../contexts/PermissionContext';
+import {
+  PERMISSION_LABELS,
+  getBinderMembers,
+  getUserId,
+  listBinderPermissions
+} from '../../services/permissions';
+import { getUserDisplayName } from '../../utils/binderFields';
+import UserPicker from './UserPicker';
+
+const getPickedUserId = (picked) => String(getUserId(picked) || '');
+
+// Lists who can use a binder and, for members with the rights, adds and removes
+// users and hands ownership to someone else.
+const BinderMembersPanel = ({ binderId, canManage, canTransfer, onOwnerChanged }) => {
+  const { user } = useAuth();
+  const { loadBinderPermissions } = usePermissions();
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [picked, setPicked] = useState(null);
+  const [busy, setBusy] = useState(false);
+  // { type: 'remove' | 'transfer', member, open }; kept after closing so the dialog
+  // text does not change during its exit transition
+  const [pending, setPending] = useState(null);
+  const [acknowledged, setAcknowledged] = useState(false);
+
+  const currentUserId = String(getUserId(user) || '');
+  const owner = members.find((member) => member.isOwner);
+
+  const loadMembers = (config) =>
+    binderApi
+      .getBinderPermissions(binderId, { dedupe: false, ...config })
+      .then((response) => setMembers(getBinderMembers(response)));
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError('');
+    loadMembers({ signal: controller.signal })
+      .catch((err) => {
+        if (!isRequestCanceled(err)) {
+          console.error('Failed to load binder members:', err);
+          setError(getErrorMessage(err, 'Failed to load members'));
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      });
+    return () => controller.abort();
+  }, [binderId]);
+
+  // Runs a membership change, then refreshes the list and our own grants,
+  // which the change may have affected
+  const runChange = async (change, successMessage) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      await change();
+      await loadMembers().catch(() => {});
+      loadBinderPermissions(binderId, { force: true });
+      setNotice(successMessage);
+      return true;
+    } catch (err) {
+      console.error('Binder membership change failed:', err);
+      setError(getErrorMessage(err, 'The change could not be saved'));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    const userId = getPickedUserId(picked);
+    if (!userId) {
+      return;
+    }
+    if (members.some((member) => member.userId === userId)) {
+      setError('That user is already a member of this binder.');
+      return;
+    }
+    const name = getUserDisplayName(picked) || userId;
+    // Keep the choice after a failure so it can be tried again
+    if (await runChange(() => binderApi.addUserToBinder(binderId, userId), `${name} was added.`)) {
+      setPicked(null);
+    }
+  };
+
+  const openConfirm = (type, member) => {
+    setAcknowledged(false);
+    setPending({ type, member, open: true });
+  };
+
+  const closeConfirm = () => setPending((current) => current && { ...current, open: false });
+
+  const handleConfirm = async () => {
+    const { type, member } = pending;
+    closeConfirm();
+    if (type === 'remove') {
+      await runChange(
+        () => binderApi.removeUserFromBinder(binderId, member.userId),
+        `${member.name} was removed.`
+      );
+    } else {
+      const transferred = await runChange(
+        () => binderApi.setBinderOwner(binderId, member.userId),
+        `${member.name} is now the owner.`
+      );
+      if (transferred) {
+        onOwnerChanged?.({ id: member.userId, name: member.name, email: member.email });
+      }
+    }
+  };
+
+  const describe = (member) =>
+    member.userId === currentUserId ? `${member.name} (you)` : member.name;
+
+  return (
+    <Card sx={{ mb: 2 }}>
+      <CardContent>
+        <Typography variant="h6" component="h2" gutterBottom>
+          Members
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice('')}>
+            {notice}
+          </Alert>
+        )}
+
+        {canManage && (
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mb: 2 }}>
+            <Box sx={{ flexGrow: 1 }}>
+              <UserPicker
+                value={picked}
+                onChange={setPicked}
+                excludeIds={members.map((member) => member.userId)}
+                label="Add a user"
+                disabled={busy}
+              />
+            </Box>
+            <Button variant="contained" onClick={handleAdd} disabled={busy || !getPickedUserId(picked)}>
+              Add
+            </Button>
+          </Box>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={3}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>User</TableCell>
+                <TableCell>Permissions</TableCell>
+                {(canManage || canTransfer) && <TableCell align="right">Actions</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {members.map((member) => (
+                <TableRow key={member.userId}>
+                  <TableCell>
+                    <Typography variant="body2">{describe(member)}</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {member.email || member.userId}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                      {member.isOwner && <Chip size="small" color="primary" label="Owner" />}
+                      {listBinderPermissions(member.grants).map((permission) => (
+                        <Chip
+                          key={permission}
+                          size="small"
+                          variant="outlined"
+                          label={PERMISSION_LABELS[permission]}
+                        />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  {(canManage || canTransfer) && (
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      {canTransfer && !member.isOwner && (
+                        <Button size="small" onClick={() => openConfirm('transfer', member)} disabled={busy}>
+                          Make owner
+                        </Button>
+                      )}
+                      {canManage && !member.isOwner && (
+                        <Button
+                          size="small"
+                          color="error"
+                          onClick={() => openConfirm('remove', member)}
+                          disabled={busy}
+                        >
+                          Remove
+                        </Button>
+                      )}
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))}
+              {members.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={3}>
+                    <Typography variant="body2" color="text.secondary">
+                      No members.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+
+      <Dialog open={Boolean(pending?.open && pending.type === 'remove')} onClose={closeConfirm}>
+        <DialogTitle>Remove {pending?.member.name}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {pending?.member.userId === currentUserId
+              ? 'You will lose access to this binder unless someone adds you back.'
+              : `${pending?.member.name} will lose access to this binder.`}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeConfirm}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleConfirm}>
+            Remove
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(pending?.open && pending.type === 'transfer')} onClose={closeConfirm} maxWidth="sm" fullWidth>
+        <DialogTitle>Transfer ownership</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            {pending?.member.name} will become the owner of this binder, with full control over it.
+          </DialogContentText>
+          {owner && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              {describe(owner)} will lose owner rights. They will no longer be able to transfer
+              ownership and keep only the access the server leaves a former owner.
+              {owner.userId === currentUserId && ' You cannot undo this yourself.'}
+            </Alert>
+          )}
+          <FormControlLabel
+            control={
+              <Checkbox checked={acknowledged} onChange={(e) => setAcknowledged(e.target.checked)} />
+            }
+            label={`I want to make ${pending?.member.name || 'this user'} the owner`}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeConfirm}>Cancel</Button>
+          <Button color="warning" variant="contained" onClick={handleConfirm} disabled={!acknowledged}>
+            Transfer ownership
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default BinderMembersPanel;
@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Stepper,
+  Step,
+  StepLabel,
+  TextField,
+  Button,
+  Alert,
+  Radio,
+  RadioGroup,
+  FormControlLabel,
+  Autocomplete,
+  Breadcrumbs,
+  Link,
+  CircularProgress
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { getBinderId, toBinderArray, normalizeBinder, PROTOCOL_FIELDS } from '../../utils/binderFields';
+import { validateFields } from '../../utils/validation';
+
+const BINDER_TYPES = {
+  FREESTANDING: 'freestanding',
+  STUDY: 'study'
+};
+
+const DETAIL_FIELDS = [
+  { name: 'name', label: 'Name', required: true, maxLength: 200 },
+  { name: 'description', label: 'Description', multiline: true, maxLength: 2000 }
+];
+
+const STEPS = {
+  TYPE: 'Binder type',
+  DETAILS: 'Details',
+  STUDY: 'Study',
+  PROTOCOL: 'Protocol',
+  REVIEW: 'Review'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  studyId: '',
+  studyName: '',
+  ...PROTOCOL_FIELDS.reduce((info, field) => ({ ...info, [field.name]: '' }), {})
+};
+
+// There is no study list endpoint; offer the studies the user's binders are linked to
+// and accept any other study id typed in.
+const collectKnownStudies = (binders) => {
+  const studies = new Map();
+  binders.forEach((binder) => {
+    if (binder.studyId && !studies.has(binder.studyId)) {
+      studies.set(binder.studyId, {
+        id: binder.studyId,
+        name: binder.studyName || binder.studyId,
+        protocolNumber: binder.protocolNumber
+      });
+    }
+  });
+  return Array.from(studies.values()).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const formatStudy = (study) =>
+  study.name && study.name !== study.id ? `${study.name} (${study.id})` : study.id;
+
+const FieldList = ({ fields, form, errors, onChange }) =>
+  fields.map((field, index) => (
+    <TextField
+      key={field.name}
+      fullWidth
+      margin="normal"
+      name={field.name}
+      label={field.label}
+      value={form[field.name]}
+      onChange={onChange}
+      required={field.required}
+      multiline={field.multiline}
+      minRows={field.multiline ? 3 : undefined}
+      autoFocus={index === 0}
+      error={Boolean(errors[field.name])}
+      helperText={
+        errors[field.name] || (field.maxLength ? `${form[field.name].length}/${field.maxLength}` : ' ')
+      }
+    />
+  ));
+
+const ReviewRow = ({ label, value }) => (
+  <Box sx={{ display: 'flex', py: 0.75, borderBottom: 1, borderColor: 'divider' }}>
+    <Typography variant="body2" color="text.secondary" sx={{ width: 180, flexShrink: 0 }}>
+      {label}
+    </Typography>
+    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+      {value || '—'}
+    </Typography>
+  </Box>
+);
+
+const CreateBinderWizard = () => {
+  const navigate = useNavigate();
+  const [type, setType] = useState(BINDER_TYPES.FREESTANDING);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [activeStep, setActiveStep] = useState(0);
+  const [studies, setStudies] = useState([]);
+  const [loadingStudies, setLoadingStudies] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState('');
+
+  const steps = useMemo(
+    () =>
+      type === BINDER_TYPES.STUDY
+        ? [STEPS.TYPE, STEPS.DETAILS, STEPS.STUDY, STEPS.PROTOCOL, STEPS.REVIEW]
+        : [STEPS.TYPE, STEPS.DETAILS, STEPS.PROTOCOL, STEPS.REVIEW],
+    [type]
+  );
+  const step = steps[activeStep];
+
+  useEffect(() => {
+    if (type !== BINDER_TYPES.STUDY || studies.length) {
+      return undefined;
+    }
+    const controller = new AbortController();
+    setLoadingStudies(true);
+    binderApi
+      .listBinders({ signal: controller.signal })
+      .then((response) => setStudies(collectKnownStudies(toBinderArray(response).map(normalizeBinder))))
+      .catch((err) => {
+        if (!isRequestCanceled(err)) {
+          console.warn('Failed to load studies:', err);
+        }
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoadingStudies(false);
+        }
+      });
+    return () => controller.abort();
+  }, [type]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleStudyChange = (event, value) => {
+    const study = typeof value === 'string' ? { id: value.trim(), name: '' } : value;
+    setForm((prev) => ({
+      ...prev,
+      studyId: study?.id || '',
+      studyName: study?.name || '',
+      // Start the protocol step from the study's protocol when we know it
+      protocolNumber: prev.protocolNumber || study?.protocolNumber || ''
+    }));
+    setErrors((prev) => ({ ...prev, studyId: undefined }));
+  };
+
+  const validateStep = () => {
+    let stepErrors = {};
+    if (step === STEPS.DETAILS) {
+      stepErrors = validateFields(DETAIL_FIELDS, form);
+    } else if (step === STEPS.STUDY && !form.studyId) {
+      stepErrors = { studyId: 'Select a study or enter its ID' };
+    } else if (step === STEPS.PROTOCOL) {
+      stepErrors = validateFields(PROTOCOL_FIELDS, form);
+    }
+    setErrors(stepErrors);
+    return Object.keys(stepErrors).length === 0;
+  };
+
+  const handleNext = () => {
+    if (validateStep()) {
+      setActiveStep((current) => current + 1);
+    }
+  };
+
+  const handleBack = () => {
+    setSubmitError('');
+    setActiveStep((current) => current - 1);
+  };
+
+  const handleCreate = async () => {
+    setSubmitting(true);
+    setSubmitError('');
+
+    const payload = {
+      name: form.name.trim(),
+      description: form.description.trim(),
+      protocolInfo: PROTOCOL_FIELDS.reduce(
+        (info, field) => ({ ...info, [field.name]: form[field.name].trim() }),
+        {}
+      )
+    };
+
+    try {
+      const created =
+        type === BINDER_TYPES.STUDY
+          ? await binderApi.createNewSourceBinderWithStudy({ ...payload, studyId: form.studyId })
+          : await binderApi.createNewSourceBinderFreeStanding(payload);
+      const binderId = getBinderId(created);
+      navigate(binderId ? `/binders/${encodeURIComponent(binderId)}` : '/binders');
+    } catch (err) {
+      console.error('Failed to create binder:', err);
+      setSubmitError(getErrorMessage(err, 'Failed to create binder'));
+      setSubmitting(false);
+    }
+  };
+
+  const selectedStudy =
+    studies.find((study) => study.id === form.studyId) ||
+    (form.studyId ? { id: form.studyId, name: form.studyName || form.studyId } : null);
+
+  return (
+    <Box>
+      <Breadcrumbs sx={{ mb: 2 }}>
+        <Link component={RouterLink} to="/binders">
+          Binders
+        </Link>
+        <Typography color="text.primary">New binder</Typography>
+      </Breadcrumbs>
+
+      <Typography variant="h4" component="h1" gutterBottom>
+        New binder
+      </Typography>
+
+      <Stepper activeStep={activeStep} sx={{ mb: 3 }}>
+        {steps.map((label) => (
+          <Step key={label}>
+            <StepLabel>{label}</StepLabel>
+          </Step>
+        ))}
+      </Stepper>
+
+      <Paper sx={{ p: 3 }}>
+        {step === STEPS.TYPE && (
+          <RadioGroup
+            value={type}
+            onChange={(e) => {
+              setType(e.target.value);
+              setErrors({});
+            }}
+          >
+            <FormControlLabel
+              value={BINDER_TYPES.FREESTANDING}
+              control={<Radio />}
+              label={
+                <Box sx={{ py: 1 }}>
+                  <Typography variant="subtitle1">Freestanding</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    Not tied to a study, e.g. site SOP checklists used across studies.
+                  </Typography>
+                </Box>
+              }
+            />
+            <FormControlLabel
+              value={BINDER_TYPES.STUDY}
+              control={<Radio />}
+              label={
+                <Box sx={{ py: 1 }}>
+                  <Typography variant="subtitle1">Linked to a study</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    Source worksheets for one study's visits.
+                  </Typography>
+                </Box>
+              }
+            />
+          </RadioGroup>
+        )}
+
+        {step === STEPS.DETAILS && (
+          <FieldList fields={DETAIL_FIELDS} form={form} errors={errors} onChange={handleChange} />
+        )}
+
+        {step === STEPS.STUDY && (
+          <Autocomplete
+            freeSolo
+            autoSelect
+            options={studies}
+            loading={loadingStudies}
+            value={selectedStudy}
+            onChange={handleStudyChange}
+            getOptionLabel={(option) => (typeof option === 'string' ? option : formatStudy(option))}
+            isOptionEqualToValue={(option, value) => option.id === value.id}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                autoFocus
+                margin="normal"
+                label="Study"
+                required
+                error={Boolean(errors.studyId)}
+                helperText={errors.studyId || 'Pick a study or type its ID'}
+                InputProps={{
+                  ...params.InputProps,
+                  endAdornment: (
+                    <>
+                      {loadingStudies && <CircularProgress size={20} />}
+                      {params.InputProps.endAdornment}
+                    </>
+                  )
+                }}
+              />
+            )}
+          />
+        )}
+
+        {step === STEPS.PROTOCOL && (
+          <FieldList fields={PROTOCOL_FIELDS} form={form} errors={errors} onChange={handleChange} />
+        )}
+
+        {step === STEPS.REVIEW && (
+          <Box>
+            {submitError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {submitError}
+              </Alert>
+            )}
+            <ReviewRow
+              label="Type"
+              value={type === BINDER_TYPES.STUDY ? 'Linked to a study' : 'Freestanding'}
+            />
+            {DETAIL_FIELDS.map((field) => (
+              <ReviewRow key={field.name} label={field.label} value={form[field.name].trim()} />
+            ))}
+            {type === BINDER_TYPES.STUDY && (
+              <ReviewRow label="Study" value={selectedStudy && formatStudy(selectedStudy)} />
+            )}
+            {PROTOCOL_FIELDS.map((field) => (
+              <ReviewRow key={field.name} label={field.label} value={form[field.name].trim()} />
+            ))}
+          </Box>
+        )}
+
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 3 }}>
+          <Button onClick={activeStep === 0 ? () => navigate('/binders') : handleBack} disabled={submitting}>
+            {activeStep === 0 ? 'Cancel' : 'Back'}
+          </Button>
+          {step === STEPS.REVIEW ? (
+            <Button variant="contained" onClick={handleCreate} disabled={submitting}>
+              {submitting ? <CircularProgress size={24} /> : 'Create binder'}
+            </Button>
+          ) : (
+            <Button variant="contained" onClick={handleNext}>
+              Next
+            </Button>
+          )}
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default CreateBinderWizard;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { validateFields } from '../../utils/validation';
+
+// A card that shows a group of fields read-only and switches to an inline form.
+// fields: [{ name, label, required, maxLength, multiline }]
+// onSave(values) may reject with an Error; the form then reopens with the user's
+// input and the message so nothing they typed is lost.
+const EditableSection = ({ title, fields, values, canEdit, onSave, renderValue }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(values);
+  const [errors, setErrors] = useState({});
+  const [saveError, setSaveError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!editing) {
+      setDraft(values);
+    }
+  }, [values, editing]);
+
+  const startEditing = () => {
+    setDraft(values);
+    setErrors({});
+    setSaveError('');
+    setEditing(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const nextErrors = validateFields(fields, draft);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length) {
+      return;
+    }
+
+    const changed = fields.some((field) => (draft[field.name] ?? '') !== (values[field.name] ?? ''));
+    if (!changed) {
+      setEditing(false);
+      return;
+    }
+
+    const submitted = draft;
+    setSaving(true);
+    setSaveError('');
+    // Optimistic: close the form straight away; the parent shows the new values
+    setEditing(false);
+    try {
+      const saved = await onSave(submitted);
+      if (saved === false) {
+        // The user backed out (e.g. of a conflict warning); keep their edits open
+        setDraft(submitted);
+        setEditing(true);
+      }
+    } catch (error) {
+      setDraft(submitted);
+      setSaveError(error.message || 'Save failed');
+      setEditing(true);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 2 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h6" component="h2" sx={{ flexGrow: 1 }}>
+            {title}
+          </Typography>
+          {saving && <CircularProgress size={20} sx={{ mr: 1 }} />}
+          {canEdit && !editing && (
+            <Button size="small" onClick={startEditing} disabled={saving}>
+              Edit
+            </Button>
+          )}
+        </Box>
+
+        {editing ? (
+          <Box component="form" onSubmit={handleSubmit} noValidate>
+            {saveError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {saveError}
+              </Alert>
+            )}
+            {fields.map((field, index) => (
+              <TextField
+                key={field.name}
+                fullWidth
+                margin="dense"
+                name={field.name}
+                label={field.label}
+                value={draft[field.name] ?? ''}
+                onChange={handleChange}
+                required={field.required}
+                multiline={field.multiline}
+                minRows={field.multiline ? 3 : undefined}
+                autoFocus={index === 0}
+                error={Boolean(errors[field.name])}
+                helperText={
+                  errors[field.name] ||
+                  (field.maxLength ? `${String(draft[field.name] ?? '').length}/${field.maxLength}` : ' ')
+                }
+              />
+            ))}
+            <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end', mt: 1 }}>
+              <Button onClick={() => setEditing(false)}>Cancel</Button>
+              <Button type="submit" variant="contained">
+                Save
+              </Button>
+            </Box>
+          </Box>
+        ) : (
+          renderValue(values)
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default EditableSection;
@@ -0,0 +1,325 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Box,
+  Button,
+  TextField,
+  Checkbox,
+  FormControlLabel,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  Alert,
+  LinearProgress
+} from '@mui/material';
+import { getErrorMessage } from '../../services/apiService';
+import { validateFields } from '../../utils/validation';
+import { getStatusDisplay } from '../source/pageStatus';
+import {
+  parseBinderBundle,
+  importBinderBundle,
+  isRescindedBundlePage,
+  MAX_BUNDLE_BYTES
+} from './binderBundle';
+
+const IMPORT_FIELDS = [
+  { name: 'name', label: 'Name', required: true, maxLength: 200 },
+  { name: 'studyId', label: 'Study ID', maxLength: 100 }
+];
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Creates a new binder from an "Export binder" file: the file is checked and previewed,
+// then the binder, its pages one by one and its print templates are created.
+// onImported(binderId) opens the new binder; warnings (e.g. templates the server could
+// not take) are shown first.
+const ImportBinderDialog = ({ open, onClose, onImported }) => {
+  const fileInputRef = useRef(null);
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [fileError, setFileError] = useState('');
+  const [form, setForm] = useState({ name: '', studyId: '' });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [includeRescinded, setIncludeRescinded] = useState(false);
+  const [progress, setProgress] = useState(null);
+  // { message, binderId, pagesCreated } when the import stopped
+  const [importError, setImportError] = useState(null);
+  // { binderId, warnings } when the import finished with something left out
+  const [imported, setImported] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setFileName('');
+      setParsed(null);
+      setFileError('');
+      setFieldErrors({});
+      setIncludeRescinded(false);
+      setProgress(null);
+      setImportError(null);
+      setImported(null);
+    }
+  }, [open]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    // Choosing the same file again should read it again
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    setFileName(file.name);
+    setParsed(null);
+    setFileError('');
+    setImportError(null);
+    setImported(null);
+    if (file.size > MAX_BUNDLE_BYTES) {
+      setFileError(`The file is larger than ${MAX_BUNDLE_BYTES / (1024 * 1024)} MB`);
+      return;
+    }
+    try {
+      const result = parseBinderBundle(await file.text());
+      setParsed(result);
+      setForm({ name: result.bundle.binder.name, studyId: result.bundle.binder.studyId || '' });
+      setFieldErrors({});
+    } catch (err) {
+      setFileError(err.message || 'The file could not be read');
+    }
+  };
+
+  const bundle = parsed?.bundle;
+  const rescindedCount = bundle ? bundle.pages.filter(isRescindedBundlePage).length : 0;
+  const importPages = bundle
+    ? bundle.pages.filter((page) => includeRescinded || !isRescindedBundlePage(page))
+    : [];
+  const busy = Boolean(progress);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleImport = async () => {
+    const errors = validateFields(IMPORT_FIELDS, form);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) {
+      return;
+    }
+
+    setImportError(null);
+    setProgress({ done: 0, total: importPages.length });
+    try {
+      const result = await importBinderBundle(
+        bundle,
+        { name: form.name.trim(), studyId: form.studyId.trim(), pages: importPages },
+        (done, total) => setProgress({ done, total })
+      );
+      if (result.warnings.length) {
+        setImported(result);
+      } else {
+        onImported(result.binderId);
+      }
+    } catch (err) {
+      console.error('Failed to import binder:', err);
+      setImportError({
+        message: getErrorMessage(err, 'Failed to import binder'),
+        binderId: err.binderId || null,
+        pagesCreated: err.pagesCreated || 0
+      });
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={busy ? undefined : onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import binder</DialogTitle>
+      <DialogContent dividers>
+        <DialogContentText sx={{ mb: 2 }}>
+          Choose a file made with "Export binder". A new binder is created with the file's details,
+          protocol info, header and footer, and pages; the pages start as drafts.
+        </DialogContentText>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Button variant="outlined" onClick={() => fileInputRef.current?.click()} disabled={busy}>
+            Choose file
+          </Button>
+          <Typography variant="body2" color="text.secondary" noWrap>
+            {fileName || 'No file chosen'}
+          </Typography>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={handleFile}
+          />
+        </Box>
+
+        {fileError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {fileError}
+          </Alert>
+        )}
+        {importError && (
+          <Alert
+            severity="error"
+            sx={{ mb: 2 }}
+            action={
+              importError.binderId && (
+                <Button color="inherit" size="small" onClick={() => onImported(importError.binderId)}>
+                  Open binder
+                </Button>
+              )
+            }
+          >
+            {importError.message}
+            {importError.binderId &&
+              ` The binder was created with ${importError.pagesCreated} of ${importPages.length} pages.`}
+          </Alert>
+        )}
+
+        {imported && (
+          <Alert
+            severity="warning"
+            sx={{ mb: 2 }}
+            action={
+              <Button color="inherit" size="small" onClick={() => onImported(imported.binderId)}>
+                Open binder
+              </Button>
+            }
+          >
+            The binder was created with {importPages.length} page{importPages.length === 1 ? '' : 's'}.
+            {imported.warnings.map((warning) => (
+              <div key={warning}>{warning}</div>
+            ))}
+          </Alert>
+        )}
+
+        {bundle && (
+          <>
+            {parsed.warnings.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {parsed.warnings.map((warning) => (
+                  <div key={warning}>{warning}</div>
+                ))}
+              </Alert>
+            )}
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Exported {formatDateTime(bundle.exportedAt)}
+              {bundle.sourceBinderId && ` from binder ${bundle.sourceBinderId}`}
+              {bundle.binder.protocolInfo.protocolNumber &&
+                ` · Protocol ${bundle.binder.protocolInfo.protocolNumber}`}
+            </Typography>
+            <TextField
+              fullWidth
+              margin="normal"
+              name="name"
+              label="Name"
+              required
+              value={form.name}
+              onChange={handleChange}
+              error={Boolean(fieldErrors.name)}
+              helperText={fieldErrors.name}
+              disabled={busy}
+            />
+            <TextField
+              fullWidth
+              margin="normal"
+              name="studyId"
+              label="Study ID"
+              value={form.studyId}
+              onChange={handleChange}
+              error={Boolean(fieldErrors.studyId)}
+              helperText={
+                fieldErrors.studyId ||
+                (bundle.binder.studyName
+                  ? `Exported from ${bundle.binder.studyName}. Leave empty for a freestanding binder.`
+                  : 'Leave empty for a freestanding binder')
+              }
+              disabled={busy}
+            />
+            {rescindedCount > 0 && (
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={includeRescinded}
+                    onChange={(e) => setIncludeRescinded(e.target.checked)}
+                    disabled={busy}
+                  />
+                }
+                label={`Include ${rescindedCount} rescinded page${rescindedCount === 1 ? '' : 's'}`}
+              />
+            )}
+
+            <Typography variant="subtitle2" sx={{ mt: 2 }}>
+              {importPages.length} page{importPages.length === 1 ? '' : 's'} to create
+            </Typography>
+            <Box sx={{ maxHeight: 280, overflowY: 'auto' }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>#</TableCell>
+                    <TableCell>Visit</TableCell>
+                    <TableCell>Worksheet</TableCell>
+                    <TableCell align="right">Rows</TableCell>
+                    <TableCell>Exported as</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {importPages.map((page, index) => {
+                    const { label, color } = getStatusDisplay(page.status);
+                    return (
+                      <TableRow key={index}>
+                        <TableCell>{index + 1}</TableCell>
+                        <TableCell>{page.visitName || page.name || '—'}</TableCell>
+                        <TableCell>{page.worksheetName || '—'}</TableCell>
+                        <TableCell align="right">{page.cells.length}</TableCell>
+                        <TableCell>
+                          <Chip size="small" label={label} color={color} variant="outlined" />
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </Box>
+          </>
+        )}
+
+        {progress && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="body2" gutterBottom>
+              Creating pages: {progress.done} of {progress.total}
+            </Typography>
+            <LinearProgress
+              variant="determinate"
+              value={progress.total ? (progress.done / progress.total) * 100 : 0}
+            />
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={busy}>
+          Cancel
+        </Button>
+        {/* After an import the binder exists; importing again would make a second one */}
+        <Button
+          variant="contained"
+          onClick={handleImport}
+          disabled={!bundle || busy || Boolean(importError?.binderId) || Boolean(imported)}
+        >
+          Import
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportBinderDialog;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Autocomplete, TextField, Box, Typography, CircularProgress } from '@mui/material';
+import { userApi } from '../../services/userApi';
+import { isRequestCanceled } from '../../services/apiService';
+import { getUserId } from '../../services/permissions';
+import { getUserDisplayName } from '../../utils/binderFields';
+
+const SEARCH_DELAY_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+
+// Ids come back as strings or numbers; compare them as strings
+const userKey = (user) => String(getUserId(user) || '');
+
+// What a pasted user id looks like: a number, a GUID or a prefixed number such as u-1001
+const USER_ID_PATTERN = /^(\d+|[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}|[a-z]+-\d+)$/i;
+
+const isWellFormedUserId = (text) => USER_ID_PATTERN.test(text);
+
+// Searches the user directory as the user types. Text that is not in the results is only
+// passed through (as { id }) when it is a well-formed user id, e.g. one pasted from elsewhere;
+// autoSelect takes it on blur, so it need not be confirmed with Enter. Other text is refused,
+// so a half-typed search never becomes a user.
+const UserPicker = ({ value, onChange, excludeIds = [], label = 'Find a user', disabled }) => {
+  const [input, setInput] = useState('');
+  const [options, setOptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [searchFailed, setSearchFailed] = useState(false);
+  const [refusedText, setRefusedText] = useState('');
+
+  useEffect(() => {
+    const query = input.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+      setOptions([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      setLoading(true);
+      userApi
+        .searchUsers(query, { signal: controller.signal })
+        .then((results) => {
+          setSearchFailed(false);
+          setOptions(Array.isArray(results) ? results : results?.users || []);
+        })
+        .catch((err) => {
+          if (isRequestCanceled(err)) {
+            return;
+          }
+          console.warn('User search failed:', err);
+          setSearchFailed(true);
+          setOptions([]);
+        })
+        .finally(() => {
+          if (!controller.signal.aborted) {
+            setLoading(false);
+          }
+        });
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [input]);
+
+  const excluded = new Set(excludeIds.map(String));
+  const available = options.filter((user) => !excluded.has(userKey(user)));
+
+  const handleChange = (event, selected) => {
+    setRefusedText('');
+    if (typeof selected !== 'string') {
+      onChange(selected);
+      return;
+    }
+    const text = selected.trim();
+    const match = available.find(
+      (user) => userKey(user) === text || (user.email && user.email.toLowerCase() === text.toLowerCase())
+    );
+    if (match || !text) {
+      onChange(match || null);
+    } else if (isWellFormedUserId(text)) {
+      onChange({ id: text });
+    } else {
+      setRefusedText(text);
+      onChange(null);
+    }
+  };
+
+  return (
+    <Autocomplete
+      freeSolo
+      autoSelect
+      value={value}
+      options={available}
+      loading={loading}
+      disabled={disabled}
+      filterOptions={(items) => items}
+      getOptionLabel={(option) =>
+        typeof option === 'string' ? option : getUserDisplayName(option) || userKey(option)
+      }
+      isOptionEqualToValue={(option, selected) => userKey(option) === userKey(selected)}
+      onInputChange={(event, nextInput) => setInput(nextInput)}
+      onChange={handleChange}
+      renderOption={(props, option) => (
+        <Box component="li" {...props} key={userKey(option)}>
+          <Box>
+            <Typography variant="body2">{getUserDisplayName(option)}</Typography>
+            <Typography variant="caption" color="text.secondary">
+              {[option.email, getUserId(option)].filter(Boolean).join(' · ')}
+            </Typography>
+          </Box>
+        </Box>
+      )}
+      renderInput={(params) => (
+        <TextField
+          {...params}
+          size="small"
+          label={label}
+          error={Boolean(refusedText)}
+          helperText={
+            refusedText
+              ? `"${refusedText}" is not a user ID; pick a user from the results`
+              : searchFailed
+                ? 'User search is unavailable; enter the user ID instead'
+                : 'Search by name or email, or paste a user ID'
+          }
+          InputProps={{
+            ...params.InputProps,
+            endAdornment: (
+              <>
+                {loading && <CircularProgress size={18} />}
+                {params.InputProps.endAdornment}
+              </>
+            )
+          }}
+        />
+      )}
+    />
+  );
+};
+
+export default UserPicker;
@@ -0,0 +1,230 @@
+import { binderApi } from '../../services/binderApi';
+import {
+  OPTIONAL_ENDPOINTS,
+  isEndpointMissing,
+  noteUnsupportedEndpoint
+} from '../../services/endpointSupport';
+import { saveJson } from '../../utils/download';
+import {
+  getBinderId,
+  getBinderName,
+  getBinderDescription,
+  getProtocolInfo,
+  getHeaderFooterTemplates,
+  normalizeBinder,
+  PROTOCOL_FIELDS
+} from '../../utils/binderFields';
+import { CELL_PROPERTIES, toPageArray, normalizePage, serializeCell } from '../source/sourceCellTypes';
+import { PAGE_STATUS, getPageStatus } from '../source/pageStatus';
+
+// A binder exported as one JSON file: its details, protocol info, print templates and every
+// page with its cells. Pages are recreated in a new binder on import; ids, members, status
+// history and captured entries are not part of the bundle.
+//
+// { format: 'stat-binder-bundle', version: 1, exportedAt, sourceBinderId,
+//   binder: { name, description, studyId, studyName, protocolInfo, headerTemplate, footerTemplate },
+//   pages: [{ order, name, visitName, worksheetName, status, version, cells }] }
+export const BUNDLE_FORMAT = 'stat-binder-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Larger files are refused before they are read
+export const MAX_BUNDLE_BYTES = 20 * 1024 * 1024;
+
+const toBundlePage = (page) => ({
+  order: page.order,
+  name: page.name,
+  visitName: page.visitName,
+  worksheetName: page.worksheetName,
+  status: getPageStatus(page),
+  version: page.version,
+  cells: (page.cells || []).map(serializeCell)
+});
+
+export const buildBinderBundle = (binder, pages) => {
+  const summary = normalizeBinder(binder);
+  const { headerTemplate, footerTemplate } = getHeaderFooterTemplates(binder);
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    sourceBinderId: getBinderId(binder),
+    binder: {
+      name: getBinderName(binder),
+      description: getBinderDescription(binder),
+      studyId: summary.studyId,
+      studyName: summary.studyName,
+      protocolInfo: getProtocolInfo(binder),
+      headerTemplate,
+      footerTemplate
+    },
+    pages: pages.map(toBundlePage)
+  };
+};
+
+// Loads the binder and all of its pages and builds the bundle
+export const exportBinderBundle = async (binderId, config) => {
+  const [binder, pagesResponse] = await Promise.all([
+    binderApi.getBinder(binderId, config),
+    binderApi.getBinderPages(binderId, {}, config)
+  ]);
+  return buildBinderBundle(binder, toPageArray(pagesResponse));
+};
+
+export const bundleFileName = (bundle) => {
+  const name = bundle.binder.name.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'Binder';
+  return `${name} ${bundle.exportedAt.slice(0, 10)}.json`;
+};
+
+export const downloadBundle = (bundle) => saveJson(bundle, bundleFileName(bundle));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const readString = (value) => (typeof value === 'string' ? value : '');
+
+// Checks a bundle file's text and returns { bundle, warnings }, with the bundle in the
+// shape buildBinderBundle makes. Throws an Error whose message says what is wrong.
+export const parseBinderBundle = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!isObject(data) || data.format !== BUNDLE_FORMAT) {
+    throw new Error('The file is not a binder export');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('The file has no valid bundle version');
+  }
+  if (data.version > BUNDLE_VERSION) {
+    throw new Error(
+      `The file is bundle version ${data.version}, newer than this app reads (${BUNDLE_VERSION}). ` +
+        'Update the app to import it.'
+    );
+  }
+  if (!isObject(data.binder) || !readString(data.binder.name).trim()) {
+    throw new Error('The file has no binder name');
+  }
+  if (!Array.isArray(data.pages)) {
+    throw new Error('The file has no page list');
+  }
+
+  const warnings = [];
+  const pages = data.pages.map((page, index) => {
+    if (!isObject(page) || !Array.isArray(page.cells)) {
+      throw new Error(`Page ${index + 1} has no cells`);
+    }
+    const normalized = normalizePage(page, index);
+    const unknown = new Set(
+      normalized.cells.filter((cell) => !CELL_PROPERTIES[cell.type]).map((cell) => cell.type || '(none)')
+    );
+    if (unknown.size) {
+      warnings.push(
+        `Page ${index + 1} has row types this app does not know (${[...unknown].join(', ')}); ` +
+          'they are imported unchanged.'
+      );
+    }
+    return toBundlePage(normalized);
+  });
+
+  const { binder } = data;
+  const protocolInfo = isObject(binder.protocolInfo) ? binder.protocolInfo : {};
+  return {
+    bundle: {
+      format: BUNDLE_FORMAT,
+      version: data.version,
+      exportedAt: readString(data.exportedAt),
+      sourceBinderId: readString(data.sourceBinderId),
+      binder: {
+        name: binder.name.trim(),
+        description: readString(binder.description),
+        studyId: readString(binder.studyId) || null,
+        studyName: readString(binder.studyName),
+        protocolInfo: PROTOCOL_FIELDS.reduce(
+          (info, field) => ({ ...info, [field.name]: readString(protocolInfo[field.name]) }),
+          {}
+        ),
+        headerTemplate: typeof binder.headerTemplate === 'string' ? binder.headerTemplate : null,
+        footerTemplate: typeof binder.footerTemplate === 'string' ? binder.footerTemplate : null
+      },
+      pages: pages.sort((a, b) => a.order - b.order)
+    },
+    warnings
+  };
+};
+
+export const isRescindedBundlePage = (page) => page.status === PAGE_STATUS.RESCINDED;
+
+const SAVE_PAGE_MISSING_MESSAGE = 'This server does not support adding pages, so binders cannot be imported.';
+
+// Creates a binder from a bundle: the binder (linked to studyId when given), each page in
+// order, then its print templates. onProgress(done, total) follows the pages. Resolves to
+// { binderId, warnings }; a server without UpdateBinderHeaderFooter only earns a warning.
+// A failure part way leaves the binder with the pages made so far; the thrown Error
+// carries the new binder's id as binderId and the number of pages created as pagesCreated.
+// If the server turns out not to have SaveBinderPage (a route-not-found answer, not a 404
+// about the binder), the empty binder is archived again.
+export const importBinderBundle = async (bundle, { name, studyId, pages }, onProgress) => {
+  if (pages.length && isEndpointMissing(OPTIONAL_ENDPOINTS.SAVE_PAGE)) {
+    throw new Error(SAVE_PAGE_MISSING_MESSAGE);
+  }
+
+  const payload = {
+    name,
+    description: bundle.binder.description,
+    protocolInfo: bundle.binder.protocolInfo
+  };
+  const created = studyId
+    ? await binderApi.createNewSourceBinderWithStudy({ ...payload, studyId })
+    : await binderApi.createNewSourceBinderFreeStanding(payload);
+  const binderId = getBinderId(created);
+
+  let pagesCreated = 0;
+  try {
+    onProgress(0, pages.length);
+    for (const page of pages) {
+      await binderApi.saveBinderPage({
+        binderId,
+        name: page.name,
+        visitName: page.visitName,
+        worksheetName: page.worksheetName,
+        cells: page.cells
+      });
+      pagesCreated += 1;
+      onProgress(pagesCreated, pages.length);
+    }
+  } catch (err) {
+    if (!pagesCreated && noteUnsupportedEndpoint(err, OPTIONAL_ENDPOINTS.SAVE_PAGE)) {
+      const reason = 'Import stopped: the server does not support adding pages.';
+      const archived = await binderApi.archiveBinder(binderId, { reason }).then(
+        () => true,
+        () => false
+      );
+      const error = new Error(SAVE_PAGE_MISSING_MESSAGE);
+      // An archived binder is no use to open; one that could not be archived still needs attention
+      error.binderId = archived ? null : binderId;
+      error.pagesCreated = 0;
+      throw error;
+    }
+    err.binderId = binderId;
+    err.pagesCreated = pagesCreated;
+    throw err;
+  }
+
+  const warnings = [];
+  const { headerTemplate, footerTemplate } = bundle.binder;
+  if (headerTemplate !== null || footerTemplate !== null) {
+    try {
+      await binderApi.updateBinderHeaderFooter({ binderId, headerTemplate, footerTemplate });
+    } catch (err) {
+      if (!noteUnsupportedEndpoint(err, OPTIONAL_ENDPOINTS.HEADER_FOOTER)) {
+        err.binderId = binderId;
+        err.pagesCreated = pagesCreated;
+        throw err;
+      }
+      warnings.push(
+        'The header and footer were not imported: this server does not support print headers and footers.'
+      );
+    }
+  }
+  return { binderId, warnings };
+};
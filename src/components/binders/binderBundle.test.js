@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { binderApi } from '../../services/binderApi';
+import { buildBinderBundle, parseBinderBundle, importBinderBundle, BUNDLE_VERSION } from './binderBundle';
+
+vi.mock('../../services/binderApi', () => ({
+  binderApi: {
+    createNewSourceBinderFreeStanding: vi.fn(),
+    createNewSourceBinderWithStudy: vi.fn(),
+    saveBinderPage: vi.fn(),
+    updateBinderHeaderFooter: vi.fn(),
+    archiveBinder: vi.fn()
+  }
+}));
+
+const httpError = (status, data) =>
+  Object.assign(new Error(`HTTP ${status}`), { status, response: { status, data } });
+const routeMissing = (path) => httpError(404, `<pre>Cannot POST ${path}</pre>`);
+
+const page = (order, name) => ({
+  order,
+  name,
+  visitName: 'Day 1',
+  worksheetName: name,
+  status: 'active',
+  version: 1,
+  cells: [{ id: `c${order}`, type: 'sectionHeader', text: name }]
+});
+
+const bundleText = (overrides = {}) =>
+  JSON.stringify({
+    format: 'stat-binder-bundle',
+    version: 1,
+    exportedAt: '2024-03-05T10:00:00.000Z',
+    sourceBinderId: 'b-1',
+    binder: { name: ' Screening ', headerTemplate: '<b>Header</b>', footerTemplate: null },
+    pages: [page(2, 'Vitals'), page(1, 'Consent')],
+    ...overrides
+  });
+
+describe('parseBinderBundle', () => {
+  it('reads a bundle and sorts its pages', () => {
+    const { bundle, warnings } = parseBinderBundle(bundleText());
+    expect(bundle.binder.name).toBe('Screening');
+    expect(bundle.pages.map((item) => item.name)).toEqual(['Consent', 'Vitals']);
+    expect(warnings).toEqual([]);
+  });
+
+  it('round-trips what buildBinderBundle exports', () => {
+    const exported = buildBinderBundle({ id: 'b-9', name: 'Exported' }, [page(1, 'Consent')]);
+    const { bundle } = parseBinderBundle(JSON.stringify(exported));
+    expect(bundle.binder.name).toBe('Exported');
+    expect(bundle.pages).toHaveLength(1);
+    expect(bundle.pages[0].cells[0].text).toBe('Consent');
+  });
+
+  it('says what is wrong with a file it cannot import', () => {
+    expect(() => parseBinderBundle('{')).toThrow('not valid JSON');
+    expect(() => parseBinderBundle(bundleText({ format: 'other' }))).toThrow('not a binder export');
+    expect(() => parseBinderBundle(bundleText({ version: BUNDLE_VERSION + 1 }))).toThrow(
+      'newer than this app'
+    );
+    expect(() => parseBinderBundle(bundleText({ pages: [{ name: 'No cells' }] }))).toThrow(
+      'Page 1 has no cells'
+    );
+  });
+
+  it('warns about row types it does not know', () => {
+    const pages = [{ ...page(1, 'Odd'), cells: [{ id: 'x', type: 'hologram' }] }];
+    expect(parseBinderBundle(bundleText({ pages })).warnings[0]).toContain('hologram');
+  });
+});
+
+describe('importBinderBundle', () => {
+  const { bundle } = parseBinderBundle(bundleText());
+  const options = { name: 'Imported', studyId: null, pages: bundle.pages };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    binderApi.createNewSourceBinderFreeStanding.mockResolvedValue({ id: 'b-new' });
+    binderApi.saveBinderPage.mockResolvedValue({});
+    binderApi.updateBinderHeaderFooter.mockResolvedValue({});
+    binderApi.archiveBinder.mockResolvedValue({});
+  });
+
+  it('creates the pages in order, then the header and footer', async () => {
+    const progress = vi.fn();
+    const result = await importBinderBundle(bundle, options, progress);
+    expect(result).toEqual({ binderId: 'b-new', warnings: [] });
+    const saved = binderApi.saveBinderPage.mock.calls.map(([payload]) => payload.name);
+    expect(saved).toEqual(['Consent', 'Vitals']);
+    expect(binderApi.updateBinderHeaderFooter).toHaveBeenCalledWith({
+      binderId: 'b-new',
+      headerTemplate: '<b>Header</b>',
+      footerTemplate: null
+    });
+    expect(progress).toHaveBeenLastCalledWith(2, 2);
+  });
+
+  it('keeps the binder when a page fails with a 404 about a record', async () => {
+    binderApi.saveBinderPage.mockRejectedValue(httpError(404, { error: 'Binder b-new not found' }));
+    const error = await importBinderBundle(bundle, options, vi.fn()).catch((err) => err);
+    expect(error.message).toBe('HTTP 404');
+    expect(error.binderId).toBe('b-new');
+    expect(error.pagesCreated).toBe(0);
+    expect(binderApi.archiveBinder).not.toHaveBeenCalled();
+  });
+
+  it('fails on a header and footer 404 about a record', async () => {
+    binderApi.updateBinderHeaderFooter.mockRejectedValue(httpError(404, { error: 'Binder b-new not found' }));
+    const error = await importBinderBundle(bundle, options, vi.fn()).catch((err) => err);
+    expect(error.binderId).toBe('b-new');
+    expect(error.pagesCreated).toBe(2);
+  });
+
+  it('only warns when the server has no header and footer endpoint', async () => {
+    binderApi.updateBinderHeaderFooter.mockRejectedValue(
+      routeMissing('/api/v1/source/UpdateBinderHeaderFooter')
+    );
+    const result = await importBinderBundle(bundle, options, vi.fn());
+    expect(result.binderId).toBe('b-new');
+    expect(result.warnings[0]).toContain('header and footer were not imported');
+  });
+
+  // Runs last: it marks SaveBinderPage as missing for the rest of the module's life
+  it('archives the empty binder when the server has no SaveBinderPage', async () => {
+    binderApi.saveBinderPage.mockRejectedValue(routeMissing('/api/v1/source/SaveBinderPage'));
+    const error = await importBinderBundle(bundle, options, vi.fn()).catch((err) => err);
+    expect(error.message).toContain('does not support adding pages');
+    expect(error.binderId).toBeNull();
+    expect(binderApi.archiveBinder).toHaveBeenCalledWith('b-new', expect.any(Object));
+
+    binderApi.createNewSourceBinderFreeStanding.mockClear();
+    await expect(importBinderBundle(bundle, options, vi.fn())).rejects.toThrow(
+      'does not support adding pages'
+    );
+    expect(binderApi.createNewSourceBinderFreeStanding).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,490 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link as RouterLink, useParams, useSearchParams, useNavigate, useLocation } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Breadcrumbs,
+  Link,
+  Button,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControlLabel,
+  Switch,
+  Chip,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { useBinderPermissions } from '../../contexts/PermissionContext';
+import { usePageChunks } from '../../hooks/usePageChunks';
+import { useEndpointMissing } from '../../hooks/useEndpointMissing';
+import { OPTIONAL_ENDPOINTS } from '../../services/endpointSupport';
+import { TEMPLATE_STORAGE } from '../../services/templateStore';
+import { PERMISSIONS } from '../../services/permissions';
+import { getBinderName, isBinderArchived } from '../../utils/binderFields';
+import { toPageArray, normalizePage } from './sourceCellTypes';
+import { PAGE_STATUS, getPageStatus, getStatusDisplay } from './pageStatus';
+import PageCapture from './PageCapture';
+import PrintDialog from './PrintDialog';
+import PageStatusDialog, { PAGE_ACTIONS } from './PageStatusDialog';
+import PageVersionHistory from './PageVersionHistory';
+import PageToc from './PageToc';
+import PageScroller, { readScrollPosition } from './PageScroller';
+import SaveTemplateDialog from './SaveTemplateDialog';
+import TemplatePickerDialog from './TemplatePickerDialog';
+
+const CAPTURE_MODE = 'capture';
+const TOC_WIDTH = 240;
+
+const TYPING_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+const isTyping = (target) =>
+  target instanceof HTMLElement && (target.isContentEditable || TYPING_TAGS.includes(target.tagName));
+
+// Shows a binder's worksheets laid out as they print, one after another with a table of
+// contents beside them, or a page at a time with fillable inputs in capture mode
+// (?mode=capture). The current page is in the path: /binders/:binderId/pages/:pageId.
+// The page list loads without cells; page content loads in chunks as it scrolls into view.
+const BinderPages = () => {
+  const { binderId, pageId } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { can } = useBinderPermissions(binderId);
+  const [binder, setBinder] = useState(null);
+  const [pages, setPages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [pageAction, setPageAction] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [tocOpen, setTocOpen] = useState(true);
+  const [printPages, setPrintPages] = useState(null);
+  const [saveTemplateOpen, setSaveTemplateOpen] = useState(false);
+  const [templatePickerOpen, setTemplatePickerOpen] = useState(false);
+  const scrollerRef = useRef(null);
+  // The first jump after the pages load returns to where the reader left this binder
+  const restoreRef = useRef(true);
+  // The page the reader scrolled to, so updating the URL for it does not scroll again
+  const scrolledIdRef = useRef(null);
+  // ?rescinded=hide asks the server for active pages only
+  const hideRescinded = searchParams.get('rescinded') === 'hide';
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    setLoading(true);
+    setError('');
+    setPrintPages(null);
+    restoreRef.current = true;
+
+    binderApi
+      .getBinder(binderId, { signal })
+      .then(setBinder)
+      .catch(() => {});
+
+    binderApi
+      .getBinderPages(binderId, { simple: true, ...(hideRescinded ? { onlyActive: true } : {}) }, { signal })
+      .then((response) => setPages(toPageArray(response)))
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to load binder pages:', err);
+        setError(getErrorMessage(err, 'Failed to load binder pages'));
+      })
+      .finally(() => {
+        if (!signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [binderId, hideRescinded]);
+
+  const { loaded, errors: pageErrors, load: loadPages, retry: retryPage, updatePage } = usePageChunks(
+    binderId,
+    pages,
+    hideRescinded
+  );
+
+  const index = Math.max(0, pages.findIndex((page) => page.id === pageId));
+  const page = pages[index];
+
+  const capturing = searchParams.get('mode') === CAPTURE_MODE;
+  // ?export=1 opens the print dialog, e.g. from the binder page
+  const exporting = searchParams.get('export') === '1' && !loading && pages.length > 0;
+  const fullPage = page && loaded[page.id];
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => (value ? next.set(key, value) : next.delete(key)));
+    setSearchParams(next, { replace: true });
+  };
+  const pageUrl = (id) => `/binders/${encodeURIComponent(binderId)}/pages/${encodeURIComponent(id)}`;
+  const selectPage = (id) => {
+    scrolledIdRef.current = null;
+    if (id === page?.id && !capturing) {
+      scrollerRef.current?.scrollToPage(id);
+      return;
+    }
+    navigate(`${pageUrl(id)}${location.search}`);
+  };
+
+  const handleScrolledTo = (id) => {
+    scrolledIdRef.current = id;
+    navigate(`${pageUrl(id)}${location.search}`, { replace: true });
+  };
+
+  // Links from before the page was in the path used ?page=
+  const legacyPageId = searchParams.get('page');
+  useEffect(() => {
+    if (legacyPageId) {
+      const next = new URLSearchParams(searchParams);
+      next.delete('page');
+      const query = next.toString();
+      navigate(`${pageUrl(legacyPageId)}${query ? `?${query}` : ''}`, { replace: true });
+    }
+  }, [legacyPageId]);
+
+  // Jump to the page in the URL unless the reader scrolled there
+  useEffect(() => {
+    if (capturing) {
+      scrolledIdRef.current = null;
+      return;
+    }
+    if (loading || !page || scrolledIdRef.current === page.id) {
+      return;
+    }
+    const saved = restoreRef.current ? readScrollPosition(binderId) : null;
+    restoreRef.current = false;
+    if (saved && (!pageId || saved.pageId === pageId) && pages.some((item) => item.id === saved.pageId)) {
+      if (saved.pageId !== pageId) {
+        handleScrolledTo(saved.pageId);
+      }
+      scrollerRef.current?.scrollToPage(saved.pageId, saved.offset);
+    } else if (pageId) {
+      scrollerRef.current?.scrollToPage(page.id);
+    }
+  }, [page?.id, pageId, loading, capturing]);
+
+  // Capture mode shows one page, which needs its cells
+  useEffect(() => {
+    if (capturing && !loading && pages.length) {
+      loadPages(index, index);
+    }
+  }, [capturing, loading, index, loadPages]);
+
+  // Printing needs every page's cells at once
+  useEffect(() => {
+    if (!exporting || printPages) {
+      return undefined;
+    }
+    const controller = new AbortController();
+    binderApi
+      .getBinderPages(binderId, hideRescinded ? { onlyActive: true } : {}, { signal: controller.signal })
+      .then((response) => setPrintPages(toPageArray(response)))
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to load pages for printing:', err);
+        setError(getErrorMessage(err, 'Failed to load pages for printing'));
+        updateParams({ export: null });
+      });
+    return () => controller.abort();
+  }, [exporting, printPages, binderId, hideRescinded]);
+
+  // N and P move to the next and previous page
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || isTyping(e.target) || !pages.length) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === 'n' && index < pages.length - 1) {
+        selectPage(pages[index + 1].id);
+      } else if (key === 'p' && index > 0) {
+        selectPage(pages[index - 1].id);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [pages, index, binderId, location.search]);
+
+  const archived = Boolean(binder) && isBinderArchived(binder);
+  const canEdit = Boolean(binder) && can(PERMISSIONS.BINDER_EDIT) && !archived;
+  // Actions whose endpoint the server turned out not to have are hidden
+  const saveMissing = useEndpointMissing(OPTIONAL_ENDPOINTS.SAVE_PAGE);
+  const promoteMissing = useEndpointMissing(OPTIONAL_ENDPOINTS.PROMOTE_PAGE);
+  const rescindMissing = useEndpointMissing(OPTIONAL_ENDPOINTS.RESCIND_PAGE);
+  const historyMissing = useEndpointMissing(OPTIONAL_ENDPOINTS.PAGE_VERSIONS);
+  const status = page ? getPageStatus(page) : null;
+  const rescinded = status === PAGE_STATUS.RESCINDED;
+  const statusDisplay = status && getStatusDisplay(status);
+
+  const handleStatusChanged = (updated) => {
+    // A response without cells must not wipe the ones already loaded
+    const { cells, ...changes } = normalizePage(updated);
+    const next = cells ? { ...changes, cells } : changes;
+    const merge = (item) => (item.id === next.id ? { ...item, ...next } : item);
+    setPages((current) => current.map(merge));
+    setPrintPages((current) => current && current.map(merge));
+    updatePage(next);
+    setNotice(
+      pageAction === PAGE_ACTIONS.RESCIND
+        ? 'Page rescinded.'
+        : `Version ${next.version} is now the active version.`
+    );
+    setPageAction(null);
+  };
+
+  const handleTemplateSaved = (template, storage) => {
+    setSaveTemplateOpen(false);
+    setNotice(
+      storage === TEMPLATE_STORAGE.LOCAL
+        ? `Saved template "${template.name}" in this browser.`
+        : `Saved template "${template.name}".`
+    );
+  };
+
+  // The new page goes at the end of the binder; its cells are already here, so it is not fetched
+  const handlePageInserted = (saved) => {
+    const added = normalizePage(saved);
+    const { cells, ...summary } = added;
+    setPages((current) => [...current, summary].sort((a, b) => a.order - b.order));
+    setPrintPages(null);
+    updatePage(added);
+    setTemplatePickerOpen(false);
+    setNotice(`Added "${added.name}" from the template as a draft.`);
+    selectPage(added.id);
+  };
+
+  const designUrl = (pageId) =>
+    `/binders/${encodeURIComponent(binderId)}/pages/${encodeURIComponent(pageId)}/design`;
+
+  return (
+    <Box>
+      <Breadcrumbs sx={{ mb: 2 }}>
+        <Link component={RouterLink} to="/binders">
+          Binders
+        </Link>
+        <Link component={RouterLink} to={`/binders/${encodeURIComponent(binderId)}`}>
+          {(binder && getBinderName(binder)) || binderId}
+        </Link>
+        <Typography color="text.primary">Pages</Typography>
+      </Breadcrumbs>
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 1, mb: 2 }}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={hideRescinded}
+              onChange={(e) => updateParams({ rescinded: e.target.checked ? 'hide' : null })}
+            />
+          }
+          label="Hide rescinded pages"
+          sx={{ mr: 'auto' }}
+        />
+        <Button onClick={() => updateParams({ export: '1' })} disabled={!pages.length}>
+          Export / Print
+        </Button>
+        {page && !historyMissing && <Button onClick={() => setHistoryOpen(true)}>History</Button>}
+        {page && (
+          <Button onClick={() => setSaveTemplateOpen(true)} disabled={!fullPage}>
+            Save as template
+          </Button>
+        )}
+        {canEdit && !promoteMissing && status === PAGE_STATUS.DRAFT && (
+          <Button onClick={() => setPageAction(PAGE_ACTIONS.PROMOTE)}>Promote draft</Button>
+        )}
+        {canEdit && !rescindMissing && page && !rescinded && (
+          <Button color="error" onClick={() => setPageAction(PAGE_ACTIONS.RESCIND)}>
+            Rescind
+          </Button>
+        )}
+        {canEdit && !saveMissing && page && !rescinded && (
+          <Button component={RouterLink} to={designUrl(page.id)}>
+            Edit page
+          </Button>
+        )}
+        {canEdit && !saveMissing && (
+          <Button onClick={() => setTemplatePickerOpen(true)}>From template</Button>
+        )}
+        {canEdit && !saveMissing && (
+          <Button variant="contained" component={RouterLink} to={designUrl('new')}>
+            New page
+          </Button>
+        )}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice('')}>
+          {notice}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="50vh">
+          <CircularProgress />
+        </Box>
+      ) : pages.length === 0 ? (
+        !error && (
+          <Alert severity="info">
+            {hideRescinded ? 'This binder has no pages that are not rescinded.' : 'This binder has no pages yet.'}
+          </Alert>
+        )
+      ) : (
+        <>
+          <Paper sx={{ p: 2, mb: 2, display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+            <Button onClick={() => setTocOpen((open) => !open)}>
+              {tocOpen ? 'Hide contents' : 'Contents'}
+            </Button>
+            <Typography variant="subtitle1" noWrap sx={{ flexGrow: 1, minWidth: 0 }}>
+              {page.order}. {[page.visitName, page.worksheetName || page.name].filter(Boolean).join(' - ')}
+            </Typography>
+            <Chip
+              label={page.version ? `${statusDisplay.label} · v${page.version}` : statusDisplay.label}
+              color={statusDisplay.color}
+              variant="outlined"
+            />
+            <Button onClick={() => selectPage(pages[index - 1].id)} disabled={index === 0}>
+              Previous
+            </Button>
+            <Typography variant="body2" color="text.secondary" title="Keys: N next, P previous">
+              {index + 1} of {pages.length}
+            </Typography>
+            <Button onClick={() => selectPage(pages[index + 1].id)} disabled={index === pages.length - 1}>
+              Next
+            </Button>
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              value={capturing ? CAPTURE_MODE : 'view'}
+              onChange={(e, mode) => mode && updateParams({ mode: mode === CAPTURE_MODE ? mode : null })}
+            >
+              <ToggleButton value="view">View</ToggleButton>
+              <ToggleButton value={CAPTURE_MODE}>Fill in</ToggleButton>
+            </ToggleButtonGroup>
+          </Paper>
+
+          {archived && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              This binder is archived and read-only.
+            </Alert>
+          )}
+          {rescinded && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              This page was rescinded
+              {page.statusChangedAt && ` on ${new Date(page.statusChangedAt).toLocaleDateString()}`}
+              {page.statusReason && `: ${page.statusReason}`}
+            </Alert>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+            {tocOpen && (
+              <Paper
+                component="nav"
+                aria-label="Pages"
+                sx={{
+                  width: TOC_WIDTH,
+                  flexShrink: 0,
+                  position: 'sticky',
+                  top: 16,
+                  height: 'calc(100vh - 32px)',
+                  overflow: 'hidden'
+                }}
+              >
+                <PageToc pages={pages} currentId={page.id} onSelect={selectPage} />
+              </Paper>
+            )}
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              {capturing ? (
+                fullPage ? (
+                  <PageCapture
+                    key={page.id}
+                    binderId={binderId}
+                    page={fullPage}
+                    readOnly={archived || rescinded}
+                  />
+                ) : pageErrors[page.id] ? (
+                  <Alert
+                    severity="error"
+                    action={
+                      <Button color="inherit" size="small" onClick={() => retryPage(page.id)}>
+                        Retry
+                      </Button>
+                    }
+                  >
+                    {pageErrors[page.id]}
+                  </Alert>
+                ) : (
+                  <Box display="flex" justifyContent="center" sx={{ py: 4 }}>
+                    <CircularProgress />
+                  </Box>
+                )
+              ) : (
+                <Paper sx={{ overflowX: 'auto' }}>
+                  <PageScroller
+                    ref={scrollerRef}
+                    pages={pages}
+                    loadedPages={loaded}
+                    pageErrors={pageErrors}
+                    positionKey={binderId}
+                    onRangeChange={loadPages}
+                    onRetry={retryPage}
+                    onCurrentChange={handleScrolledTo}
+                  />
+                </Paper>
+              )}
+            </Box>
+          </Box>
+        </>
+      )}
+
+      <PrintDialog
+        open={exporting}
+        onClose={() => updateParams({ export: null })}
+        binder={binder}
+        pages={printPages || pages}
+        loading={!printPages}
+        currentPageId={page?.id}
+      />
+      <PageStatusDialog
+        action={pageAction}
+        binderId={binderId}
+        page={page}
+        onClose={() => setPageAction(null)}
+        onChanged={handleStatusChanged}
+      />
+      <PageVersionHistory
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        binderId={binderId}
+        page={page}
+      />
+      <SaveTemplateDialog
+        open={saveTemplateOpen}
+        onClose={() => setSaveTemplateOpen(false)}
+        page={fullPage}
+        binder={binder}
+        onSaved={handleTemplateSaved}
+      />
+      <TemplatePickerDialog
+        open={templatePickerOpen}
+        onClose={() => setTemplatePickerOpen(false)}
+        binderId={binderId}
+        binder={binder}
+        onInserted={handlePageInserted}
+      />
+    </Box>
+  );
+};
+
+export default BinderPages;
@@ -0,0 +1,272 @@
+import React from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  FormControlLabel,
+  Checkbox,
+  Button,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import ArrowForwardIcon from '@mui/icons-material/ArrowForward';
+import DeleteOutlinedIcon from '@mui/icons-material/DeleteOutlined';
+import {
+  CELL_PROPERTIES,
+  CELL_TYPE_LABELS,
+  INPUT_WIDTHS,
+  BLOCK_INPUTS,
+  MAX_BLOCK_SIZE,
+  MAX_INDENT,
+  createBlock
+} from './sourceCellTypes';
+
+const INPUT_LABELS = {
+  shortUnderline: 'Short underline',
+  mediumUnderline: 'Medium underline',
+  underline: 'Underline',
+  longUnderline: 'Long underline'
+};
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, index) => from + index);
+
+const BlocksEditor = ({ blocks, disabled, onChange }) => {
+  const updateBlock = (index, changes, field) =>
+    onChange(
+      blocks.map((block, blockIndex) => (blockIndex === index ? { ...block, ...changes } : block)),
+      `${blocks[index].id}-${field}`
+    );
+
+  const moveBlock = (index, delta) => {
+    const next = [...blocks];
+    const [block] = next.splice(index, 1);
+    next.splice(index + delta, 0, block);
+    onChange(next);
+  };
+
+  return (
+    <Box>
+      {blocks.map((block, index) => (
+        <Box key={block.id} sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1 }}>
+          <TextField
+            label="Label"
+            size="small"
+            value={block.label}
+            disabled={disabled}
+            onChange={(e) => updateBlock(index, { label: e.target.value }, 'label')}
+            sx={{ flexGrow: 1 }}
+          />
+          <FormControl size="small" sx={{ width: 80 }}>
+            <InputLabel>Size</InputLabel>
+            <Select
+              label="Size"
+              value={block.size}
+              disabled={disabled}
+              onChange={(e) => updateBlock(index, { size: e.target.value }, 'size')}
+            >
+              {range(1, MAX_BLOCK_SIZE).map((size) => (
+                <MenuItem key={size} value={size}>
+                  {size}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ width: 120 }}>
+            <InputLabel>Input</InputLabel>
+            <Select
+              label="Input"
+              value={block.input}
+              disabled={disabled}
+              onChange={(e) => updateBlock(index, { input: e.target.value }, 'input')}
+            >
+              {Object.keys(BLOCK_INPUTS).map((input) => (
+                <MenuItem key={input} value={input}>
+                  {input === 'checkbox' ? 'Checkbox' : 'Underline'}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {!disabled && (
+            <>
+              <Tooltip title="Move left">
+                <span>
+                  <IconButton size="small" onClick={() => moveBlock(index, -1)} disabled={index === 0}>
+                    <ArrowBackIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Move right">
+                <span>
+                  <IconButton
+                    size="small"
+                    onClick={() => moveBlock(index, 1)}
+                    disabled={index === blocks.length - 1}
+                  >
+                    <ArrowForwardIcon fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Remove block">
+                <IconButton
+                  size="small"
+                  color="error"
+                  onClick={() => onChange(blocks.filter((_, blockIndex) => blockIndex !== index))}
+                >
+                  <DeleteOutlinedIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </>
+          )}
+        </Box>
+      ))}
+      {!disabled && (
+        <Button size="small" onClick={() => onChange([...blocks, createBlock()])}>
+          Add block
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+// Edits the selected cell. onChange(changes, coalesceKey) merges changes into the cell;
+// typing into one field passes a key so the keystrokes undo as one step.
+const CellPropertiesPanel = ({ cell, disabled, onChange }) => {
+  if (!cell) {
+    return (
+      <Paper sx={{ p: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          Select a row to edit its properties.
+        </Typography>
+      </Paper>
+    );
+  }
+
+  const props = CELL_PROPERTIES[cell.type];
+  const textField = (name, label) => (
+    <TextField
+      key={name}
+      label={label}
+      size="small"
+      fullWidth
+      value={cell[name] || ''}
+      disabled={disabled}
+      onChange={(e) => onChange({ [name]: e.target.value }, `${cell.id}-${name}`)}
+      sx={{ mb: 2 }}
+    />
+  );
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        {CELL_TYPE_LABELS[cell.type] || cell.type}
+      </Typography>
+
+      {!props && (
+        <Typography variant="body2" color="text.secondary">
+          This row type cannot be edited here. It is kept as-is when the page is saved.
+        </Typography>
+      )}
+
+      {props?.includes('text') && textField('text', 'Text')}
+      {props?.includes('label') && textField('label', 'Label')}
+
+      {props?.includes('input') && (
+        <FormControl size="small" fullWidth sx={{ mb: 2 }}>
+          <InputLabel>Input</InputLabel>
+          <Select
+            label="Input"
+            value={cell.input || ''}
+            disabled={disabled}
+            onChange={(e) => onChange({ input: e.target.value || undefined })}
+          >
+            <MenuItem value="">None</MenuItem>
+            {Object.keys(INPUT_WIDTHS).map((input) => (
+              <MenuItem key={input} value={input}>
+                {INPUT_LABELS[input]}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+
+      {props?.includes('suffix') && textField('suffix', 'Text after input')}
+
+      {props?.includes('options') && (
+        <TextField
+          label="Options (one per line)"
+          size="small"
+          fullWidth
+          multiline
+          minRows={2}
+          value={cell.options.join('\n')}
+          disabled={disabled}
+          onChange={(e) => onChange({ options: e.target.value.split('\n') }, `${cell.id}-options`)}
+          sx={{ mb: 2 }}
+        />
+      )}
+
+      {props?.includes('indent') && (
+        <FormControl size="small" fullWidth sx={{ mb: 2 }}>
+          <InputLabel>Indent</InputLabel>
+          <Select
+            label="Indent"
+            value={cell.indent}
+            disabled={disabled}
+            onChange={(e) => onChange({ indent: e.target.value })}
+          >
+            {range(0, MAX_INDENT).map((level) => (
+              <MenuItem key={level} value={level}>
+                {level === 0 ? 'None' : level}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+
+      {(props?.includes('na') || props?.includes('required')) && (
+        <Box sx={{ mb: 1 }}>
+          {props.includes('na') && (
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={cell.na}
+                  disabled={disabled}
+                  onChange={(e) => onChange({ na: e.target.checked })}
+                />
+              }
+              label="N/A box"
+            />
+          )}
+          {props.includes('required') && (
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={cell.required}
+                  disabled={disabled}
+                  onChange={(e) => onChange({ required: e.target.checked })}
+                />
+              }
+              label="Required"
+            />
+          )}
+        </Box>
+      )}
+
+      {props?.includes('blocks') && (
+        <BlocksEditor
+          blocks={cell.blocks}
+          disabled={disabled}
+          onChange={(blocks, coalesce) => onChange({ blocks }, coalesce)}
+        />
+      )}
+    </Paper>
+  );
+};
+
+export default CellPropertiesPanel;
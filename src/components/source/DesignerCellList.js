@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  IconButton,
+  Tooltip
+} from '@mui/material';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import FormatIndentDecreaseIcon from '@mui/icons-material/FormatIndentDecrease';
+import FormatIndentIncreaseIcon from '@mui/icons-material/FormatIndentIncrease';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import DeleteOutlinedIcon from '@mui/icons-material/DeleteOutlined';
+import { CELL_TYPE_LABELS, CELL_PROPERTIES, MAX_INDENT, describeCell } from './sourceCellTypes';
+import { PALETTE_DRAG_TYPE } from './DesignerPalette';
+
+const CELL_DRAG_TYPE = 'application/x-source-cell';
+
+// The page's rows in order. Rows are reordered by dragging (or the arrow buttons);
+// palette items dropped between rows are inserted there.
+const DesignerCellList = ({
+  cells,
+  selectedId,
+  disabled,
+  onSelect,
+  onMove,
+  onInsert,
+  onIndent,
+  onDuplicate,
+  onRemove
+}) => {
+  // Insertion index (0..cells.length) under the pointer while dragging
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const handleDragOver = (e, index) => {
+    const types = Array.from(e.dataTransfer.types);
+    if (disabled || (!types.includes(CELL_DRAG_TYPE) && !types.includes(PALETTE_DRAG_TYPE))) {
+      return;
+    }
+    e.preventDefault();
+    if (index === cells.length) {
+      setDropIndex(index);
+      return;
+    }
+    const rect = e.currentTarget.getBoundingClientRect();
+    setDropIndex(e.clientY < rect.top + rect.height / 2 ? index : index + 1);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const target = dropIndex;
+    setDropIndex(null);
+    if (target === null) {
+      return;
+    }
+    const paletteKey = e.dataTransfer.getData(PALETTE_DRAG_TYPE);
+    if (paletteKey) {
+      onInsert(paletteKey, target);
+      return;
+    }
+    const from = Number(e.dataTransfer.getData(CELL_DRAG_TYPE));
+    if (!Number.isNaN(from)) {
+      onMove(from, target);
+    }
+  };
+
+  const dropLine = (index) =>
+    dropIndex === index && <Box sx={{ height: 2, bgcolor: 'primary.main', mx: 1 }} />;
+
+  return (
+    <Paper sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" sx={{ px: 2, pt: 2 }}>
+        Rows
+      </Typography>
+      <List dense onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDropIndex(null)}>
+        {cells.map((cell, index) => {
+          const indentable = (CELL_PROPERTIES[cell.type] || []).includes('indent');
+          return (
+            <React.Fragment key={cell.id}>
+              {dropLine(index)}
+              <ListItem
+                disablePadding
+                draggable={!disabled}
+                onDragStart={(e) => {
+                  e.dataTransfer.setData(CELL_DRAG_TYPE, String(index));
+                  e.dataTransfer.effectAllowed = 'move';
+                }}
+                onDragOver={(e) => handleDragOver(e, index)}
+                onDrop={handleDrop}
+                onDragEnd={() => setDropIndex(null)}
+                secondaryAction={
+                  !disabled && (
+                    <Box sx={{ display: 'flex' }}>
+                      <Tooltip title="Move up">
+                        <span>
+                          <IconButton size="small" onClick={() => onMove(index, index - 1)} disabled={index === 0}>
+                            <ArrowUpwardIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Move down">
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => onMove(index, index + 2)}
+                            disabled={index === cells.length - 1}
+                          >
+                            <ArrowDownwardIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Outdent">
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => onIndent(cell.id, -1)}
+                            disabled={!indentable || cell.indent === 0}
+                          >
+                            <FormatIndentDecreaseIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Indent">
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => onIndent(cell.id, 1)}
+                            disabled={!indentable || cell.indent >= MAX_INDENT}
+                          >
+                            <FormatIndentIncreaseIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Duplicate">
+                        <IconButton size="small" onClick={() => onDuplicate(cell.id)}>
+                          <ContentCopyIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton size="small" color="error" onClick={() => onRemove(cell.id)}>
+                          <DeleteOutlinedIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </Box>
+                  )
+                }
+                sx={{ pr: disabled ? 0 : 25 }}
+              >
+                <ListItemButton selected={cell.id === selectedId} onClick={() => onSelect(cell.id)}>
+                  <ListItemText
+                    primary={describeCell(cell) || '(empty)'}
+                    secondary={CELL_TYPE_LABELS[cell.type] || cell.type}
+                    primaryTypographyProps={{ noWrap: true }}
+                    sx={{ pl: (cell.indent || 0) * 2 }}
+                  />
+                </ListItemButton>
+              </ListItem>
+            </React.Fragment>
+          );
+        })}
+        {dropLine(cells.length)}
+        <ListItem onDragOver={(e) => handleDragOver(e, cells.length)} onDrop={handleDrop}>
+          <Typography variant="body2" color="text.secondary">
+            {cells.length ? 'Drop here to add at the end' : 'Add rows from the palette, or drag them here'}
+          </Typography>
+        </ListItem>
+      </List>
+    </Paper>
+  );
+};
+
+export default DesignerCellList;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Paper, Typography, Box, Chip } from '@mui/material';
+import { CELL_PALETTE } from './sourceCellTypes';
+
+export const PALETTE_DRAG_TYPE = 'application/x-source-palette';
+
+// Cell types to add to the page: click to append, or drag into the cell list
+const DesignerPalette = ({ onAdd, disabled }) => (
+  <Paper sx={{ p: 2, mb: 2 }}>
+    <Typography variant="subtitle2" gutterBottom>
+      Add a row
+    </Typography>
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+      {CELL_PALETTE.map((item) => (
+        <Chip
+          key={item.key}
+          label={item.label}
+          size="small"
+          variant="outlined"
+          clickable
+          disabled={disabled}
+          draggable={!disabled}
+          onClick={() => onAdd(item.key)}
+          onDragStart={(e) => {
+            e.dataTransfer.setData(PALETTE_DRAG_TYPE, item.key);
+            e.dataTransfer.effectAllowed = 'copy';
+          }}
+        />
+      ))}
+    </Box>
+  </Paper>
+);
+
+export default DesignerPalette;
@@ -0,0 +1,387 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Breadcrumbs,
+  Link,
+  Button,
+  TextField,
+  Chip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { OPTIONAL_ENDPOINTS, noteUnsupportedEndpoint } from '../../services/endpointSupport';
+import { useEndpointMissing } from '../../hooks/useEndpointMissing';
+import {
+  getBinderName,
+  getProtocolInfo,
+  getHeaderFooterTemplates,
+  isBinderArchived
+} from '../../utils/binderFields';
+import {
+  PLACEHOLDERS,
+  DEFAULT_HEADER_TEMPLATE,
+  DEFAULT_FOOTER_TEMPLATE,
+  TEMPLATE_MAX_LENGTH,
+  findUnknownPlaceholders
+} from './headerFooter';
+import { toPageArray, CELL_TYPES } from './sourceCellTypes';
+import { PRINT_STYLES } from './printLayout';
+import SourceFrame from './SourceFrame';
+import PrintDocument from './PrintDocument';
+
+const PREVIEW_SCALE = 0.6;
+
+const TEMPLATE_FIELDS = [
+  { name: 'headerTemplate', label: 'Header' },
+  { name: 'footerTemplate', label: 'Footer' }
+];
+
+// Shown when the binder has no pages yet
+const SAMPLE_PAGE = {
+  id: 'sample',
+  name: 'Vital Signs',
+  visitName: 'Screening Visit',
+  worksheetName: 'Vital Signs',
+  version: 1,
+  status: 'active',
+  cells: [
+    { id: 's1', type: CELL_TYPES.SECTION_HEADER, text: 'Vital signs' },
+    { id: 's2', type: CELL_TYPES.LABEL, label: 'Blood pressure', input: 'mediumUnderline', suffix: 'mmHg' },
+    { id: 's3', type: CELL_TYPES.LABEL, label: 'Heart rate', input: 'shortUnderline', suffix: 'bpm' },
+    { id: 's4', type: CELL_TYPES.CHECKBOX, label: 'Vitals taken seated after 5 minutes rest', na: true },
+    { id: 's5', type: CELL_TYPES.SIGNATURE, label: 'Performed by' }
+  ]
+};
+
+const toTemplates = (binder) => {
+  const { headerTemplate, footerTemplate } = getHeaderFooterTemplates(binder);
+  return {
+    headerTemplate: headerTemplate ?? DEFAULT_HEADER_TEMPLATE,
+    footerTemplate: footerTemplate ?? DEFAULT_FOOTER_TEMPLATE
+  };
+};
+
+// Edits a binder's print header and footer, previewed on a sample page as it will print.
+// The preview frame is sandboxed: templates are text, but nothing in it may run script.
+const HeaderFooterEditor = () => {
+  const { binderId } = useParams();
+  const [binder, setBinder] = useState(null);
+  const [pages, setPages] = useState([]);
+  const [templates, setTemplates] = useState(toTemplates(null));
+  const [savedTemplates, setSavedTemplates] = useState(toTemplates(null));
+  const [samplePageId, setSamplePageId] = useState('');
+  const [sampleSubjectId, setSampleSubjectId] = useState('1001-001');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const [notice, setNotice] = useState('');
+  // The template field placeholders are inserted into, and its input element
+  const [activeField, setActiveField] = useState('headerTemplate');
+  const inputRefs = useRef({});
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    setLoading(true);
+    setError('');
+
+    binderApi
+      .getBinder(binderId, { signal })
+      .then((response) => {
+        setBinder(response);
+        setTemplates(toTemplates(response));
+        setSavedTemplates(toTemplates(response));
+      })
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to load binder:', err);
+        setError(getErrorMessage(err, 'Failed to load binder'));
+      })
+      .finally(() => {
+        if (!signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    // Pages only feed the preview; without them the built-in sample page is used
+    binderApi
+      .getBinderPages(binderId, {}, { signal })
+      .then((response) => setPages(toPageArray(response)))
+      .catch(() => {});
+
+    return () => controller.abort();
+  }, [binderId]);
+
+  const samplePage = pages.find((page) => page.id === samplePageId) || pages[0] || SAMPLE_PAGE;
+  const previewSheets = useMemo(
+    () => [
+      {
+        key: 'preview',
+        page: samplePage,
+        cells: samplePage.cells || [],
+        part: 1,
+        parts: 1,
+        number: Math.max(1, pages.findIndex((page) => page.id === samplePage.id) + 1),
+        total: Math.max(1, pages.length)
+      }
+    ],
+    [samplePage, pages]
+  );
+  const previewInfo = useMemo(
+    () => ({
+      binderName: binder ? getBinderName(binder) : '',
+      protocol: binder ? getProtocolInfo(binder) : {},
+      subjectId: sampleSubjectId.trim(),
+      printedAt: new Date(),
+      ...templates
+    }),
+    [binder, sampleSubjectId, templates]
+  );
+
+  const fieldErrors = TEMPLATE_FIELDS.reduce((errors, field) => {
+    if (templates[field.name].length > TEMPLATE_MAX_LENGTH) {
+      errors[field.name] = `${field.label} must be ${TEMPLATE_MAX_LENGTH} characters or fewer`;
+    }
+    return errors;
+  }, {});
+  const unknownPlaceholders = [
+    ...new Set(TEMPLATE_FIELDS.flatMap((field) => findUnknownPlaceholders(templates[field.name])))
+  ];
+  const readOnly = !binder || isBinderArchived(binder);
+  const saveMissing = useEndpointMissing(OPTIONAL_ENDPOINTS.HEADER_FOOTER);
+  const dirty = TEMPLATE_FIELDS.some((field) => templates[field.name] !== savedTemplates[field.name]);
+
+  const updateTemplate = (name, value) => {
+    setTemplates((current) => ({ ...current, [name]: value }));
+    setNotice('');
+  };
+
+  // Insert at the cursor of the last focused field, then put the cursor after it
+  const insertPlaceholder = (key) => {
+    const input = inputRefs.current[activeField];
+    const text = `{{${key}}}`;
+    const current = templates[activeField];
+    const start = input ? input.selectionStart : current.length;
+    const end = input ? input.selectionEnd : current.length;
+    updateTemplate(activeField, current.slice(0, start) + text + current.slice(end));
+    requestAnimationFrame(() => {
+      if (input) {
+        input.focus();
+        input.setSelectionRange(start + text.length, start + text.length);
+      }
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setSaveError('');
+    setNotice('');
+    try {
+      const response = await binderApi.updateBinderHeaderFooter({ binderId, ...templates });
+      const saved = response ? toTemplates(response) : templates;
+      if (response) {
+        setBinder(response);
+      }
+      setTemplates(saved);
+      setSavedTemplates(saved);
+      setNotice('Header and footer saved.');
+    } catch (err) {
+      console.error('Failed to save header and footer:', err);
+      if (!noteUnsupportedEndpoint(err, OPTIONAL_ENDPOINTS.HEADER_FOOTER)) {
+        setSaveError(getErrorMessage(err, 'Failed to save header and footer'));
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const breadcrumbs = (
+    <Breadcrumbs sx={{ mb: 2 }}>
+      <Link component={RouterLink} to="/binders">
+        Binders
+      </Link>
+      <Link component={RouterLink} to={`/binders/${encodeURIComponent(binderId)}`}>
+        {(binder && getBinderName(binder)) || binderId}
+      </Link>
+      <Typography color="text.primary">Header and footer</Typography>
+    </Breadcrumbs>
+  );
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="50vh">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Box>
+        {breadcrumbs}
+        <Alert severity="error">{error}</Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {breadcrumbs}
+
+      {readOnly && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          This binder is archived. Its header and footer can be viewed but not changed.
+        </Alert>
+      )}
+      {saveMissing && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          This server does not support print headers and footers, so changes made here cannot be saved.
+        </Alert>
+      )}
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice('')}>
+          {notice}
+        </Alert>
+      )}
+      {saveError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setSaveError('')}>
+          {saveError}
+        </Alert>
+      )}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={5}>
+          <Paper sx={{ p: 2, mb: 2 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Each line prints as a row. Use | to split a row into left, centre and right columns, and
+              **text** for bold.
+            </Typography>
+            {TEMPLATE_FIELDS.map((field) => (
+              <TextField
+                key={field.name}
+                label={field.label}
+                fullWidth
+                multiline
+                minRows={2}
+                value={templates[field.name]}
+                disabled={readOnly}
+                onChange={(e) => updateTemplate(field.name, e.target.value)}
+                onFocus={() => setActiveField(field.name)}
+                inputRef={(element) => {
+                  inputRefs.current[field.name] = element;
+                }}
+                error={Boolean(fieldErrors[field.name])}
+                helperText={fieldErrors[field.name] || ' '}
+                InputProps={{ sx: { fontFamily: 'monospace', fontSize: 13 } }}
+                sx={{ mb: 1 }}
+              />
+            ))}
+
+            <Typography variant="subtitle2" gutterBottom>
+              Insert into {activeField === 'headerTemplate' ? 'header' : 'footer'}
+            </Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+              {PLACEHOLDERS.map((placeholder) => (
+                <Chip
+                  key={placeholder.key}
+                  label={placeholder.label}
+                  size="small"
+                  variant="outlined"
+                  clickable
+                  disabled={readOnly}
+                  onClick={() => insertPlaceholder(placeholder.key)}
+                />
+              ))}
+            </Box>
+
+            {unknownPlaceholders.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Unknown placeholder{unknownPlaceholders.length === 1 ? '' : 's'}:{' '}
+                {unknownPlaceholders.map((key) => `{{${key}}}`).join(', ')}. They print as blank.
+              </Alert>
+            )}
+
+            <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+              <Button
+                onClick={() =>
+                  setTemplates({ headerTemplate: DEFAULT_HEADER_TEMPLATE, footerTemplate: DEFAULT_FOOTER_TEMPLATE })
+                }
+                disabled={readOnly}
+              >
+                Use defaults
+              </Button>
+              <Button onClick={() => setTemplates(savedTemplates)} disabled={readOnly || !dirty || saving}>
+                Discard changes
+              </Button>
+              <Button
+                variant="contained"
+                onClick={handleSave}
+                disabled={readOnly || saveMissing || !dirty || saving || Object.keys(fieldErrors).length > 0}
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </Box>
+          </Paper>
+
+          <Paper sx={{ p: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              Preview with
+            </Typography>
+            <FormControl size="small" fullWidth sx={{ mb: 2 }} disabled={!pages.length}>
+              <InputLabel>Sample page</InputLabel>
+              <Select
+                label="Sample page"
+                value={pages.length ? samplePage.id : ''}
+                onChange={(e) => setSamplePageId(e.target.value)}
+              >
+                {pages.map((page) => (
+                  <MenuItem key={page.id} value={page.id}>
+                    {page.order}. {[page.visitName, page.worksheetName || page.name].filter(Boolean).join(' - ')}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <TextField
+              label="Sample subject ID"
+              size="small"
+              fullWidth
+              value={sampleSubjectId}
+              onChange={(e) => setSampleSubjectId(e.target.value)}
+              helperText="Printing without a subject ID leaves a line to write it in"
+            />
+          </Paper>
+        </Grid>
+        <Grid item xs={12} md={7}>
+          <Paper sx={{ p: 2, overflowX: 'auto', position: 'sticky', top: 16 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              Preview
+            </Typography>
+            <SourceFrame
+              title="Header and footer preview"
+              scale={PREVIEW_SCALE}
+              styles={PRINT_STYLES}
+              sandbox="allow-same-origin"
+            >
+              <PrintDocument sheets={previewSheets} info={previewInfo} />
+            </SourceFrame>
+          </Paper>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default HeaderFooterEditor;
@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Alert,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+import { getUserId } from '../../services/permissions';
+import { getAuthToken } from '../../services/authToken';
+import { captureStore } from '../../services/captureStore';
+import {
+  getCaptureFields,
+  validateCapture,
+  isEmptyValue,
+  parseSourceDate,
+  formatSourceDate
+} from './sourceCapture';
+import SourceFrame from './SourceFrame';
+import SourcePageRenderer, { CaptureProvider } from './SourcePageRenderer';
+
+const AUTOSAVE_DELAY = 500;
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Fills in one source page. Entries autosave to this device (IndexedDB) as they are
+// typed; required and date checks run on every change.
+const PageCapture = ({ binderId, page, readOnly }) => {
+  const { user } = useAuth();
+  const userId = getUserId(user);
+  const fields = useMemo(() => getCaptureFields(page), [page]);
+  const [values, setValues] = useState({});
+  const [touched, setTouched] = useState({});
+  const [showAllErrors, setShowAllErrors] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+  const [draftVersion, setDraftVersion] = useState(null);
+  const [saveState, setSaveState] = useState({ status: 'idle', savedAt: null, error: '' });
+  const [confirmClear, setConfirmClear] = useState(false);
+
+  // The latest values, and the draft waiting for the autosave timer
+  const valuesRef = useRef(values);
+  const pendingRef = useRef(null);
+  const timerRef = useRef(null);
+
+  const flush = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    const pending = pendingRef.current;
+    if (!pending) {
+      return;
+    }
+    pendingRef.current = null;
+    // Signing out (here or in another tab) deleted this user's drafts; don't write this one back
+    if (!getAuthToken()) {
+      return;
+    }
+    setSaveState((current) => ({ ...current, status: 'saving' }));
+    captureStore
+      .saveDraft(pending)
+      .then((record) => setSaveState({ status: 'saved', savedAt: record.updatedAt, error: '' }))
+      .catch((err) => {
+        console.error('Failed to save capture draft:', err);
+        setSaveState({ status: 'error', savedAt: null, error: err.message || 'Could not save on this device' });
+      });
+  }, []);
+
+  useEffect(() => {
+    let active = true;
+    setLoaded(false);
+    captureStore
+      .loadDraft({ userId, binderId, pageId: page.id })
+      .then((draft) => {
+        if (!active) {
+          return;
+        }
+        valuesRef.current = draft?.values || {};
+        setValues(valuesRef.current);
+        setDraftVersion(draft ? draft.pageVersion : null);
+        setSaveState({ status: draft ? 'saved' : 'idle', savedAt: draft?.updatedAt || null, error: '' });
+      })
+      .catch((err) => {
+        if (!active) {
+          return;
+        }
+        console.error('Failed to load capture draft:', err);
+        setSaveState({ status: 'error', savedAt: null, error: err.message || 'Could not read saved entries' });
+      })
+      .finally(() => {
+        if (active) {
+          setLoaded(true);
+        }
+      });
+    return () => {
+      active = false;
+    };
+  }, [userId, binderId, page.id]);
+
+  // Write anything still waiting when the page is left, hidden or closed
+  useEffect(() => {
+    const handleHide = () => {
+      if (document.visibilityState === 'hidden') {
+        flush();
+      }
+    };
+    window.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', handleHide);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', handleHide);
+      flush();
+    };
+  }, [flush]);
+
+  const handleChange = (key, value) => {
+    const next = { ...valuesRef.current, [key]: value };
+    valuesRef.current = next;
+    setValues(next);
+    setTouched((current) => (current[key] ? current : { ...current, [key]: true }));
+    pendingRef.current = { userId, binderId, pageId: page.id, pageVersion: page.version, values: next };
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(flush, AUTOSAVE_DELAY);
+  };
+
+  const handleBlur = (key) => {
+    setTouched((current) => (current[key] ? current : { ...current, [key]: true }));
+    // Tidy a valid date into the printed form, e.g. "5-mar-2024" -> "05 / MAR / 2024"
+    const field = fields.find((item) => item.key === key);
+    const date = field?.kind === 'date' && parseSourceDate(valuesRef.current[key]);
+    if (date && formatSourceDate(date) !== valuesRef.current[key]) {
+      handleChange(key, formatSourceDate(date));
+    }
+  };
+
+  const handleClear = () => {
+    setConfirmClear(false);
+    clearTimeout(timerRef.current);
+    pendingRef.current = null;
+    valuesRef.current = {};
+    setValues({});
+    setTouched({});
+    setShowAllErrors(false);
+    setDraftVersion(null);
+    captureStore
+      .deleteDraft({ userId, binderId, pageId: page.id })
+      .then(() => setSaveState({ status: 'idle', savedAt: null, error: '' }))
+      .catch((err) => {
+        console.error('Failed to clear capture draft:', err);
+        setSaveState({ status: 'error', savedAt: null, error: err.message || 'Could not clear saved entries' });
+      });
+  };
+
+  const errors = useMemo(() => validateCapture(fields, values), [fields, values]);
+  const visibleErrors = useMemo(
+    () =>
+      Object.fromEntries(Object.entries(errors).filter(([key]) => showAllErrors || touched[key])),
+    [errors, touched, showAllErrors]
+  );
+  const invalidFields = fields.filter((field) => visibleErrors[field.key]);
+  const filled = fields.filter(
+    (field) => !isEmptyValue(values[field.key]) || (field.naKey && values[field.naKey])
+  ).length;
+  const missingRequired = fields.filter((field) => errors[field.key] && isEmptyValue(values[field.key])).length;
+  const pageChanged =
+    draftVersion !== null && page.version !== null && String(draftVersion) !== String(page.version);
+
+  const capture = {
+    values,
+    errors: visibleErrors,
+    readOnly: readOnly || !loaded,
+    onChange: handleChange,
+    onBlur: handleBlur
+  };
+
+  return (
+    <Box>
+      <Paper sx={{ p: 2, mb: 2, display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+        <Box sx={{ flexGrow: 1 }}>
+          <Typography variant="body2">
+            {filled} of {fields.length} fields filled
+            {missingRequired > 0 && ` · ${missingRequired} required field${missingRequired === 1 ? '' : 's'} left`}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {saveState.status === 'saving' && 'Saving on this device...'}
+            {saveState.status === 'saved' && `Saved on this device at ${formatTime(saveState.savedAt)}`}
+            {saveState.status === 'idle' && 'Entries are saved on this device as you type'}
+          </Typography>
+        </Box>
+        <Button onClick={() => setShowAllErrors(true)} disabled={!loaded}>
+          Check page
+        </Button>
+        <Button color="error" onClick={() => setConfirmClear(true)} disabled={readOnly || !loaded}>
+          Clear entries
+        </Button>
+      </Paper>
+
+      {!loaded && <LinearProgress sx={{ mb: 2 }} />}
+
+      {saveState.status === 'error' && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {saveState.error}. Keep this tab open until your entries are recorded elsewhere.
+        </Alert>
+      )}
+      {readOnly && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          This page is read-only. Saved entries can be viewed but not changed.
+        </Alert>
+      )}
+      {pageChanged && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          This page was edited after these entries were saved. Check them against the current page.
+        </Alert>
+      )}
+      {showAllErrors && invalidFields.length === 0 && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setShowAllErrors(false)}>
+          All required fields are filled and every date is valid.
+        </Alert>
+      )}
+      {invalidFields.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {invalidFields.map((field) => (
+            <div key={field.key}>{visibleErrors[field.key]}</div>
+          ))}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2, overflowX: 'auto' }}>
+        <SourceFrame title={`${page.name} (capture)`}>
+          <CaptureProvider value={capture}>
+            <SourcePageRenderer pages={[page]} />
+          </CaptureProvider>
+        </SourceFrame>
+      </Paper>
+
+      <Dialog open={confirmClear} onClose={() => setConfirmClear(false)}>
+        <DialogTitle>Clear entries?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Everything filled in on this page will be removed from this device. This cannot be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmClear(false)}>Cancel</Button>
+          <Button color="error" onClick={handleClear}>
+            Clear entries
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default PageCapture;
@@ -0,0 +1,413 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link as RouterLink, useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Breadcrumbs,
+  Link,
+  Button,
+  TextField,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import UndoIcon from '@mui/icons-material/Undo';
+import RedoIcon from '@mui/icons-material/Redo';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { getBinderName, isBinderArchived } from '../../utils/binderFields';
+import { validateFields } from '../../utils/validation';
+import { OPTIONAL_ENDPOINTS, noteUnsupportedEndpoint } from '../../services/endpointSupport';
+import { useUndoableState } from '../../hooks/useUndoableState';
+import { useEndpointMissing } from '../../hooks/useEndpointMissing';
+import {
+  CELL_TYPES,
+  CELL_PROPERTIES,
+  MAX_INDENT,
+  createCell,
+  cloneCell,
+  normalizePage,
+  serializeCell,
+  toPageArray
+} from './sourceCellTypes';
+import { PAGE_STATUS, getPageStatus } from './pageStatus';
+import SourceFrame from './SourceFrame';
+import SourcePageRenderer from './SourcePageRenderer';
+import DesignerPalette from './DesignerPalette';
+import DesignerCellList from './DesignerCellList';
+import CellPropertiesPanel from './CellPropertiesPanel';
+
+const NEW_PAGE_ID = 'new';
+const PREVIEW_SCALE = 0.75;
+
+const PAGE_FIELDS = [
+  { name: 'name', label: 'Page name', required: true, maxLength: 200 },
+  { name: 'visitName', label: 'Visit', maxLength: 200 },
+  { name: 'worksheetName', label: 'Worksheet', maxLength: 200 }
+];
+
+const EMPTY_PAGE = { name: '', visitName: '', worksheetName: '', cells: [] };
+
+// Cell list edits; each returns a new cells array
+const insertCell = (cells, cell, index) => [...cells.slice(0, index), cell, ...cells.slice(index)];
+
+// `to` is an insertion index (0..length) in the list before the move
+const moveCell = (cells, from, to) => {
+  if (from < 0 || from >= cells.length || to < 0 || to > cells.length || to === from || to === from + 1) {
+    return cells;
+  }
+  const next = [...cells];
+  const [cell] = next.splice(from, 1);
+  next.splice(from < to ? to - 1 : to, 0, cell);
+  return next;
+};
+
+const updateCell = (cells, id, changes) =>
+  cells.map((cell) => (cell.id === id ? { ...cell, ...changes } : cell));
+
+const indentCell = (cells, id, delta) =>
+  cells.map((cell) =>
+    cell.id === id && (CELL_PROPERTIES[cell.type] || []).includes('indent')
+      ? { ...cell, indent: Math.min(MAX_INDENT, Math.max(0, cell.indent + delta)) }
+      : cell
+  );
+
+const toPageDraft = (page) => ({
+  name: page.name,
+  visitName: page.visitName,
+  worksheetName: page.worksheetName,
+  cells: page.cells || []
+});
+
+const toSavePayload = (binderId, pageId, draft) => ({
+  binderId,
+  pageId: pageId === NEW_PAGE_ID ? undefined : pageId,
+  name: draft.name.trim() || [draft.visitName, draft.worksheetName].filter(Boolean).join(' - '),
+  visitName: draft.visitName.trim(),
+  worksheetName: draft.worksheetName.trim(),
+  cells: draft.cells.map((cell) =>
+    serializeCell(
+      cell.type === CELL_TYPES.MULTISELECT
+        ? { ...cell, options: cell.options.map((option) => option.trim()).filter(Boolean) }
+        : cell
+    )
+  )
+});
+
+const isEditingText = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// Builds a source worksheet page from the cell palette, with the page previewed
+// beside the editor using the same stylesheet it prints with
+const PageDesigner = () => {
+  const { binderId, pageId } = useParams();
+  const navigate = useNavigate();
+  const isNew = pageId === NEW_PAGE_ID;
+  const { value: draft, set: setDraft, undo, redo, reset, canUndo, canRedo } = useUndoableState(EMPTY_PAGE);
+  const [savedDraft, setSavedDraft] = useState(EMPTY_PAGE);
+  const [binder, setBinder] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [notice, setNotice] = useState('');
+  const [pageStatus, setPageStatus] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    setLoading(true);
+    setError('');
+    setSelectedId(null);
+
+    Promise.all([
+      binderApi.getBinder(binderId, { signal }),
+      isNew ? Promise.resolve(null) : binderApi.getBinderPages(binderId, {}, { signal })
+    ])
+      .then(([binderResponse, pagesResponse]) => {
+        setBinder(binderResponse);
+        let page = EMPTY_PAGE;
+        if (!isNew) {
+          page = toPageArray(pagesResponse).find((item) => item.id === pageId);
+          if (!page) {
+            setError('Page not found.');
+            return;
+          }
+        }
+        const normalized = normalizePage(page);
+        const loaded = toPageDraft(normalized);
+        setPageStatus(isNew ? null : getPageStatus(normalized));
+        reset(loaded);
+        setSavedDraft(loaded);
+      })
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to load page:', err);
+        setError(getErrorMessage(err, 'Failed to load page'));
+      })
+      .finally(() => {
+        if (!signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+  }, [binderId, pageId]);
+
+  const archived = Boolean(binder) && isBinderArchived(binder);
+  const rescinded = pageStatus === PAGE_STATUS.RESCINDED;
+  const readOnly = !binder || archived || rescinded;
+  const dirty = draft !== savedDraft;
+  const saveMissing = useEndpointMissing(OPTIONAL_ENDPOINTS.SAVE_PAGE);
+
+  useEffect(() => {
+    if (!dirty) {
+      return undefined;
+    }
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [dirty]);
+
+  useEffect(() => {
+    if (readOnly) {
+      return undefined;
+    }
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditingText(e.target)) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [readOnly, undo, redo]);
+
+  const setCells = (update, options) =>
+    setDraft((current) => {
+      const cells = update(current.cells);
+      return cells === current.cells ? current : { ...current, cells };
+    }, options);
+
+  const handleInsert = (paletteKey, index) => {
+    const cell = createCell(paletteKey);
+    setCells((cells) => insertCell(cells, cell, index ?? cells.length));
+    setSelectedId(cell.id);
+  };
+
+  const handleDuplicate = (id) => {
+    const index = draft.cells.findIndex((cell) => cell.id === id);
+    const copy = cloneCell(draft.cells[index]);
+    setCells((cells) => insertCell(cells, copy, index + 1));
+    setSelectedId(copy.id);
+  };
+
+  const handleRemove = (id) => {
+    setCells((cells) => cells.filter((cell) => cell.id !== id));
+    if (selectedId === id) {
+      setSelectedId(null);
+    }
+  };
+
+  const handleFieldChange = (name) => (e) => {
+    setDraft((current) => ({ ...current, [name]: e.target.value }), { coalesce: `page-${name}` });
+    setFieldErrors((current) => ({ ...current, [name]: undefined }));
+  };
+
+  const handleSave = async () => {
+    const payload = toSavePayload(binderId, pageId, draft);
+    const errors = validateFields(PAGE_FIELDS, payload);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) {
+      return;
+    }
+
+    setSaving(true);
+    setSaveError('');
+    setNotice('');
+    try {
+      const saved = normalizePage(await binderApi.saveBinderPage(payload));
+      setSavedDraft(draft);
+      setPageStatus(getPageStatus(saved));
+      setNotice(
+        getPageStatus(saved) === PAGE_STATUS.DRAFT
+          ? `Saved as draft version ${saved.version}. Promote it from the pages view to make it active.`
+          : 'Page saved.'
+      );
+      if (isNew) {
+        navigate(`/binders/${encodeURIComponent(binderId)}/pages/${encodeURIComponent(saved.id)}/design`, {
+          replace: true
+        });
+      }
+    } catch (err) {
+      console.error('Failed to save page:', err);
+      if (!noteUnsupportedEndpoint(err, OPTIONAL_ENDPOINTS.SAVE_PAGE)) {
+        setSaveError(getErrorMessage(err, 'Failed to save page'));
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const previewPage = useMemo(
+    () => ({ id: pageId, ...draft, name: draft.name || 'Untitled page' }),
+    [pageId, draft]
+  );
+  const selectedCell = draft.cells.find((cell) => cell.id === selectedId) || null;
+  const pagesUrl = `/binders/${encodeURIComponent(binderId)}/pages`;
+
+  const breadcrumbs = (
+    <Breadcrumbs sx={{ mb: 2 }}>
+      <Link component={RouterLink} to="/binders">
+        Binders
+      </Link>
+      <Link component={RouterLink} to={`/binders/${encodeURIComponent(binderId)}`}>
+        {(binder && getBinderName(binder)) || binderId}
+      </Link>
+      <Link component={RouterLink} to={isNew ? pagesUrl : `${pagesUrl}/${encodeURIComponent(pageId)}`}>
+        Pages
+      </Link>
+      <Typography color="text.primary">{isNew ? 'New page' : 'Design'}</Typography>
+    </Breadcrumbs>
+  );
+
+  if (loading) {
+    return (
+      <Box display="flex" justifyContent="center" alignItems="center" minHeight="50vh">
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Box>
+        {breadcrumbs}
+        <Alert severity="error">{error}</Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {breadcrumbs}
+
+      {archived && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          This binder is archived. Its pages can be viewed but not changed.
+        </Alert>
+      )}
+      {rescinded && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          This page is rescinded. It can be viewed but not changed.
+        </Alert>
+      )}
+      {saveMissing && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          This server does not support saving pages, so changes made here cannot be saved.
+        </Alert>
+      )}
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice('')}>
+          {notice}
+        </Alert>
+      )}
+      {saveError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setSaveError('')}>
+          {saveError}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2, mb: 2, display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+        {PAGE_FIELDS.map((field) => (
+          <TextField
+            key={field.name}
+            label={field.label}
+            size="small"
+            value={draft[field.name]}
+            disabled={readOnly}
+            onChange={handleFieldChange(field.name)}
+            error={Boolean(fieldErrors[field.name])}
+            helperText={
+              fieldErrors[field.name] ||
+              (field.name === 'name' && !draft.name ? 'Defaults to visit - worksheet' : ' ')
+            }
+            inputProps={{ maxLength: field.maxLength }}
+            sx={{ minWidth: 200, flexGrow: 1 }}
+          />
+        ))}
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', pt: 0.5 }}>
+          <Button startIcon={<UndoIcon />} onClick={undo} disabled={readOnly || !canUndo}>
+            Undo
+          </Button>
+          <Button startIcon={<RedoIcon />} onClick={redo} disabled={readOnly || !canRedo}>
+            Redo
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={readOnly || saveMissing || saving || (!dirty && !isNew)}
+          >
+            {saving ? 'Saving...' : 'Save page'}
+          </Button>
+        </Box>
+      </Paper>
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={5}>
+          {!readOnly && <DesignerPalette onAdd={(key) => handleInsert(key)} />}
+          <DesignerCellList
+            cells={draft.cells}
+            selectedId={selectedId}
+            disabled={readOnly}
+            onSelect={setSelectedId}
+            onMove={(from, to) => setCells((cells) => moveCell(cells, from, to))}
+            onInsert={handleInsert}
+            onIndent={(id, delta) => setCells((cells) => indentCell(cells, id, delta))}
+            onDuplicate={handleDuplicate}
+            onRemove={handleRemove}
+          />
+          <CellPropertiesPanel
+            cell={selectedCell}
+            disabled={readOnly}
+            onChange={(changes, coalesce) =>
+              setCells((cells) => updateCell(cells, selectedId, changes), { coalesce })
+            }
+          />
+        </Grid>
+        <Grid item xs={12} md={7}>
+          <Paper sx={{ p: 2, overflowX: 'auto', position: 'sticky', top: 16 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              Preview
+            </Typography>
+            <SourceFrame title="Page preview" scale={PREVIEW_SCALE}>
+              <SourcePageRenderer
+                pages={[previewPage]}
+                selectedCellId={selectedId}
+                onCellClick={setSelectedId}
+              />
+            </SourceFrame>
+          </Paper>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default PageDesigner;
@@ -0,0 +1,227 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import SourceFrame from './SourceFrame';
+import { SourcePage, PageHeader } from './SourcePageRenderer';
+
+// Room left above a page scrolled to the top of the window
+const SCROLL_MARGIN = 16;
+// The page crossing this fraction of the window height is the current page
+const CURRENT_LINE = 1 / 3;
+// How long scrollToPage waits for the frame to lay the page out, in animation frames
+const MAX_SCROLL_ATTEMPTS = 120;
+// Pages rendered above and below the ones in view
+const OVERSCAN = 1;
+
+const POSITION_KEY_PREFIX = 'stat-page-scroll:';
+
+// Grey bars standing in for the rows of a page that is still loading
+const SCROLLER_STYLES = `
+  @keyframes skeletonPulse { 50% { opacity: 0.4; } }
+  .skeletonRow {
+    height: 6mm;
+    margin: 4mm 2mm;
+    background: #e0e0e0;
+    border-radius: 1mm;
+    animation: skeletonPulse 1.5s ease-in-out infinite;
+  }
+  .pageLoadError { margin: 6mm 2mm; font-family: sans-serif; font-size: 12pt; color: #b61b1b; }
+  .pageLoadError button { margin-left: 3mm; font: inherit; }
+`;
+
+const SKELETON_WIDTHS = ['90%', '70%', '80%', '55%', '85%', '65%'];
+
+// Where the reader was in a binder, kept for the browser tab: { pageId, offset } with
+// offset the window's distance below the top of that page
+export const readScrollPosition = (key) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(`${POSITION_KEY_PREFIX}${key}`));
+  } catch (error) {
+    return null;
+  }
+};
+
+const saveScrollPosition = (key, position) => {
+  try {
+    sessionStorage.setItem(`${POSITION_KEY_PREFIX}${key}`, JSON.stringify(position));
+  } catch (error) {
+    // Storage full or disabled; the position is only a convenience
+  }
+};
+
+// Index of the last element starting at or above y (elements are in document order)
+const lastAtOrAbove = (elements, y) => {
+  let low = 0;
+  let high = elements.length - 1;
+  let found = 0;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (elements[middle].offsetTop <= y) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
+
+// A page outside the rendered window: the same fixed-height box as the page, so the
+// scroll height and positions match, empty or with a skeleton while its content loads
+const PagePlaceholder = ({ page, first, skeleton, error, onRetry }) => (
+  <div className={first ? 'pageStartFirst' : 'pageStart'} data-page-id={page.id}>
+    {skeleton && <PageHeader page={page} />}
+    {skeleton &&
+      (error ? (
+        <div className="pageLoadError">
+          {error}
+          {onRetry && (
+            <button type="button" onClick={() => onRetry(page.id)}>
+              Retry
+            </button>
+          )}
+        </div>
+      ) : (
+        SKELETON_WIDTHS.map((width, index) => <div key={index} className="skeletonRow" style={{ width }} />)
+      ))}
+  </div>
+);
+
+// Every page of a binder in one frame, read by scrolling the window. Only the pages in
+// view (and OVERSCAN either side) are rendered; the rest are empty boxes of the same
+// height. pages may come without cells: loadedPages ({ [pageId]: page }) holds the full
+// ones, and onRangeChange(start, end) asks for the indexes coming into view. pageErrors
+// ({ [pageId]: message }) replaces a skeleton with the message and onRetry(pageId).
+// onCurrentChange(pageId) fires as the reader scrolls from page to page; the ref has
+// scrollToPage(pageId, offset) for jumps. positionKey saves the position for readScrollPosition.
+const PageScroller = forwardRef(
+  ({ pages, loadedPages, pageErrors = {}, positionKey, onRangeChange, onRetry, onCurrentChange }, ref) => {
+    const frameRef = useRef(null);
+    const currentRef = useRef(null);
+    const [range, setRange] = useState({ start: 0, end: 0 });
+    const callbacksRef = useRef({});
+    callbacksRef.current = { onRangeChange, onCurrentChange };
+
+    const findPageElement = (pageId) =>
+      frameRef.current?.contentDocument?.querySelector(`[data-page-id="${CSS.escape(pageId)}"]`) || null;
+
+    useImperativeHandle(
+      ref,
+      () => ({
+        scrollToPage: (pageId, offset = -SCROLL_MARGIN) => {
+          let attempts = 0;
+          const attempt = () => {
+            const iframe = frameRef.current;
+            const element = findPageElement(pageId);
+            // The frame grows to fit its pages once they render; until then the window cannot scroll that far
+            if (!iframe || !element || iframe.offsetHeight < element.offsetTop + element.offsetHeight) {
+              attempts += 1;
+              if (attempts < MAX_SCROLL_ATTEMPTS) {
+                requestAnimationFrame(attempt);
+              }
+              return;
+            }
+            currentRef.current = pageId;
+            const top = window.scrollY + iframe.getBoundingClientRect().top + element.offsetTop;
+            window.scrollTo({ top: top + offset });
+          };
+          attempt();
+        }
+      }),
+      []
+    );
+
+    useEffect(() => {
+      let scheduled = null;
+      let attempts = 0;
+      let reported = null;
+      // Until the window scrolls, the position is the one the page opened at, not the reader's
+      let scrolled = false;
+
+      const update = () => {
+        scheduled = null;
+        const iframe = frameRef.current;
+        const elements = iframe?.contentDocument?.querySelectorAll('[data-page-id]');
+        if (!elements || !elements.length) {
+          // The frame has not rendered its pages yet
+          attempts += 1;
+          if (attempts < MAX_SCROLL_ATTEMPTS) {
+            scheduled = requestAnimationFrame(update);
+          }
+          return;
+        }
+        const viewTop = -iframe.getBoundingClientRect().top;
+        const start = Math.max(0, lastAtOrAbove(elements, viewTop) - OVERSCAN);
+        const bottom = lastAtOrAbove(elements, viewTop + window.innerHeight);
+        const end = Math.min(elements.length - 1, bottom + OVERSCAN);
+        if (!reported || reported.start !== start || reported.end !== end) {
+          reported = { start, end };
+          setRange(reported);
+          callbacksRef.current.onRangeChange?.(start, end);
+        }
+
+        if (!scrolled) {
+          return;
+        }
+        const current = elements[lastAtOrAbove(elements, viewTop + window.innerHeight * CURRENT_LINE)];
+        const pageId = current.getAttribute('data-page-id');
+        if (positionKey) {
+          const top = elements[lastAtOrAbove(elements, viewTop)];
+          saveScrollPosition(positionKey, {
+            pageId: top.getAttribute('data-page-id'),
+            offset: Math.round(viewTop - top.offsetTop)
+          });
+        }
+        if (pageId !== currentRef.current) {
+          currentRef.current = pageId;
+          callbacksRef.current.onCurrentChange(pageId);
+        }
+      };
+
+      const scheduleUpdate = () => {
+        if (!scheduled) {
+          scheduled = requestAnimationFrame(update);
+        }
+      };
+      const handleScroll = () => {
+        scrolled = true;
+        scheduleUpdate();
+      };
+
+      // The first pages in view need rendering before the reader scrolls
+      scheduleUpdate();
+      window.addEventListener('scroll', handleScroll, { passive: true });
+      window.addEventListener('resize', scheduleUpdate);
+      return () => {
+        window.removeEventListener('scroll', handleScroll);
+        window.removeEventListener('resize', scheduleUpdate);
+        if (scheduled) {
+          cancelAnimationFrame(scheduled);
+        }
+      };
+    }, [pages, positionKey]);
+
+    return (
+      <SourceFrame ref={frameRef} title="Binder pages" styles={SCROLLER_STYLES}>
+        <div className="PageBody">
+          {pages.map((page, index) => {
+            const inView = index >= range.start && index <= range.end;
+            const loaded = inView && loadedPages[page.id];
+            return loaded ? (
+              <SourcePage key={page.id} page={loaded} first={index === 0} />
+            ) : (
+              <PagePlaceholder
+                key={page.id}
+                page={page}
+                first={index === 0}
+                skeleton={inView}
+                error={pageErrors[page.id]}
+                onRetry={onRetry}
+              />
+            );
+          })}
+        </div>
+      </SourceFrame>
+    );
+  }
+);
+
+export default PageScroller;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField,
+  Alert
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { getErrorMessage } from '../../services/apiService';
+import { OPTIONAL_ENDPOINTS, noteUnsupportedEndpoint } from '../../services/endpointSupport';
+import { useEndpointMissing } from '../../hooks/useEndpointMissing';
+import { validateFields } from '../../utils/validation';
+import { RESCIND_REASON_MAX_LENGTH } from './pageStatus';
+
+export const PAGE_ACTIONS = {
+  PROMOTE: 'promote',
+  RESCIND: 'rescind'
+};
+
+const REASON_FIELDS = [
+  { name: 'reason', label: 'Reason', required: true, maxLength: RESCIND_REASON_MAX_LENGTH }
+];
+
+const pageLabel = (page) => [page.visitName, page.worksheetName || page.name].filter(Boolean).join(' - ');
+
+// Confirms a status change on a page: promoting its draft to the active version, or
+// rescinding it, which needs a reason for the audit trail. onChanged gets the updated page.
+const PageStatusDialog = ({ action, binderId, page, onClose, onChanged }) => {
+  const [reason, setReason] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const open = Boolean(action && page);
+  const rescinding = action === PAGE_ACTIONS.RESCIND;
+  const endpoint = rescinding ? OPTIONAL_ENDPOINTS.RESCIND_PAGE : OPTIONAL_ENDPOINTS.PROMOTE_PAGE;
+  const unsupported = useEndpointMissing(endpoint);
+
+  useEffect(() => {
+    if (open) {
+      setReason('');
+      setFieldErrors({});
+      setError('');
+    }
+  }, [open]);
+
+  const handleConfirm = async () => {
+    if (rescinding) {
+      const errors = validateFields(REASON_FIELDS, { reason });
+      setFieldErrors(errors);
+      if (Object.keys(errors).length) {
+        return;
+      }
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const payload = { binderId, pageId: page.id };
+      const updated = rescinding
+        ? await binderApi.rescindBinderPage({ ...payload, reason: reason.trim() })
+        : await binderApi.promoteBinderPageVersion(payload);
+      onChanged(updated);
+    } catch (err) {
+      console.error(`Failed to ${action} page:`, err);
+      if (!noteUnsupportedEndpoint(err, endpoint)) {
+        setError(getErrorMessage(err, rescinding ? 'Failed to rescind page' : 'Failed to promote page'));
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{rescinding ? 'Rescind page?' : 'Promote draft?'}</DialogTitle>
+      <DialogContent>
+        {unsupported ? (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {rescinding
+              ? 'This server does not support rescinding pages.'
+              : 'This server does not support promoting page drafts.'}
+          </Alert>
+        ) : (
+          error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )
+        )}
+        {page && (
+          <DialogContentText sx={{ mb: rescinding ? 2 : 0 }}>
+            {rescinding
+              ? `"${pageLabel(page)}" will be stamped as rescinded and can no longer be changed or filled in.`
+              : `Version ${page.version} of "${pageLabel(page)}" becomes the active version. The previous active version is kept in the page history.`}
+          </DialogContentText>
+        )}
+        {rescinding && (
+          <TextField
+            label="Reason"
+            required
+            fullWidth
+            multiline
+            minRows={2}
+            autoFocus
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            error={Boolean(fieldErrors.reason)}
+            helperText={fieldErrors.reason || 'Recorded in the page history'}
+            inputProps={{ maxLength: RESCIND_REASON_MAX_LENGTH }}
+          />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          color={rescinding ? 'error' : 'primary'}
+          onClick={handleConfirm}
+          disabled={saving || unsupported}
+        >
+          {rescinding ? 'Rescind' : 'Promote'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PageStatusDialog;
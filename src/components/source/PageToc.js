@@ -0,0 +1,184 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import {
+  Box,
+  List,
+  ListItemButton,
+  ListItemText,
+  ListSubheader,
+  Collapse,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography
+} from '@mui/material';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import { PAGE_STATUS, getPageStatus, getStatusDisplay } from './pageStatus';
+
+export const TOC_GROUPINGS = {
+  VISIT: 'visit',
+  WORKSHEET: 'worksheet'
+};
+
+const worksheetOf = (page) => page.worksheetName || page.name || 'Untitled page';
+
+// Groups pages in binder order: by visit (each entry a worksheet) or by worksheet (each
+// entry a visit). A group is created the first time its name appears.
+export const groupPages = (pages, grouping) => {
+  const groups = new Map();
+  pages.forEach((page) => {
+    const name = grouping === TOC_GROUPINGS.WORKSHEET ? worksheetOf(page) : page.visitName || 'Pages';
+    if (!groups.has(name)) {
+      groups.set(name, { key: `${grouping}:${name}`, name, pages: [] });
+    }
+    groups.get(name).pages.push(page);
+  });
+  return [...groups.values()];
+};
+
+const matchesFilter = (page, needle) =>
+  !needle ||
+  String(page.order) === needle ||
+  [page.visitName, page.worksheetName, page.name].some((text) => text && text.toLowerCase().includes(needle));
+
+// Sidebar table of contents for a binder's pages: grouped and collapsible, filterable,
+// with the current page highlighted and kept in view. onSelect(pageId) jumps to a page.
+const PageToc = ({ pages, currentId, onSelect }) => {
+  const [grouping, setGrouping] = useState(TOC_GROUPINGS.VISIT);
+  const [filter, setFilter] = useState('');
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [jumpTo, setJumpTo] = useState('');
+  const listRef = useRef(null);
+
+  const needle = filter.trim().toLowerCase();
+  const groups = useMemo(
+    () =>
+      groupPages(
+        pages.filter((page) => matchesFilter(page, needle)),
+        grouping
+      ),
+    [pages, needle, grouping]
+  );
+
+  // Keep the highlighted entry visible as the reader scrolls through the binder
+  useEffect(() => {
+    const item = listRef.current?.querySelector('[data-current="true"]');
+    if (item) {
+      item.scrollIntoView({ block: 'nearest' });
+    }
+  }, [currentId, grouping]);
+
+  const toggleGroup = (key) =>
+    setCollapsed((current) => {
+      const next = new Set(current);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+
+  const handleJump = (e) => {
+    e.preventDefault();
+    const target = pages.find((page) => String(page.order) === jumpTo.trim()) || pages[Number(jumpTo) - 1];
+    if (target) {
+      onSelect(target.id);
+      setJumpTo('');
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', minHeight: 0, height: '100%' }}>
+      <Box sx={{ p: 1.5, display: 'flex', flexDirection: 'column', gap: 1 }}>
+        <TextField
+          size="small"
+          label="Filter"
+          placeholder="Visit, worksheet or page number"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={grouping}
+            onChange={(e, next) => next && setGrouping(next)}
+            sx={{ flexGrow: 1 }}
+          >
+            <ToggleButton value={TOC_GROUPINGS.VISIT} sx={{ flexGrow: 1 }}>
+              Visit
+            </ToggleButton>
+            <ToggleButton value={TOC_GROUPINGS.WORKSHEET} sx={{ flexGrow: 1 }}>
+              Worksheet
+            </ToggleButton>
+          </ToggleButtonGroup>
+          <Box component="form" onSubmit={handleJump} sx={{ width: 84 }}>
+            <TextField
+              size="small"
+              label="Go to"
+              value={jumpTo}
+              onChange={(e) => setJumpTo(e.target.value.replace(/\D/g, ''))}
+              inputProps={{ inputMode: 'numeric', 'aria-label': 'Go to page number' }}
+            />
+          </Box>
+        </Box>
+      </Box>
+
+      <List dense ref={listRef} sx={{ overflowY: 'auto', flexGrow: 1, pt: 0 }}>
+        {groups.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ px: 2, py: 1 }}>
+            No pages match.
+          </Typography>
+        )}
+        {groups.map((group) => {
+          // While filtering every group with a match is open
+          const open = Boolean(needle) || !collapsed.has(group.key);
+          return (
+            <li key={group.key}>
+              <ul style={{ padding: 0 }}>
+                <ListSubheader
+                  onClick={() => toggleGroup(group.key)}
+                  sx={{ display: 'flex', alignItems: 'center', cursor: 'pointer', lineHeight: '36px' }}
+                >
+                  <Box component="span" sx={{ flexGrow: 1, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                    {group.name}
+                  </Box>
+                  <Typography variant="caption" sx={{ mx: 0.5 }}>
+                    {group.pages.length}
+                  </Typography>
+                  {open ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                </ListSubheader>
+                <Collapse in={open} timeout="auto" unmountOnExit>
+                  {group.pages.map((page) => {
+                    const status = getPageStatus(page);
+                    const current = page.id === currentId;
+                    return (
+                      <ListItemButton
+                        key={page.id}
+                        selected={current}
+                        data-current={current ? 'true' : undefined}
+                        onClick={() => onSelect(page.id)}
+                        sx={{ pl: 3 }}
+                      >
+                        <ListItemText
+                          primary={`${page.order}. ${
+                            grouping === TOC_GROUPINGS.WORKSHEET ? page.visitName || page.name : worksheetOf(page)
+                          }`}
+                          secondary={status === PAGE_STATUS.ACTIVE ? null : getStatusDisplay(status).label}
+                          primaryTypographyProps={{ noWrap: true }}
+                        />
+                      </ListItemButton>
+                    );
+                  })}
+                </Collapse>
+              </ul>
+            </li>
+          );
+        })}
+      </List>
+    </Box>
+  );
+};
+
+export default PageToc;
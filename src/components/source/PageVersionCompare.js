@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Chip,
+  Typography,
+  ToggleButton,
+  ToggleButtonGroup,
+  FormControlLabel,
+  Switch,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { OPTIONAL_ENDPOINTS, noteUnsupportedEndpoint } from '../../services/endpointSupport';
+import { normalizePage, describeCell, CELL_TYPE_LABELS } from './sourceCellTypes';
+import { getPageStatus, getStatusDisplay } from './pageStatus';
+import { DIFF_STATUS, PROPERTY_LABELS, diffPageCells, diffPageFields, summarizeDiff } from './pageDiff';
+import { SourceCell, PageHeader } from './SourcePageRenderer';
+import SourceFrame from './SourceFrame';
+
+const MODES = {
+  RENDERED: 'rendered',
+  LIST: 'list'
+};
+
+const STATUS_DISPLAY = {
+  [DIFF_STATUS.UNCHANGED]: { label: 'Unchanged', color: 'default' },
+  [DIFF_STATUS.CHANGED]: { label: 'Changed', color: 'warning' },
+  [DIFF_STATUS.ADDED]: { label: 'Added', color: 'success' },
+  [DIFF_STATUS.REMOVED]: { label: 'Removed', color: 'error' },
+  [DIFF_STATUS.MOVED]: { label: 'Moved', color: 'info' }
+};
+
+// Two 226mm page bodies side by side with a gap, plus the usual 5mm margins
+const FRAME_WIDTH = '468mm';
+const PREVIEW_SCALE = 0.5;
+
+const DIFF_STYLES = `
+  .diffDocument { padding: 2px 5mm 0; }
+  .diffRow { display: grid; grid-template-columns: 226mm 226mm; column-gap: 6mm; }
+  .diffSide { overflow: hidden; }
+  .diffTitle { font-weight: bold; font-size: 12pt; padding: 2mm 0; }
+  .diffEmpty { background: repeating-linear-gradient(135deg, #f4f4f4 0 2mm, #fff 2mm 4mm); }
+  .diff_removed .diffBefore { background: #fdecea; box-shadow: inset 1.5mm 0 #d32f2f; }
+  .diff_added .diffAfter { background: #e6f4ea; box-shadow: inset 1.5mm 0 #2e7d32; }
+  .diff_changed .diffSide { background: #fff4e0; box-shadow: inset 1.5mm 0 #ed6c02; }
+  .diff_moved .diffSide:not(.diffEmpty) { background: #e8f0fe; box-shadow: inset 1.5mm 0 #1976d2; }
+`;
+
+const versionTitle = (version) => `Version ${version.version} (${getStatusDisplay(getPageStatus(version)).label})`;
+
+const DiffChip = ({ status }) => {
+  const { label, color } = STATUS_DISPLAY[status];
+  return <Chip size="small" label={label} color={color} variant="outlined" />;
+};
+
+const DiffSide = ({ cell, className }) => (
+  <div className={`diffSide ${className}${cell ? '' : ' diffEmpty'}`}>{cell && <SourceCell cell={cell} />}</div>
+);
+
+// Both versions laid out as they print, row against row
+const RenderedDiff = ({ before, after, rows }) => (
+  <SourceFrame title="Version comparison" width={FRAME_WIDTH} scale={PREVIEW_SCALE} styles={DIFF_STYLES}>
+    <div className="diffDocument">
+      <div className="diffRow">
+        <div className="diffTitle">{versionTitle(before)}</div>
+        <div className="diffTitle">{versionTitle(after)}</div>
+      </div>
+      <div className="diffRow">
+        <div className="diffSide">
+          <PageHeader page={before} />
+        </div>
+        <div className="diffSide">
+          <PageHeader page={after} />
+        </div>
+      </div>
+      {rows.map((row) => (
+        <div key={row.key} className={`diffRow diff_${row.status}`}>
+          <DiffSide cell={row.before} className="diffBefore" />
+          <DiffSide cell={row.after} className="diffAfter" />
+        </div>
+      ))}
+    </div>
+  </SourceFrame>
+);
+
+const CellSummary = ({ cell }) =>
+  cell ? (
+    <>
+      <Typography variant="caption" color="text.secondary" display="block">
+        {CELL_TYPE_LABELS[cell.type] || cell.type}
+      </Typography>
+      {describeCell(cell) || '—'}
+    </>
+  ) : (
+    '—'
+  );
+
+// The aligned rows as a table, with the properties that changed
+const ListDiff = ({ rows }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>Row</TableCell>
+        <TableCell>Change</TableCell>
+        <TableCell>Before</TableCell>
+        <TableCell>After</TableCell>
+        <TableCell>Properties</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {rows.map((row) => (
+        <TableRow key={row.key}>
+          <TableCell sx={{ whiteSpace: 'nowrap' }}>
+            {row.beforeIndex ?? '—'} → {row.afterIndex ?? '—'}
+          </TableCell>
+          <TableCell>
+            <DiffChip status={row.status} />
+          </TableCell>
+          <TableCell>
+            <CellSummary cell={row.before} />
+          </TableCell>
+          <TableCell>
+            <CellSummary cell={row.after} />
+          </TableCell>
+          <TableCell>{row.changes.map((name) => PROPERTY_LABELS[name] || name).join(', ') || '—'}</TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+// Compares two versions of a page: which rows were added, removed, changed or moved,
+// either rendered side by side or as a list of rows
+const PageVersionCompare = ({ binderId, beforeId, afterId }) => {
+  const [versions, setVersions] = useState(null);
+  const [error, setError] = useState('');
+  const [mode, setMode] = useState(MODES.RENDERED);
+  const [changesOnly, setChangesOnly] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    setVersions(null);
+    setError('');
+
+    Promise.all([
+      binderApi.getBinderPageVersion(binderId, beforeId, { signal }),
+      binderApi.getBinderPageVersion(binderId, afterId, { signal })
+    ])
+      .then((responses) => setVersions(responses.map((response) => normalizePage(response))))
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to load page versions:', err);
+        setError(
+          noteUnsupportedEndpoint(err, OPTIONAL_ENDPOINTS.PAGE_VERSION)
+            ? 'This server cannot open earlier page versions.'
+            : getErrorMessage(err, 'Failed to load the versions to compare')
+        );
+      });
+
+    return () => controller.abort();
+  }, [binderId, beforeId, afterId]);
+
+  const [before, after] = versions || [];
+  const rows = useMemo(() => (versions ? diffPageCells(before, after) : []), [versions]);
+  const fieldChanges = useMemo(() => (versions ? diffPageFields(before, after) : []), [versions]);
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+  if (!versions) {
+    return (
+      <Box display="flex" justifyContent="center" sx={{ py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const summary = summarizeDiff(rows);
+  const visibleRows = changesOnly ? rows.filter((row) => row.status !== DIFF_STATUS.UNCHANGED) : rows;
+  const identical = !fieldChanges.length && rows.every((row) => row.status === DIFF_STATUS.UNCHANGED);
+
+  return (
+    <>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+        <Typography variant="subtitle1">
+          Version {before.version} → version {after.version}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+          {summary.added} added · {summary.removed} removed · {summary.changed} changed · {summary.moved} moved
+        </Typography>
+        <FormControlLabel
+          control={<Switch checked={changesOnly} onChange={(e) => setChangesOnly(e.target.checked)} />}
+          label="Changes only"
+        />
+        <ToggleButtonGroup size="small" exclusive value={mode} onChange={(e, next) => next && setMode(next)}>
+          <ToggleButton value={MODES.RENDERED}>Side by side</ToggleButton>
+          <ToggleButton value={MODES.LIST}>List</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      {identical && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          The two versions have the same content.
+        </Alert>
+      )}
+      {fieldChanges.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {fieldChanges.map((field) => (
+            <div key={field.name}>
+              {field.label}: "{field.before}" → "{field.after}"
+            </div>
+          ))}
+        </Alert>
+      )}
+
+      <Box sx={{ overflowX: 'auto' }}>
+        {mode === MODES.RENDERED ? (
+          <RenderedDiff before={before} after={after} rows={visibleRows} />
+        ) : (
+          <ListDiff rows={visibleRows} />
+        )}
+      </Box>
+    </>
+  );
+};
+
+export default PageVersionCompare;
@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  Chip,
+  Typography,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { OPTIONAL_ENDPOINTS, noteUnsupportedEndpoint } from '../../services/endpointSupport';
+import { useEndpointMissing } from '../../hooks/useEndpointMissing';
+import { normalizePage } from './sourceCellTypes';
+import { getPageStatus, getStatusDisplay } from './pageStatus';
+import SourceFrame from './SourceFrame';
+import SourcePageRenderer from './SourcePageRenderer';
+import PageVersionCompare from './PageVersionCompare';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const StatusChip = ({ item }) => {
+  const { label, color } = getStatusDisplay(getPageStatus(item));
+  return <Chip size="small" label={label} color={color} variant="outlined" />;
+};
+
+// One version of the page, laid out as it printed, with its status stamp. Read-only.
+const VersionView = ({ binderId, versionId }) => {
+  const [version, setVersion] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setVersion(null);
+    setError('');
+    binderApi
+      .getBinderPageVersion(binderId, versionId, { signal: controller.signal })
+      .then((response) => setVersion(normalizePage(response)))
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to load page version:', err);
+        setError(
+          noteUnsupportedEndpoint(err, OPTIONAL_ENDPOINTS.PAGE_VERSION)
+            ? 'This server cannot open earlier page versions.'
+            : getErrorMessage(err, 'Failed to load this version')
+        );
+      });
+    return () => controller.abort();
+  }, [binderId, versionId]);
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+  if (!version) {
+    return (
+      <Box display="flex" justifyContent="center" sx={{ py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+  return (
+    <>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <Typography variant="subtitle1">Version {version.version}</Typography>
+        <StatusChip item={version} />
+        <Typography variant="body2" color="text.secondary">
+          Saved {formatDateTime(version.savedAt)}
+          {version.savedByName && ` by ${version.savedByName}`}
+        </Typography>
+      </Box>
+      {version.statusReason && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Rescinded: {version.statusReason}
+        </Alert>
+      )}
+      <Box sx={{ overflowX: 'auto' }}>
+        <SourceFrame title={`${version.name} version ${version.version}`}>
+          <SourcePageRenderer pages={[version]} />
+        </SourceFrame>
+      </Box>
+    </>
+  );
+};
+
+const VersionSelect = ({ label, value, versions, onChange }) => (
+  <FormControl size="small" sx={{ minWidth: 200 }}>
+    <InputLabel>{label}</InputLabel>
+    <Select value={value} label={label} onChange={(e) => onChange(e.target.value)}>
+      {versions.map((version) => (
+        <MenuItem key={version.versionId} value={version.versionId}>
+          Version {version.version} ({getStatusDisplay(getPageStatus(version)).label})
+        </MenuItem>
+      ))}
+    </Select>
+  </FormControl>
+);
+
+// Every saved version of a page, newest first. Any version opens read-only, and any two
+// can be compared.
+const PageVersionHistory = ({ open, onClose, binderId, page }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [openVersionId, setOpenVersionId] = useState(null);
+  const [compareIds, setCompareIds] = useState({ before: '', after: '' });
+  const [comparing, setComparing] = useState(false);
+  const versionsMissing = useEndpointMissing(OPTIONAL_ENDPOINTS.PAGE_VERSIONS);
+  // Without GetBinderPageVersion the list still shows, but versions cannot be opened or compared
+  const versionMissing = useEndpointMissing(OPTIONAL_ENDPOINTS.PAGE_VERSION);
+
+  useEffect(() => {
+    if (!open || !page) {
+      return undefined;
+    }
+    const controller = new AbortController();
+    const { signal } = controller;
+    setLoading(true);
+    setError('');
+    setOpenVersionId(null);
+    setComparing(false);
+
+    binderApi
+      .getBinderPageVersions(binderId, page.id, { signal })
+      .then((response) => {
+        const list = Array.isArray(response) ? response : response?.versions || [];
+        setVersions(list);
+        // By default the newest version against the one before it
+        setCompareIds({ before: list[1]?.versionId || '', after: list[0]?.versionId || '' });
+      })
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to load page history:', err);
+        if (!noteUnsupportedEndpoint(err, OPTIONAL_ENDPOINTS.PAGE_VERSIONS)) {
+          setError(getErrorMessage(err, 'Failed to load page history'));
+        }
+      })
+      .finally(() => {
+        if (!signal.aborted) {
+          setLoading(false);
+        }
+      });
+
+    return () => controller.abort();
+    // Reload when the page changes status or gets a new version
+  }, [open, binderId, page?.id, page?.version, page?.status]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth={comparing ? 'xl' : 'lg'} fullWidth>
+      <DialogTitle>History: {page?.name}</DialogTitle>
+      <DialogContent dividers>
+        {versionsMissing && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            This server does not keep a version history for pages.
+          </Alert>
+        )}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {comparing ? (
+          <PageVersionCompare binderId={binderId} beforeId={compareIds.before} afterId={compareIds.after} />
+        ) : openVersionId ? (
+          <VersionView binderId={binderId} versionId={openVersionId} />
+        ) : loading ? (
+          <Box display="flex" justifyContent="center" sx={{ py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          !error &&
+          !versionsMissing && (
+            <>
+              {versions.length > 1 && !versionMissing && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+                  <VersionSelect
+                    label="Compare"
+                    value={compareIds.before}
+                    versions={versions}
+                    onChange={(before) => setCompareIds((current) => ({ ...current, before }))}
+                  />
+                  <VersionSelect
+                    label="With"
+                    value={compareIds.after}
+                    versions={versions}
+                    onChange={(after) => setCompareIds((current) => ({ ...current, after }))}
+                  />
+                  <Button
+                    variant="outlined"
+                    onClick={() => setComparing(true)}
+                    disabled={!compareIds.before || !compareIds.after || compareIds.before === compareIds.after}
+                  >
+                    Compare versions
+                  </Button>
+                </Box>
+              )}
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Version</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Saved</TableCell>
+                    <TableCell>Status changed</TableCell>
+                    <TableCell>Reason</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {versions.map((version) => (
+                    <TableRow key={version.versionId} hover>
+                      <TableCell>{version.version}</TableCell>
+                      <TableCell>
+                        <StatusChip item={version} />
+                      </TableCell>
+                      <TableCell>
+                        {formatDateTime(version.savedAt)}
+                        {version.savedByName && (
+                          <Typography variant="body2" color="text.secondary">
+                            {version.savedByName}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {formatDateTime(version.statusChangedAt)}
+                        {version.statusChangedByName && (
+                          <Typography variant="body2" color="text.secondary">
+                            {version.statusChangedByName}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell sx={{ maxWidth: 280 }}>{version.statusReason || '—'}</TableCell>
+                      <TableCell align="right">
+                        {!versionMissing && (
+                          <Button size="small" onClick={() => setOpenVersionId(version.versionId)}>
+                            Open
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )
+        )}
+      </DialogContent>
+      <DialogActions>
+        {(openVersionId || comparing) && (
+          <Button
+            onClick={() => {
+              setOpenVersionId(null);
+              setComparing(false);
+            }}
+          >
+            All versions
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PageVersionHistory;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Radio,
+  RadioGroup,
+  Checkbox,
+  FormControlLabel,
+  FormControl,
+  FormLabel,
+  TextField,
+  Alert,
+  LinearProgress,
+  CircularProgress
+} from '@mui/material';
+import { getBinderName, getProtocolInfo, getHeaderFooterTemplates } from '../../utils/binderFields';
+import { paginatePages, PRINT_STYLES } from './printLayout';
+import { DEFAULT_HEADER_TEMPLATE, DEFAULT_FOOTER_TEMPLATE } from './headerFooter';
+import { exportSheetsToPdf } from './exportPdf';
+import SourceFrame from './SourceFrame';
+import PrintDocument, { PrintMeasure } from './PrintDocument';
+
+const PREVIEW_SCALE = 0.5;
+
+const SCOPES = {
+  ALL: 'all',
+  CURRENT: 'current',
+  SELECTED: 'selected'
+};
+
+const toFileName = (text) => `${text.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'Source pages'}.pdf`;
+
+// Print or download a binder's pages (all, the current one, or a selection). The preview
+// is the exact document that prints: pages split into sheets with repeating headers,
+// footers with "Page X of Y" and the draft / rescinded stamps. While loading, pages may
+// lack their cells: they can be selected but not yet previewed.
+const PrintDialog = ({ open, onClose, binder, pages, loading = false, currentPageId }) => {
+  const frameRef = useRef(null);
+  const [scope, setScope] = useState(SCOPES.ALL);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [subjectId, setSubjectId] = useState('');
+  const [measured, setMeasured] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setScope(SCOPES.ALL);
+      setSelectedIds(currentPageId ? [currentPageId] : []);
+      setError('');
+    }
+  }, [open, currentPageId]);
+
+  const binderName = binder ? getBinderName(binder) : '';
+  const info = useMemo(() => {
+    const { headerTemplate, footerTemplate } = getHeaderFooterTemplates(binder);
+    return {
+      binderName,
+      protocol: binder ? getProtocolInfo(binder) : {},
+      subjectId: subjectId.trim(),
+      printedAt: new Date(),
+      headerTemplate: headerTemplate ?? DEFAULT_HEADER_TEMPLATE,
+      footerTemplate: footerTemplate ?? DEFAULT_FOOTER_TEMPLATE
+    };
+  }, [binder, binderName, subjectId, open]);
+
+  const printPages = useMemo(() => {
+    if (scope === SCOPES.CURRENT) {
+      return pages.filter((page) => page.id === currentPageId);
+    }
+    if (scope === SCOPES.SELECTED) {
+      return pages.filter((page) => selectedIds.includes(page.id));
+    }
+    return pages;
+  }, [pages, scope, selectedIds, currentPageId]);
+
+  // Measurements belong to one selection; a new selection is measured again
+  const selectionKey = printPages.map((page) => page.id).join(',');
+  const handleMeasured = useCallback((result) => setMeasured({ key: selectionKey, result }), [selectionKey]);
+  const measurements = measured && measured.key === selectionKey ? measured.result : null;
+  const sheets = useMemo(
+    () => (measurements ? paginatePages(printPages, measurements) : []),
+    [printPages, measurements]
+  );
+
+  const toggleSelected = (pageId) =>
+    setSelectedIds((current) =>
+      current.includes(pageId) ? current.filter((id) => id !== pageId) : [...current, pageId]
+    );
+
+  const handlePrint = () => {
+    const frameWindow = frameRef.current?.contentWindow;
+    if (!frameWindow) {
+      return;
+    }
+    // The frame's title is the default file name when printing to PDF
+    frameWindow.document.title = binderName || 'Source pages';
+    frameWindow.focus();
+    frameWindow.print();
+  };
+
+  const handleDownload = async () => {
+    const frameDocument = frameRef.current?.contentDocument;
+    if (!frameDocument) {
+      return;
+    }
+    setError('');
+    setProgress({ done: 0, total: sheets.length });
+    try {
+      await exportSheetsToPdf(frameDocument, toFileName(binderName), (done, total) =>
+        setProgress({ done, total })
+      );
+    } catch (err) {
+      console.error('Failed to export PDF:', err);
+      setError(err.message || 'Failed to create the PDF');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const ready = !loading && Boolean(measurements) && printPages.length > 0;
+  const busy = Boolean(progress);
+
+  return (
+    <Dialog open={open} onClose={busy ? undefined : onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Export / Print</DialogTitle>
+      <DialogContent dividers sx={{ display: 'flex', gap: 3, flexWrap: 'wrap' }}>
+        <Box sx={{ width: 280, flexShrink: 0 }}>
+          <FormControl>
+            <FormLabel>Pages</FormLabel>
+            <RadioGroup value={scope} onChange={(e) => setScope(e.target.value)}>
+              <FormControlLabel value={SCOPES.ALL} control={<Radio />} label={`All pages (${pages.length})`} />
+              <FormControlLabel
+                value={SCOPES.CURRENT}
+                control={<Radio />}
+                label="Current page"
+                disabled={!currentPageId}
+              />
+              <FormControlLabel value={SCOPES.SELECTED} control={<Radio />} label="Selected pages" />
+            </RadioGroup>
+          </FormControl>
+
+          {scope === SCOPES.SELECTED && (
+            <Box sx={{ maxHeight: 360, overflowY: 'auto', pl: 1 }}>
+              {pages.map((page) => (
+                <FormControlLabel
+                  key={page.id}
+                  sx={{ display: 'flex' }}
+                  control={
+                    <Checkbox
+                      size="small"
+                      checked={selectedIds.includes(page.id)}
+                      onChange={() => toggleSelected(page.id)}
+                    />
+                  }
+                  label={
+                    <Typography variant="body2">
+                      {page.order}. {[page.visitName, page.worksheetName || page.name].filter(Boolean).join(' - ')}
+                    </Typography>
+                  }
+                />
+              ))}
+            </Box>
+          )}
+
+          <TextField
+            label="Subject ID"
+            size="small"
+            fullWidth
+            value={subjectId}
+            onChange={(e) => setSubjectId(e.target.value)}
+            helperText="Left blank, a line is printed to write it in"
+            sx={{ mt: 2 }}
+          />
+
+          {ready && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+              {printPages.length} page{printPages.length === 1 ? '' : 's'} on {sheets.length} sheet
+              {sheets.length === 1 ? '' : 's'}
+            </Typography>
+          )}
+        </Box>
+
+        <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {progress && (
+            <Box sx={{ mb: 2 }}>
+              <Typography variant="body2" gutterBottom>
+                Creating PDF: sheet {progress.done} of {progress.total}
+              </Typography>
+              <LinearProgress
+                variant="determinate"
+                value={progress.total ? (progress.done / progress.total) * 100 : 0}
+              />
+            </Box>
+          )}
+          {printPages.length === 0 ? (
+            <Alert severity="info">Select at least one page.</Alert>
+          ) : loading ? (
+            <Box display="flex" flexDirection="column" alignItems="center" gap={1} sx={{ py: 4 }}>
+              <CircularProgress />
+              <Typography variant="body2" color="text.secondary">
+                Loading pages
+              </Typography>
+            </Box>
+          ) : (
+            <Box sx={{ maxHeight: '65vh', overflow: 'auto', position: 'relative' }}>
+              {!measurements && (
+                <Box display="flex" justifyContent="center" sx={{ py: 4 }}>
+                  <CircularProgress />
+                </Box>
+              )}
+              {open && (
+                <SourceFrame ref={frameRef} title="Print preview" scale={PREVIEW_SCALE} styles={PRINT_STYLES}>
+                  {measurements ? (
+                    <PrintDocument sheets={sheets} info={info} />
+                  ) : (
+                    <PrintMeasure pages={printPages} info={info} onMeasured={handleMeasured} />
+                  )}
+                </SourceFrame>
+              )}
+            </Box>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={busy}>
+          Close
+        </Button>
+        <Button onClick={handleDownload} disabled={!ready || busy}>
+          Download PDF
+        </Button>
+        <Button variant="contained" onClick={handlePrint} disabled={!ready || busy}>
+          Print
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PrintDialog;
@@ -0,0 +1,131 @@
+import React, { useEffect, useRef } from 'react';
+import { SourceCell, PageHeader } from './SourcePageRenderer';
+import { getPageStamp } from './pageStatus';
+import { parseTemplate, getTemplateValues } from './headerFooter';
+
+const COLUMN_ALIGN = {
+  1: ['left'],
+  2: ['left', 'right'],
+  3: ['left', 'center', 'right']
+};
+
+// A header or footer template filled in for one sheet, one table row per template line
+export const TemplateBand = ({ template, values }) =>
+  parseTemplate(template, values).map((columns, rowIndex) => (
+    <table key={rowIndex} className="SourceRow">
+      <tbody>
+        <tr>
+          {columns.map((segments, index) => (
+            <td key={index} style={{ textAlign: (COLUMN_ALIGN[columns.length] || [])[index] || 'left' }}>
+              {segments.map((segment, segmentIndex) =>
+                segment.bold ? <b key={segmentIndex}>{segment.text}</b> : segment.text
+              )}
+            </td>
+          ))}
+        </tr>
+      </tbody>
+    </table>
+  ));
+
+// info: { binderName, protocol, subjectId, printedAt, headerTemplate, footerTemplate }
+const SheetHeader = ({ sheet, info }) => (
+  <div className="printCell printHeader">
+    {info.headerTemplate && (
+      <div className="printTemplateHeader">
+        <TemplateBand template={info.headerTemplate} values={getTemplateValues(sheet, info)} />
+      </div>
+    )}
+    <PageHeader page={sheet.page} continued={sheet.part > 1} />
+  </div>
+);
+
+const SheetFooter = ({ sheet, info }) => (
+  <div className="SourceFooterPage printFooter">
+    <TemplateBand template={info.footerTemplate} values={getTemplateValues(sheet, info)} />
+  </div>
+);
+
+const Sheet = ({ sheet, info }) => {
+  const stamp = getPageStamp(sheet.page);
+  return (
+    <div className="printSheet" data-sheet={sheet.number}>
+      {stamp && <div className={stamp.className}>{stamp.text}</div>}
+      <SheetHeader sheet={sheet} info={info} />
+      {sheet.cells.map((cell) => (
+        <div key={cell.id} className="printCell">
+          <SourceCell cell={cell} />
+        </div>
+      ))}
+      <SheetFooter sheet={sheet} info={info} />
+    </div>
+  );
+};
+
+// The sheets from paginatePages, ready to print. Render inside a SourceFrame with PRINT_STYLES.
+const PrintDocument = ({ sheets, info }) => (
+  <div className="PageBody">
+    {sheets.map((sheet) => (
+      <Sheet key={sheet.key} sheet={sheet} info={info} />
+    ))}
+  </div>
+);
+
+// Lays every page out unsplit and out of sight, then reports the heights paginatePages
+// needs. Measured once the frame's fonts are ready, since they change row heights.
+export const PrintMeasure = ({ pages, info, onMeasured }) => {
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    const root = rootRef.current;
+    const fontsReady = root.ownerDocument.fonts ? root.ownerDocument.fonts.ready : Promise.resolve();
+    let active = true;
+
+    fontsReady.then(() => {
+      if (!active) {
+        return;
+      }
+      const height = (element) => (element ? element.getBoundingClientRect().height : 0);
+      const result = {
+        sheetHeight: height(root.querySelector('.printSheetHeight')),
+        footerHeight: height(root.querySelector('.printFooter')),
+        headerHeights: {},
+        cellHeights: {}
+      };
+      root.querySelectorAll('[data-measure-page]').forEach((element) => {
+        const pageId = element.getAttribute('data-measure-page');
+        result.headerHeights[pageId] = height(element.querySelector('.printHeader'));
+        result.cellHeights[pageId] = Array.from(element.querySelectorAll('.printCell:not(.printHeader)')).map(
+          height
+        );
+      });
+      onMeasured(result);
+    });
+
+    return () => {
+      active = false;
+    };
+  }, [pages, info, onMeasured]);
+
+  const sample = (page) => ({ key: 'sample', page, number: 999, total: 999, part: 2 });
+
+  return (
+    <div className="PageBody printMeasure" ref={rootRef}>
+      <div className="printSheetHeight" />
+      <div style={{ position: 'relative' }}>
+        <SheetFooter sheet={sample(pages[0] || { name: '' })} info={info} />
+      </div>
+      {pages.map((page) => (
+        <div key={page.id} data-measure-page={page.id}>
+          <SheetHeader sheet={sample(page)} info={info} />
+          {(page.cells || []).map((cell) => (
+            <div key={cell.id} className="printCell">
+              <SourceCell cell={cell} />
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PrintDocument;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Button,
+  TextField,
+  Checkbox,
+  FormControlLabel,
+  Typography,
+  Box,
+  Alert
+} from '@mui/material';
+import { getErrorMessage } from '../../services/apiService';
+import { templateStore, TEMPLATE_STORAGE } from '../../services/templateStore';
+import { getProtocolInfo } from '../../utils/binderFields';
+import { validateFields } from '../../utils/validation';
+import { TEMPLATE_FIELDS, parseTags, pageToTemplate, findPlaceholderChanges } from './pageTemplates';
+
+// Saves a page (with its cells) to the template library. With "use placeholders" the
+// page's visit name and the binder's protocol number become {{visitName}} and
+// {{protocolNumber}}, to be filled in for whichever binder the template is added to; the
+// texts that change are listed before saving.
+const SaveTemplateDialog = ({ open, onClose, page, binder, onSaved }) => {
+  const [form, setForm] = useState({ name: '', description: '', tags: '' });
+  const [usePlaceholders, setUsePlaceholders] = useState(true);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open && page) {
+      setForm({ name: page.worksheetName || page.name || '', description: '', tags: '' });
+      setUsePlaceholders(true);
+      setFieldErrors({});
+      setError('');
+    }
+  }, [open, page?.id]);
+
+  const protocolNumber = binder ? getProtocolInfo(binder).protocolNumber : '';
+  const placeholderValues = { visitName: page?.visitName || '', protocolNumber: protocolNumber || '' };
+  const replaced = [
+    page?.visitName && `"${page.visitName}" with {{visitName}}`,
+    protocolNumber && `"${protocolNumber}" with {{protocolNumber}}`
+  ].filter(Boolean);
+  const changes = page && replaced.length ? findPlaceholderChanges(page, placeholderValues) : [];
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    const errors = validateFields(TEMPLATE_FIELDS, form);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      const template = pageToTemplate(
+        page,
+        { name: form.name, description: form.description, tags: parseTags(form.tags) },
+        usePlaceholders ? placeholderValues : null
+      );
+      const saved = await templateStore.save(template);
+      onSaved(saved, templateStore.storage());
+    } catch (err) {
+      console.error('Failed to save template:', err);
+      setError(getErrorMessage(err, 'Failed to save template'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Save page as template</DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          The page's rows are saved to the template library so they can be added to any binder.
+        </DialogContentText>
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          fullWidth
+          margin="normal"
+          name="name"
+          label="Name"
+          required
+          value={form.name}
+          onChange={handleChange}
+          error={Boolean(fieldErrors.name)}
+          helperText={fieldErrors.name}
+          disabled={saving}
+          autoFocus
+        />
+        <TextField
+          fullWidth
+          margin="normal"
+          name="description"
+          label="Description"
+          multiline
+          minRows={2}
+          value={form.description}
+          onChange={handleChange}
+          error={Boolean(fieldErrors.description)}
+          helperText={fieldErrors.description}
+          disabled={saving}
+        />
+        <TextField
+          fullWidth
+          margin="normal"
+          name="tags"
+          label="Tags"
+          value={form.tags}
+          onChange={handleChange}
+          error={Boolean(fieldErrors.tags)}
+          helperText={fieldErrors.tags || 'Separate tags with commas, e.g. vitals, screening'}
+          disabled={saving}
+        />
+        {replaced.length > 0 && (
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={usePlaceholders}
+                onChange={(e) => setUsePlaceholders(e.target.checked)}
+                disabled={saving}
+              />
+            }
+            label={`Use placeholders: replace ${replaced.join(' and ')}`}
+          />
+        )}
+        {usePlaceholders && replaced.length > 0 && (
+          <Box sx={{ maxHeight: 200, overflowY: 'auto', mt: 1 }}>
+            {changes.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No text on this page matches these values as a whole, so nothing is replaced.
+              </Typography>
+            ) : (
+              changes.map((change, index) => (
+                <Typography key={index} variant="body2">
+                  <strong>{change.where}:</strong> {change.before} → {change.after}
+                </Typography>
+              ))
+            )}
+          </Box>
+        )}
+        {templateStore.storage() === TEMPLATE_STORAGE.LOCAL && (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            The server has no template library, so the template is kept in this browser. Export the
+            library from the Templates page to share it or keep a copy.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !page}>
+          {saving ? 'Saving...' : 'Save template'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SaveTemplateDialog;
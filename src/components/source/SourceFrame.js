@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
+import { createPortal } from 'react-dom';
+import sourceStyles from '../../assets/css/SourceStyleV3.css?raw';
+
+// Additions to SourceStyleV3.css: the page divider on screen, and capture-mode inputs
+// that sit inside the underlines and boxes without changing the printed layout.
+// The iframe is at least as wide as a page (226mm plus margin) so nothing reflows.
+const FRAME_STYLES = `
+  @media screen {
+    .pageStart { border-top: 1px dashed #b61b1b; }
+    .captureInput:focus { outline: 2px solid #1976d2; outline-offset: -2px; background: #f3f8fd; }
+    .captureInvalid { background: #fdecea; outline: 1px solid #d32f2f; }
+  }
+  .captureInput {
+    box-sizing: border-box;
+    width: 100%;
+    min-width: 9mm;
+    border: 0;
+    padding: 0 1mm;
+    background: transparent;
+    font: inherit;
+    color: #00008b;
+  }
+  .captureInput:disabled { background: transparent; }
+  .captureInput::placeholder { color: #bbb; }
+  .captureCheckbox { width: 3.5mm; height: 3.5mm; margin: 0; vertical-align: middle; }
+  /* Status stamps sit behind the page's rows; isolation keeps them above the page background */
+  .pageStart, .pageStartFirst { position: relative; isolation: isolate; }
+  .pageStart > .DraftStamp, .pageStart > .RescindedStamp,
+  .pageStartFirst > .DraftStamp, .pageStartFirst > .RescindedStamp {
+    position: absolute;
+    z-index: -1;
+    pointer-events: none;
+  }
+  @media print {
+    .captureInput::placeholder { color: transparent; }
+  }
+`;
+
+const PAGE_WIDTH = '236mm';
+
+const frameDocument = (styles) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <style>${sourceStyles}</style>
+    <style>${FRAME_STYLES}</style>
+    ${styles ? `<style>${styles}</style>` : ''}
+  </head>
+  <body></body>
+</html>`;
+
+// Renders children inside an iframe that carries only the source stylesheet, so the
+// worksheet is laid out exactly as it prints (mm units, fonts, table rules) without the
+// app's MUI styles leaking in. The ref is the iframe element, e.g. for printing.
+// scale shrinks the page on screen (e.g. 0.75 for a side-by-side preview); styles adds
+// CSS after the source stylesheet and should be a constant, since changing it reloads the frame.
+// sandbox is passed to the iframe; keep allow-same-origin so the content can be rendered into it.
+// width is the frame's unscaled width, for content wider than one page.
+const SourceFrame = forwardRef(({ title = 'Source page', minHeight = 200, scale = 1, width = PAGE_WIDTH, styles, sandbox, children }, ref) => {
+  const iframeRef = useRef(null);
+  const [body, setBody] = useState(null);
+  const [height, setHeight] = useState(minHeight);
+
+  useImperativeHandle(ref, () => iframeRef.current, []);
+
+  useEffect(() => {
+    if (!body) {
+      return undefined;
+    }
+    const frameWindow = iframeRef.current?.contentWindow;
+    const Observer = frameWindow?.ResizeObserver || window.ResizeObserver;
+    const measure = () => setHeight(Math.max(minHeight, body.ownerDocument.documentElement.scrollHeight));
+    measure();
+    if (!Observer) {
+      return undefined;
+    }
+    const observer = new Observer(measure);
+    observer.observe(body);
+    return () => observer.disconnect();
+  }, [body, minHeight]);
+
+  const handleLoad = () => {
+    setBody(iframeRef.current?.contentDocument?.body || null);
+  };
+
+  return (
+    <>
+      <div
+        style={{
+          width: scale === 1 ? '100%' : `calc(${width} * ${scale})`,
+          height: height * scale,
+          overflow: scale === 1 ? 'visible' : 'hidden'
+        }}
+      >
+        <iframe
+          ref={iframeRef}
+          title={title}
+          srcDoc={frameDocument(styles)}
+          sandbox={sandbox}
+          onLoad={handleLoad}
+          style={{
+            width: scale === 1 ? '100%' : width,
+            minWidth: width,
+            height,
+            border: 0,
+            display: 'block',
+            background: 'white',
+            transform: scale === 1 ? undefined : `scale(${scale})`,
+            transformOrigin: 'top left'
+          }}
+        />
+      </div>
+      {body && createPortal(children, body)}
+    </>
+  );
+});
+
+export default SourceFrame;
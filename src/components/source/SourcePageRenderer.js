@@ -0,0 +1,353 @@
+import React, { createContext, useContext } from 'react';
+import { CELL_TYPES, INPUT_WIDTHS, BLOCK_INPUTS, normalizePage } from './sourceCellTypes';
+import { NA_PART, DATE_PLACEHOLDER, captureKey } from './sourceCapture';
+import { getPageStamp } from './pageStatus';
+
+// Markup for source worksheet pages using the SourceStyleV3.css vocabulary. Render it
+// inside a SourceFrame: the same DOM is what gets printed, so screen and paper match.
+
+// Capture mode: { values, errors, readOnly, onChange(key, value), onBlur(key) }. Without
+// a provider every box and underline renders empty, as on the paper form.
+const CaptureContext = createContext(null);
+export const CaptureProvider = CaptureContext.Provider;
+
+const useCaptureField = (fieldKey, naKey) => {
+  const capture = useContext(CaptureContext);
+  if (!capture) {
+    return null;
+  }
+  const notApplicable = Boolean(naKey && capture.values[naKey]);
+  return {
+    // A field marked N/A shows empty; its value is kept in case N/A is unticked
+    value: notApplicable ? undefined : capture.values[fieldKey],
+    error: notApplicable ? null : capture.errors[fieldKey],
+    disabled: capture.readOnly || notApplicable,
+    onChange: (value) => capture.onChange(fieldKey, value),
+    onBlur: () => capture.onBlur(fieldKey)
+  };
+};
+
+const TextInput = ({ fieldKey, naKey, label, placeholder }) => {
+  const field = useCaptureField(fieldKey, naKey);
+  if (!field) {
+    return null;
+  }
+  return (
+    <input
+      type="text"
+      className={field.error ? 'captureInput captureInvalid' : 'captureInput'}
+      aria-label={label}
+      aria-invalid={Boolean(field.error)}
+      title={field.error || undefined}
+      placeholder={placeholder}
+      value={field.value || ''}
+      disabled={field.disabled}
+      onChange={(e) => field.onChange(e.target.value)}
+      onBlur={field.onBlur}
+    />
+  );
+};
+
+// A printed box; a real checkbox in capture mode. option toggles one entry of an array value.
+const BoxInput = ({ fieldKey, naKey, label, option, className = 'checkbox' }) => {
+  const field = useCaptureField(fieldKey, naKey);
+  if (!field) {
+    return <span className={className} />;
+  }
+  const selected = option === undefined ? Boolean(field.value) : (field.value || []).includes(option);
+  const toggle = (checked) => {
+    if (option === undefined) {
+      field.onChange(checked);
+      return;
+    }
+    const others = (field.value || []).filter((item) => item !== option);
+    field.onChange(checked ? [...others, option] : others);
+  };
+  return (
+    <input
+      type="checkbox"
+      className={field.error ? 'captureCheckbox captureInvalid' : 'captureCheckbox'}
+      aria-label={label}
+      aria-invalid={Boolean(field.error)}
+      title={field.error || undefined}
+      checked={selected}
+      disabled={field.disabled}
+      onChange={(e) => toggle(e.target.checked)}
+      onBlur={field.onBlur}
+    />
+  );
+};
+
+const Indent = ({ level }) =>
+  Array.from({ length: level }, (_, index) => <td key={`indent-${index}`} className="indent_1" />);
+
+const Row = ({ className = '', children }) => (
+  <table className={`SourceRow ${className}`.trim()}>
+    <tbody>
+      <tr>{children}</tr>
+    </tbody>
+  </table>
+);
+
+const NotApplicable = ({ cell }) => (
+  <td className="cell_small">
+    <span className="cell_na">
+      <BoxInput fieldKey={captureKey(cell.id, NA_PART)} label={`${cell.label} not applicable`} /> N/A
+    </span>
+  </td>
+);
+
+const LabelCell = ({ cell }) => {
+  const input = INPUT_WIDTHS[cell.input];
+  // Short and medium underlines sit at the right margin; longer ones follow the label
+  const trailing = !input || cell.input === 'shortUnderline' || cell.input === 'mediumUnderline';
+  const naKey = cell.na ? captureKey(cell.id, NA_PART) : null;
+  return (
+    <Row>
+      <Indent level={cell.indent} />
+      <td className="cell_noCheckbox">
+        <span className="nocheckbox" />
+      </td>
+      <td className={trailing ? 'cell_label' : 'cell_content bold nowrap'}>{cell.label}</td>
+      {input && (
+        <td className={`${input}${trailing ? '' : ' expand'}`}>
+          <TextInput fieldKey={captureKey(cell.id)} naKey={naKey} label={cell.label} />
+        </td>
+      )}
+      {cell.suffix && <td className="cell_small">{cell.suffix}</td>}
+      {cell.na && <NotApplicable cell={cell} />}
+    </Row>
+  );
+};
+
+const OptionList = ({ cell }) =>
+  cell.options.map((option) => (
+    <table key={option} className="multiselect">
+      <tbody>
+        <tr>
+          <td className="cell_content">
+            <BoxInput
+              fieldKey={captureKey(cell.id)}
+              label={`${cell.label}: ${option}`}
+              option={option}
+              className="optionbox"
+            />
+          </td>
+          <td>{option}</td>
+        </tr>
+      </tbody>
+    </table>
+  ));
+
+const BlockRow = ({ cell }) => (
+  <div className="SourceRow">
+    {cell.blocks.map((block) => (
+      <div
+        key={block.id}
+        className={block.size > 1 ? `cell_block cell_block_x${block.size}` : 'cell_block'}
+      >
+        <div className="cellBlock_body">
+          <span className="cellBlock_label bold">{block.label}</span>
+          <span className="cellBlock_newLine" />
+          {block.input === 'checkbox' ? (
+            <BoxInput fieldKey={captureKey(cell.id, block.id)} label={block.label} />
+          ) : (
+            <span className={BLOCK_INPUTS.underline}>
+              <TextInput fieldKey={captureKey(cell.id, block.id)} label={block.label} />
+            </span>
+          )}
+        </div>
+      </div>
+    ))}
+    <div style={{ clear: 'both' }} />
+  </div>
+);
+
+export const SourceCell = ({ cell }) => {
+  switch (cell.type) {
+    case CELL_TYPES.SECTION_HEADER:
+      return (
+        <Row>
+          <td className="cell_sectionHeader">{cell.text || cell.label}</td>
+        </Row>
+      );
+    case CELL_TYPES.SEPARATOR:
+      return (
+        <Row>
+          <td className="cell_seperator">{cell.text || cell.label}</td>
+        </Row>
+      );
+    case CELL_TYPES.INFO_LINE:
+      return (
+        <Row>
+          <td className="cell_singleInfoLine">{cell.text || cell.label}</td>
+        </Row>
+      );
+    case CELL_TYPES.CHECKBOX:
+      return (
+        <Row>
+          <Indent level={cell.indent} />
+          <td className="cell_checkbox">
+            <BoxInput
+              fieldKey={captureKey(cell.id)}
+              naKey={cell.na ? captureKey(cell.id, NA_PART) : null}
+              label={cell.label}
+            />
+          </td>
+          <td className="cell_label">{cell.label}</td>
+          {cell.na && <NotApplicable cell={cell} />}
+        </Row>
+      );
+    case CELL_TYPES.LABEL:
+      return <LabelCell cell={cell} />;
+    case CELL_TYPES.MULTISELECT:
+      return (
+        <Row>
+          <Indent level={cell.indent} />
+          <td className="cell_noCheckbox">
+            <span className="nocheckbox" />
+          </td>
+          <td className="cell_label">{cell.label}</td>
+          <td className="cell_small">
+            <OptionList cell={cell} />
+          </td>
+        </Row>
+      );
+    case CELL_TYPES.DATE:
+      return (
+        <Row className="DateRow">
+          <td className="cell_noCheckbox">
+            <span className="nocheckbox" />
+          </td>
+          <td className="cell_content bold nowrap">{cell.label || 'Date'}</td>
+          <td className="cell_longUnderline">
+            <TextInput fieldKey={captureKey(cell.id)} label={cell.label || 'Date'} placeholder={DATE_PLACEHOLDER} />
+          </td>
+          <td className="cell_small subtle">{DATE_PLACEHOLDER}</td>
+        </Row>
+      );
+    case CELL_TYPES.INPUT_LINE:
+      return (
+        <Row>
+          <td className="inputLineLabel">{cell.label}</td>
+          <td className="inputLine">
+            <TextInput fieldKey={captureKey(cell.id)} label={cell.label} />
+          </td>
+          <td className="cellbuffer" />
+        </Row>
+      );
+    case CELL_TYPES.NOTES_LINE:
+      return (
+        <Row>
+          {cell.label && <td className="cell_content bold nowrap">{cell.label}</td>}
+          <td className="cell_notesLine">
+            <TextInput fieldKey={captureKey(cell.id)} label={cell.label || 'Notes'} />
+          </td>
+        </Row>
+      );
+    case CELL_TYPES.BLANK_LINE:
+      return (
+        <Row>
+          <td className="cell_blankLine" />
+        </Row>
+      );
+    case CELL_TYPES.SIGNATURE:
+      return (
+        <Row className="SignatureRow">
+          <td className="cell_content bold nowrap">{cell.label || 'Signature'}</td>
+          <td className="cell_longUnderline">
+            <TextInput fieldKey={captureKey(cell.id, 'name')} label={cell.label || 'Signature'} />
+          </td>
+          <td className="cell_small bold">Date</td>
+          <td className="cell_mediumUnderline">
+            <TextInput
+              fieldKey={captureKey(cell.id, 'date')}
+              label={`${cell.label || 'Signature'} date`}
+              placeholder={DATE_PLACEHOLDER}
+            />
+          </td>
+        </Row>
+      );
+    case CELL_TYPES.BLOCKS:
+      return <BlockRow cell={cell} />;
+    default:
+      return (
+        <Row>
+          <td className="cell_singleInfoLine">Unsupported cell type: {cell.type || '(none)'}</td>
+        </Row>
+      );
+  }
+};
+
+// Designer mode: each cell is wrapped so it can be clicked and highlighted. Without
+// onCellClick the markup is exactly what prints.
+const SelectableCell = ({ cell, selected, onCellClick }) => (
+  <div
+    data-cell-id={cell.id}
+    onClick={() => onCellClick(cell.id)}
+    style={{
+      cursor: 'pointer',
+      outline: selected ? '2px solid #1976d2' : 'none',
+      outlineOffset: 1
+    }}
+  >
+    <SourceCell cell={cell} />
+  </div>
+);
+
+// Visit and worksheet names at the top of a page; continued marks a page's later sheets
+export const PageHeader = ({ page, continued = false }) => (
+  <Row className="Header">
+    <td className="VisitName">
+      {page.visitName || page.name}
+      {continued && ' (continued)'}
+    </td>
+    {page.worksheetName && (
+      <td className="cell_small">
+        <span className="worksheetName">{page.worksheetName}</span>
+      </td>
+    )}
+  </Row>
+);
+
+// Normalizing is idempotent, so raw and already-normalized pages both work
+export const SourcePage = ({ page, first = false, selectedCellId, onCellClick }) => {
+  const normalized = normalizePage(page);
+  const { id, cells } = normalized;
+  const stamp = getPageStamp(normalized);
+  return (
+    <div className={first ? 'pageStartFirst' : 'pageStart'} data-page-id={id}>
+      {stamp && <div className={stamp.className}>{stamp.text}</div>}
+      <PageHeader page={normalized} />
+      {(cells || []).map((cell) =>
+        onCellClick ? (
+          <SelectableCell
+            key={cell.id}
+            cell={cell}
+            selected={cell.id === selectedCellId}
+            onCellClick={onCellClick}
+          />
+        ) : (
+          <SourceCell key={cell.id} cell={cell} />
+        )
+      )}
+    </div>
+  );
+};
+
+// pages: page objects from GetBinderPages (raw or normalized), in print order
+const SourcePageRenderer = ({ pages, selectedCellId, onCellClick }) => (
+  <div className="PageBody">
+    {pages.map((page, index) => (
+      <SourcePage
+        key={page.id || index}
+        page={page}
+        first={index === 0}
+        selectedCellId={selectedCellId}
+        onCellClick={onCellClick}
+      />
+    ))}
+  </div>
+);
+
+export default SourcePageRenderer;
@@ -0,0 +1,327 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  TextField,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { templateStore, TEMPLATE_STORAGE } from '../../services/templateStore';
+import { saveJson } from '../../utils/download';
+import {
+  matchesTemplateSearch,
+  collectTags,
+  buildTemplateExport,
+  parseTemplateExport
+} from './pageTemplates';
+import SourceFrame from './SourceFrame';
+import SourcePageRenderer from './SourcePageRenderer';
+
+// Larger files are refused before they are read
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// The source page template library: search and tag filter, a preview of each template
+// with its placeholders unfilled, delete, and export / import as a JSON file. Templates
+// are added from a binder's pages ("Save as template") and used there ("From template").
+const TemplateLibrary = () => {
+  const importInputRef = useRef(null);
+  const [templates, setTemplates] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [search, setSearch] = useState('');
+  const [tag, setTag] = useState(null);
+  const [previewing, setPreviewing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError('');
+
+    templateStore
+      .list({ signal: controller.signal })
+      .then((result) => {
+        setTemplates(result.templates);
+        setStorage(result.storage);
+      })
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to load templates:', err);
+        setError(getErrorMessage(err, 'Failed to load templates'));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      });
+    return () => controller.abort();
+  }, [reloadKey]);
+
+  const tags = collectTags(templates);
+  const shown = templates.filter(
+    (template) => matchesTemplateSearch(template, search) && (!tag || (template.tags || []).includes(tag))
+  );
+
+  const handleDelete = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      await templateStore.remove(deleting.id);
+      setTemplates((current) => current.filter((template) => template.id !== deleting.id));
+      setNotice(`Template "${deleting.name}" deleted.`);
+      setDeleting(null);
+    } catch (err) {
+      console.error('Failed to delete template:', err);
+      setError(getErrorMessage(err, 'Failed to delete template'));
+      setDeleting(null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = () => {
+    const exported = buildTemplateExport(shown);
+    saveJson(exported, `Page templates ${exported.exportedAt.slice(0, 10)}.json`);
+  };
+
+  // Imported templates are always added, never matched to existing ones
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    // Choosing the same file again should read it again
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    setError('');
+    setNotice('');
+    if (file.size > MAX_IMPORT_BYTES) {
+      setError(`The file is larger than ${MAX_IMPORT_BYTES / (1024 * 1024)} MB`);
+      return;
+    }
+    setBusy(true);
+    let added = 0;
+    try {
+      const imported = parseTemplateExport(await file.text());
+      for (const template of imported) {
+        await templateStore.save(template);
+        added += 1;
+      }
+      setNotice(`Imported ${added} template${added === 1 ? '' : 's'}.`);
+    } catch (err) {
+      console.error('Failed to import templates:', err);
+      const message = getErrorMessage(err, 'Failed to import templates');
+      setError(
+        added ? `${message}. ${added} template${added === 1 ? ' was' : 's were'} imported first.` : message
+      );
+    } finally {
+      setBusy(false);
+      if (added) {
+        setReloadKey((key) => key + 1);
+      }
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h4" component="h1" sx={{ flexGrow: 1 }}>
+          Page templates
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button onClick={() => importInputRef.current?.click()} disabled={busy || loading}>
+            Import
+          </Button>
+          <Button variant="outlined" onClick={handleExport} disabled={busy || !shown.length}>
+            Export{search || tag ? ` ${shown.length} shown` : ''}
+          </Button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={handleImport}
+          />
+        </Box>
+      </Box>
+
+      {storage === TEMPLATE_STORAGE.LOCAL && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          The server has no template library, so templates are kept in this browser only. Export them
+          to share them or keep a copy, and import the file in another browser.
+        </Alert>
+      )}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice('')}>
+          {notice}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <TextField
+          fullWidth
+          label="Search"
+          placeholder="Name, description, worksheet or tag"
+          size="small"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        {tags.length > 0 && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+            {tags.map((item) => (
+              <Chip
+                key={item}
+                size="small"
+                label={item}
+                color={item === tag ? 'primary' : 'default'}
+                onClick={() => setTag(item === tag ? null : item)}
+              />
+            ))}
+          </Box>
+        )}
+      </Paper>
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" alignItems="center" minHeight="30vh">
+          <CircularProgress />
+        </Box>
+      ) : templates.length === 0 ? (
+        !error && (
+          <Alert severity="info">
+            No templates yet. Open a binder's pages and use "Save as template" on a page.
+          </Alert>
+        )
+      ) : (
+        <Paper>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Worksheet</TableCell>
+                <TableCell>Tags</TableCell>
+                <TableCell align="right">Rows</TableCell>
+                <TableCell>Updated</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {shown.map((template) => (
+                <TableRow key={template.id} hover>
+                  <TableCell>
+                    {template.name}
+                    {template.description && (
+                      <Typography variant="body2" color="text.secondary">
+                        {template.description}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{template.worksheetName || '—'}</TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {(template.tags || []).map((item) => (
+                        <Chip key={item} size="small" label={item} variant="outlined" />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  <TableCell align="right">{(template.cells || []).length}</TableCell>
+                  <TableCell>{formatDate(template.updatedAt || template.createdAt)}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Button size="small" onClick={() => setPreviewing(template)}>
+                      Preview
+                    </Button>
+                    <Button size="small" color="error" onClick={() => setDeleting(template)} disabled={busy}>
+                      Delete
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {shown.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6}>
+                    <Typography variant="body2" color="text.secondary">
+                      No templates match.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
+
+      <Dialog open={Boolean(previewing)} onClose={() => setPreviewing(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{previewing?.name}</DialogTitle>
+        <DialogContent dividers>
+          <DialogContentText sx={{ mb: 2 }}>
+            Placeholders such as {'{{visitName}}'} are filled in when the template is added to a binder.
+          </DialogContentText>
+          {previewing && (
+            <Box sx={{ overflowX: 'auto' }}>
+              <SourceFrame title={`${previewing.name} preview`}>
+                <SourcePageRenderer
+                  pages={[
+                    {
+                      id: previewing.id,
+                      name: previewing.pageName,
+                      visitName: previewing.visitName,
+                      worksheetName: previewing.worksheetName,
+                      cells: previewing.cells
+                    }
+                  ]}
+                />
+              </SourceFrame>
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPreviewing(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(deleting)} onClose={busy ? undefined : () => setDeleting(null)}>
+        <DialogTitle>Delete {deleting?.name}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The template is removed from the library. Pages already added from it are not changed.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleting(null)} disabled={busy}>
+            Cancel
+          </Button>
+          <Button color="error" variant="contained" onClick={handleDelete} disabled={busy}>
+            {busy ? 'Deleting...' : 'Delete'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TemplateLibrary;
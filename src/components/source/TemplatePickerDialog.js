@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  TextField,
+  Typography,
+  List,
+  ListItemButton,
+  ListItemText,
+  Chip,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { binderApi } from '../../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../../services/apiService';
+import { templateStore } from '../../services/templateStore';
+import { OPTIONAL_ENDPOINTS, noteUnsupportedEndpoint } from '../../services/endpointSupport';
+import { getProtocolInfo } from '../../utils/binderFields';
+import {
+  TEMPLATE_PLACEHOLDERS,
+  findTemplatePlaceholders,
+  templateToPage,
+  matchesTemplateSearch,
+  collectTags
+} from './pageTemplates';
+import SourceFrame from './SourceFrame';
+import SourcePageRenderer from './SourcePageRenderer';
+
+const PREVIEW_SCALE = 0.6;
+
+// Adds a page to a binder from the template library. The template's placeholders are
+// filled in from the fields shown for them (the protocol number starts as the binder's);
+// the new page starts as a draft. onInserted(page) gets the saved page.
+const TemplatePickerDialog = ({ open, onClose, binderId, binder, onInserted }) => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [tag, setTag] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [values, setValues] = useState({});
+  const [inserting, setInserting] = useState(false);
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+    const controller = new AbortController();
+    setLoading(true);
+    setError('');
+    setSearch('');
+    setTag(null);
+    setSelectedId(null);
+    setValues({ visitName: '', protocolNumber: binder ? getProtocolInfo(binder).protocolNumber || '' : '' });
+
+    templateStore
+      .list({ signal: controller.signal })
+      .then(({ templates: list }) => setTemplates(list))
+      .catch((err) => {
+        if (isRequestCanceled(err)) {
+          return;
+        }
+        console.error('Failed to load templates:', err);
+        setError(getErrorMessage(err, 'Failed to load templates'));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      });
+    return () => controller.abort();
+  }, [open]);
+
+  const tags = collectTags(templates);
+  const shown = templates.filter(
+    (template) => matchesTemplateSearch(template, search) && (!tag || (template.tags || []).includes(tag))
+  );
+  const selected = templates.find((template) => template.id === selectedId);
+  const placeholders = selected ? findTemplatePlaceholders(selected) : [];
+  const preview = selected && templateToPage(selected, values);
+
+  const handleInsert = async () => {
+    setInserting(true);
+    setError('');
+    try {
+      const saved = await binderApi.saveBinderPage({ binderId, ...templateToPage(selected, values) });
+      onInserted(saved);
+    } catch (err) {
+      console.error('Failed to add page from template:', err);
+      setError(
+        noteUnsupportedEndpoint(err, OPTIONAL_ENDPOINTS.SAVE_PAGE)
+          ? 'This server does not support adding pages.'
+          : getErrorMessage(err, 'Failed to add page from template')
+      );
+    } finally {
+      setInserting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={inserting ? undefined : onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Add page from template</DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {loading ? (
+          <Box display="flex" justifyContent="center" sx={{ py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : templates.length === 0 ? (
+          !error && (
+            <Alert severity="info">
+              The template library is empty. Use "Save as template" on a page to add one.
+            </Alert>
+          )
+        ) : (
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+            <Box sx={{ width: 280, flexShrink: 0 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Search templates"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+              {tags.length > 0 && (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+                  {tags.map((item) => (
+                    <Chip
+                      key={item}
+                      size="small"
+                      label={item}
+                      color={item === tag ? 'primary' : 'default'}
+                      onClick={() => setTag(item === tag ? null : item)}
+                    />
+                  ))}
+                </Box>
+              )}
+              <List dense sx={{ maxHeight: 400, overflowY: 'auto' }}>
+                {shown.map((template) => (
+                  <ListItemButton
+                    key={template.id}
+                    selected={template.id === selectedId}
+                    onClick={() => setSelectedId(template.id)}
+                  >
+                    <ListItemText
+                      primary={template.name}
+                      secondary={template.description || (template.tags || []).join(', ')}
+                    />
+                  </ListItemButton>
+                ))}
+                {shown.length === 0 && (
+                  <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+                    No templates match.
+                  </Typography>
+                )}
+              </List>
+            </Box>
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              {selected ? (
+                <>
+                  {TEMPLATE_PLACEHOLDERS.filter(({ key }) => placeholders.includes(key)).map(
+                    ({ key, label }) => (
+                      <TextField
+                        key={key}
+                        size="small"
+                        label={label}
+                        value={values[key] || ''}
+                        onChange={(e) => setValues((current) => ({ ...current, [key]: e.target.value }))}
+                        sx={{ mr: 2, mb: 2 }}
+                        disabled={inserting}
+                      />
+                    )
+                  )}
+                  <Box sx={{ overflowX: 'auto' }}>
+                    <SourceFrame title={`${selected.name} preview`} scale={PREVIEW_SCALE}>
+                      <SourcePageRenderer pages={[preview]} />
+                    </SourceFrame>
+                  </Box>
+                </>
+              ) : (
+                <Typography color="text.secondary" sx={{ p: 2 }}>
+                  Choose a template to preview it.
+                </Typography>
+              )}
+            </Box>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={inserting}>
+          Cancel
+        </Button>
+        <Button variant="contained" onClick={handleInsert} disabled={!selected || inserting}>
+          {inserting ? 'Adding...' : 'Add page'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TemplatePickerDialog;
@@ -0,0 +1,35 @@
+import { PAGE_BODY_WIDTH_MM, SHEET_WIDTH_MM, SHEET_HEIGHT_MM, PAPER_HEIGHT_MM } from './printLayout';
+
+// PDF export happens in the browser: each sheet of the print frame is drawn to a canvas
+// and placed on its own PDF page. The libraries are only loaded when someone exports.
+export const exportSheetsToPdf = async (frameDocument, fileName, onProgress) => {
+  const [{ jsPDF }, { default: html2canvas }] = await Promise.all([import('jspdf'), import('html2canvas')]);
+  const sheets = Array.from(frameDocument.querySelectorAll('.printSheet'));
+  if (!sheets.length) {
+    throw new Error('There are no pages to export');
+  }
+
+  const format = [SHEET_WIDTH_MM, PAPER_HEIGHT_MM];
+  const pdf = new jsPDF({ unit: 'mm', format, orientation: 'portrait', compress: true });
+  const bodyLeft = (SHEET_WIDTH_MM - PAGE_BODY_WIDTH_MM) / 2;
+
+  for (let index = 0; index < sheets.length; index += 1) {
+    if (onProgress) {
+      onProgress(index + 1, sheets.length);
+    }
+    // One sheet at a time keeps memory flat on long binders
+    const canvas = await html2canvas(sheets[index], {
+      scale: 2,
+      backgroundColor: '#ffffff',
+      logging: false,
+      useCORS: true,
+      onclone: (clone) => clone.body.classList.add('pdfExport')
+    });
+    if (index > 0) {
+      pdf.addPage(format, 'portrait');
+    }
+    pdf.addImage(canvas.toDataURL('image/jpeg', 0.92), 'JPEG', bodyLeft, 0, PAGE_BODY_WIDTH_MM, SHEET_HEIGHT_MM);
+  }
+
+  pdf.save(fileName);
+};
@@ -0,0 +1,81 @@
+// Binder-level header and footer templates for printed source pages.
+//
+// A template is plain text: each line is a row, and `|` splits a row into columns
+// (two columns sit left and right, three left, centre and right). {{placeholders}} are
+// filled per sheet and **text** is bold. Nothing is parsed as HTML.
+
+export const PLACEHOLDERS = [
+  { key: 'protocolNumber', label: 'Protocol number' },
+  { key: 'protocolTitle', label: 'Protocol title' },
+  { key: 'protocolVersion', label: 'Protocol version' },
+  { key: 'sponsor', label: 'Sponsor' },
+  { key: 'binderName', label: 'Binder name' },
+  { key: 'subjectId', label: 'Subject ID' },
+  { key: 'visitName', label: 'Visit name' },
+  { key: 'worksheetName', label: 'Worksheet name' },
+  { key: 'pageName', label: 'Page name' },
+  { key: 'pageNumber', label: 'Page number' },
+  { key: 'pageCount', label: 'Page count' },
+  { key: 'version', label: 'Page version' },
+  { key: 'printedDate', label: 'Printed date' }
+];
+
+export const DEFAULT_HEADER_TEMPLATE = 'Protocol **{{protocolNumber}}** | Subject ID: {{subjectId}}';
+export const DEFAULT_FOOTER_TEMPLATE =
+  '{{binderName}} | {{pageName}} v{{version}} | Printed {{printedDate}} · Page {{pageNumber}} of {{pageCount}}';
+
+export const TEMPLATE_MAX_LENGTH = 1000;
+
+// Left blank on paper so it can be written in by hand
+const BLANK_SUBJECT_ID = '____________';
+
+export const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+export const formatPrintedDate = (date) =>
+  date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }).toUpperCase();
+
+// Values for one sheet. sheet: { page, number, total }; info: { binderName, protocol,
+// subjectId, printedAt } as passed to PrintDocument.
+export const getTemplateValues = (sheet, info) => ({
+  ...info.protocol,
+  binderName: info.binderName,
+  subjectId: info.subjectId || BLANK_SUBJECT_ID,
+  visitName: sheet.page.visitName,
+  worksheetName: sheet.page.worksheetName,
+  pageName: sheet.page.name,
+  pageNumber: sheet.number,
+  pageCount: sheet.total,
+  version: sheet.page.version,
+  printedDate: formatPrintedDate(info.printedAt)
+});
+
+export const fillTemplate = (text, values) =>
+  text.replace(PLACEHOLDER_PATTERN, (match, key) => String(values[key] ?? ''));
+
+// Placeholder names in a template that are not in PLACEHOLDERS
+export const findUnknownPlaceholders = (template) => {
+  const known = new Set(PLACEHOLDERS.map((item) => item.key));
+  const unknown = new Set();
+  for (const match of (template || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!known.has(match[1])) {
+      unknown.add(match[1]);
+    }
+  }
+  return [...unknown];
+};
+
+// -> rows of columns of segments: [[[{ text, bold }]]]. Blank lines are dropped.
+export const parseTemplate = (template, values) =>
+  (template || '')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line) =>
+      line.split('|').map((column) =>
+        // Split before filling so a value containing ** cannot toggle bold
+        column
+          .trim()
+          .split('**')
+          .map((text, index) => ({ text: fillTemplate(text, values), bold: index % 2 === 1 }))
+          .filter((segment) => segment.text)
+      )
+    );
@@ -0,0 +1,148 @@
+import { CELL_PROPERTIES, serializeCell, describeCell } from './sourceCellTypes';
+
+// Compares two versions of a source page cell by cell. Cells are aligned in order with a
+// longest common subsequence, so an inserted row does not make every row below it look
+// changed. Cells keep their id across saves; pages whose cells share no ids (e.g. rebuilt
+// from scratch) are aligned on type and wording instead.
+
+export const DIFF_STATUS = {
+  UNCHANGED: 'unchanged',
+  CHANGED: 'changed',
+  ADDED: 'added',
+  REMOVED: 'removed',
+  MOVED: 'moved'
+};
+
+export const PROPERTY_LABELS = {
+  type: 'Type',
+  text: 'Text',
+  label: 'Label',
+  input: 'Input',
+  suffix: 'Suffix',
+  indent: 'Indent',
+  na: 'N/A box',
+  required: 'Required',
+  options: 'Options',
+  blocks: 'Blocks'
+};
+
+const PAGE_FIELDS = [
+  { name: 'name', label: 'Page name' },
+  { name: 'visitName', label: 'Visit' },
+  { name: 'worksheetName', label: 'Worksheet' }
+];
+
+// Block ids are regenerated when a cell is copied, so they are not part of its content
+const comparable = (cell) => {
+  const { id, blocks, ...content } = serializeCell(cell);
+  return blocks ? { ...content, blocks: blocks.map(({ id: blockId, ...block }) => block) } : content;
+};
+
+// Names of the properties that differ between two versions of a cell
+export const changedProperties = (before, after) => {
+  if (before.type !== after.type) {
+    return ['type'];
+  }
+  const a = comparable(before);
+  const b = comparable(after);
+  const names = CELL_PROPERTIES[before.type] || [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  return names.filter((name) => JSON.stringify(a[name]) !== JSON.stringify(b[name]));
+};
+
+const createMatcher = (before, after) => {
+  const beforeIds = new Set(before.map((cell) => cell.id));
+  if (after.some((cell) => beforeIds.has(cell.id))) {
+    return (a, b) => a.id === b.id;
+  }
+  return (a, b) => a.type === b.type && describeCell(a) === describeCell(b);
+};
+
+// -> [[beforeCell | null, afterCell | null]] in display order
+const alignCells = (before, after, same) => {
+  // lengths[i][j]: longest common run of before[i..] and after[j..]; pages are a few dozen rows
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i -= 1) {
+    for (let j = after.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = same(before[i], after[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (same(before[i], after[j])) {
+      pairs.push([before[i], after[j]]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pairs.push([before[i], null]);
+      i += 1;
+    } else {
+      pairs.push([null, after[j]]);
+      j += 1;
+    }
+  }
+  before.slice(i).forEach((cell) => pairs.push([cell, null]));
+  after.slice(j).forEach((cell) => pairs.push([null, cell]));
+  return pairs;
+};
+
+// before, after: normalized pages. Returns
+// [{ key, status, before, after, changes, beforeIndex, afterIndex }], with indexes 1-based.
+export const diffPageCells = (before, after) => {
+  const beforeCells = before.cells || [];
+  const afterCells = after.cells || [];
+  const pairs = alignCells(beforeCells, afterCells, createMatcher(beforeCells, afterCells));
+
+  // A cell that left the common run but is still on both pages was moved
+  const removedIds = new Set(pairs.filter(([a, b]) => a && !b).map(([a]) => a.id));
+  const addedIds = new Set(pairs.filter(([a, b]) => !a && b).map(([, b]) => b.id));
+  const movedTo = new Map(afterCells.filter((cell) => removedIds.has(cell.id)).map((cell) => [cell.id, cell]));
+  const movedFrom = new Map(beforeCells.filter((cell) => addedIds.has(cell.id)).map((cell) => [cell.id, cell]));
+
+  return pairs.map(([a, b], index) => {
+    let status;
+    let changes = [];
+    if (a && b) {
+      changes = changedProperties(a, b);
+      status = changes.length ? DIFF_STATUS.CHANGED : DIFF_STATUS.UNCHANGED;
+    } else if (a) {
+      status = movedTo.has(a.id) ? DIFF_STATUS.MOVED : DIFF_STATUS.REMOVED;
+      changes = movedTo.has(a.id) ? changedProperties(a, movedTo.get(a.id)) : [];
+    } else {
+      status = movedFrom.has(b.id) ? DIFF_STATUS.MOVED : DIFF_STATUS.ADDED;
+      changes = movedFrom.has(b.id) ? changedProperties(movedFrom.get(b.id), b) : [];
+    }
+    return {
+      key: `${a ? a.id : '-'}:${b ? b.id : '-'}:${index}`,
+      status,
+      before: a,
+      after: b,
+      changes,
+      beforeIndex: a ? beforeCells.indexOf(a) + 1 : null,
+      afterIndex: b ? afterCells.indexOf(b) + 1 : null
+    };
+  });
+};
+
+// -> { added, removed, changed, moved } row counts; a move counts once
+export const summarizeDiff = (rows) => {
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  return {
+    added: count(DIFF_STATUS.ADDED),
+    removed: count(DIFF_STATUS.REMOVED),
+    changed: count(DIFF_STATUS.CHANGED),
+    moved: rows.filter((row) => row.status === DIFF_STATUS.MOVED && row.after).length
+  };
+};
+
+// Page-level fields that differ: [{ name, label, before, after }]
+export const diffPageFields = (before, after) =>
+  PAGE_FIELDS.filter((field) => (before[field.name] || '') !== (after[field.name] || '')).map((field) => ({
+    ...field,
+    before: before[field.name] || '',
+    after: after[field.name] || ''
+  }));
@@ -0,0 +1,37 @@
+// Lifecycle of a binder page. Saving a page makes a draft version; promoting the draft
+// makes it the active version and supersedes the one before; a rescinded page is
+// withdrawn from use and can no longer be changed.
+
+export const PAGE_STATUS = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  SUPERSEDED: 'superseded',
+  RESCINDED: 'rescinded'
+};
+
+export const RESCIND_REASON_MAX_LENGTH = 500;
+
+const STATUS_DISPLAY = {
+  [PAGE_STATUS.DRAFT]: { label: 'Draft', color: 'warning' },
+  [PAGE_STATUS.ACTIVE]: { label: 'Active', color: 'success' },
+  [PAGE_STATUS.SUPERSEDED]: { label: 'Superseded', color: 'default' },
+  [PAGE_STATUS.RESCINDED]: { label: 'Rescinded', color: 'error' }
+};
+
+// Works for pages and page versions
+export const getPageStatus = (page) => String(page?.status || PAGE_STATUS.ACTIVE).toLowerCase();
+
+// -> { label, color } for an MUI Chip
+export const getStatusDisplay = (status) => STATUS_DISPLAY[status] || { label: status, color: 'default' };
+
+// The watermark drawn across a page in its status, from SourceStyleV3.css
+export const getPageStamp = (page) => {
+  const status = getPageStatus(page);
+  if (status === PAGE_STATUS.DRAFT) {
+    return { className: 'DraftStamp', text: 'Draft' };
+  }
+  if (status === PAGE_STATUS.RESCINDED) {
+    return { className: 'RescindedStamp', text: 'Rescinded' };
+  }
+  return null;
+};
@@ -0,0 +1,205 @@
+// Reusable source page templates: a page's names and cells with optional {{visitName}}
+// and {{protocolNumber}} placeholders, filled in when the template is added to a binder.
+// Template: { id, name, description, tags, pageName, visitName, worksheetName, cells }.
+
+import { fillTemplate, PLACEHOLDER_PATTERN } from './headerFooter';
+import { normalizePage, serializeCell } from './sourceCellTypes';
+
+export const TEMPLATE_PLACEHOLDERS = [
+  { key: 'visitName', label: 'Visit name' },
+  { key: 'protocolNumber', label: 'Protocol number' }
+];
+
+export const TEMPLATE_FIELDS = [
+  { name: 'name', label: 'Name', required: true, maxLength: 200 },
+  { name: 'description', label: 'Description', maxLength: 1000 },
+  { name: 'tags', label: 'Tags', maxLength: 500 }
+];
+
+export const TEMPLATE_EXPORT_FORMAT = 'stat-page-templates';
+export const TEMPLATE_EXPORT_VERSION = 1;
+
+// "Vitals, every visit" -> ['vitals', 'every visit'], without repeats
+export const parseTags = (text) => {
+  const tags = new Map();
+  String(text || '')
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean)
+    .forEach((tag) => {
+      if (!tags.has(tag.toLowerCase())) {
+        tags.set(tag.toLowerCase(), tag);
+      }
+    });
+  return [...tags.values()];
+};
+
+// Applies fn to every piece of text on a cell: text, label, suffix, options and block labels
+const mapCellText = (cell, fn) => {
+  const mapped = { ...cell };
+  ['text', 'label', 'suffix'].forEach((name) => {
+    if (typeof mapped[name] === 'string') {
+      mapped[name] = fn(mapped[name]);
+    }
+  });
+  if (Array.isArray(mapped.options)) {
+    mapped.options = mapped.options.map((option) => (typeof option === 'string' ? fn(option) : option));
+  }
+  if (Array.isArray(mapped.blocks)) {
+    mapped.blocks = mapped.blocks.map((block) => ({ ...block, label: fn(block.label || '') }));
+  }
+  return mapped;
+};
+
+const templateTexts = (template) => [
+  template.pageName,
+  template.visitName,
+  template.worksheetName,
+  ...(template.cells || []).flatMap((cell) => {
+    const texts = [];
+    mapCellText(cell, (text) => {
+      texts.push(text);
+      return text;
+    });
+    return texts;
+  })
+];
+
+// Placeholder keys a template uses, in TEMPLATE_PLACEHOLDERS order
+export const findTemplatePlaceholders = (template) => {
+  const used = new Set();
+  templateTexts(template).forEach((text) => {
+    for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+      used.add(match[1]);
+    }
+  });
+  return TEMPLATE_PLACEHOLDERS.filter((placeholder) => used.has(placeholder.key)).map(({ key }) => key);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A value only matches as a whole: not inside a longer word or number, so visit "Day 1" is not
+// found in "Day 14" and protocol "12" not in "12.3" or "ABC-12"
+const wholeValuePattern = (value) =>
+  new RegExp(
+    `(?<![\\p{L}\\p{N}]|[\\p{L}\\p{N}][._/-])${escapeRegExp(value)}(?![\\p{L}\\p{N}]|[._/-][\\p{L}\\p{N}])`,
+    'gu'
+  );
+
+// Swaps each value for its placeholder, longest value first so one cannot break another
+const insertPlaceholders = (text, values) =>
+  Object.entries(values)
+    .map(([key, value]) => [key, (value || '').trim()])
+    .filter(([, value]) => value)
+    .sort(([, a], [, b]) => b.length - a.length)
+    .reduce((result, [key, value]) => result.replace(wholeValuePattern(value), `{{${key}}}`), text);
+
+// Applies convert(text, where) to the page's names and every cell's text
+const convertPage = (page, convert) => {
+  const normalized = normalizePage(page);
+  return {
+    pageName: convert(normalized.name, 'Page name'),
+    visitName: convert(normalized.visitName, 'Visit name'),
+    worksheetName: convert(normalized.worksheetName, 'Worksheet name'),
+    cells: (normalized.cells || []).map((cell, index) =>
+      mapCellText(serializeCell(cell), (text) => convert(text, `Row ${index + 1}`))
+    )
+  };
+};
+
+// A page as a template. values ({ visitName, protocolNumber }) are replaced by their
+// placeholders wherever they appear as a whole; pass null to keep the page's text as it is.
+export const pageToTemplate = (page, { name, description, tags }, values) => ({
+  name: name.trim(),
+  description: description.trim(),
+  tags,
+  ...convertPage(page, values ? (text) => insertPlaceholders(text, values) : (text) => text)
+});
+
+// The texts pageToTemplate would change, as [{ where, before, after }], to show before saving
+export const findPlaceholderChanges = (page, values) => {
+  const changes = [];
+  convertPage(page, (text, where) => {
+    const after = insertPlaceholders(text, values);
+    if (after !== text) {
+      changes.push({ where, before: text, after });
+    }
+    return after;
+  });
+  return changes;
+};
+
+// The SaveBinderPage fields for a template with its placeholders filled in
+export const templateToPage = (template, values) => {
+  const fill = (text) => fillTemplate(text || '', values);
+  const visitName = fill(template.visitName).trim();
+  const worksheetName = fill(template.worksheetName).trim();
+  return {
+    name: fill(template.pageName).trim() || [visitName, worksheetName].filter(Boolean).join(' - '),
+    visitName,
+    worksheetName,
+    cells: (template.cells || []).map((cell) => mapCellText(cell, fill))
+  };
+};
+
+export const matchesTemplateSearch = (template, search) => {
+  const needle = search.trim().toLowerCase();
+  return (
+    !needle ||
+    [template.name, template.description, template.worksheetName, ...(template.tags || [])].some(
+      (text) => text && String(text).toLowerCase().includes(needle)
+    )
+  );
+};
+
+// Every tag in use, sorted, for the tag filter
+export const collectTags = (templates) =>
+  [...new Set(templates.flatMap((template) => template.tags || []))].sort((a, b) => a.localeCompare(b));
+
+export const buildTemplateExport = (templates) => ({
+  format: TEMPLATE_EXPORT_FORMAT,
+  version: TEMPLATE_EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  templates: templates.map(({ id, name, description, tags, pageName, visitName, worksheetName, cells }) => ({
+    id,
+    name,
+    description,
+    tags,
+    pageName,
+    visitName,
+    worksheetName,
+    cells
+  }))
+});
+
+// Checks a template export file's text and returns its templates, without ids. Throws an
+// Error whose message says what is wrong.
+export const parseTemplateExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || data.format !== TEMPLATE_EXPORT_FORMAT || !Array.isArray(data.templates)) {
+    throw new Error('The file is not a template export');
+  }
+  if (!Number.isInteger(data.version) || data.version > TEMPLATE_EXPORT_VERSION) {
+    throw new Error(`The file is template export version ${data.version}, which this app cannot read`);
+  }
+  return data.templates.map((template, index) => {
+    const named = template && typeof template.name === 'string' && template.name.trim();
+    if (!named || !Array.isArray(template.cells)) {
+      throw new Error(`Template ${index + 1} has no name or no cells`);
+    }
+    return {
+      name: template.name.trim(),
+      description: typeof template.description === 'string' ? template.description : '',
+      tags: Array.isArray(template.tags) ? parseTags(template.tags.join(',')) : [],
+      pageName: typeof template.pageName === 'string' ? template.pageName : '',
+      visitName: typeof template.visitName === 'string' ? template.visitName : '',
+      worksheetName: typeof template.worksheetName === 'string' ? template.worksheetName : '',
+      cells: template.cells
+    };
+  });
+};
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseTags,
+  pageToTemplate,
+  findPlaceholderChanges,
+  findTemplatePlaceholders,
+  templateToPage,
+  buildTemplateExport,
+  parseTemplateExport
+} from './pageTemplates';
+
+const page = (texts, fields = {}) => ({
+  name: 'Day 1 Vitals',
+  visitName: 'Day 1',
+  worksheetName: 'Vitals',
+  cells: texts.map((text, index) => ({ id: `c${index}`, type: 'sectionHeader', text })),
+  ...fields
+});
+
+const values = { visitName: 'Day 1', protocolNumber: '12' };
+const meta = { name: ' Vitals ', description: '', tags: [] };
+
+describe('pageToTemplate', () => {
+  it('replaces values that appear as a whole', () => {
+    const template = pageToTemplate(page(['Protocol 12.', '(Day 1)', 'Day 1 - visit']), meta, values);
+    expect(template.name).toBe('Vitals');
+    expect(template.pageName).toBe('{{visitName}} Vitals');
+    expect(template.visitName).toBe('{{visitName}}');
+    expect(template.cells.map((cell) => cell.text)).toEqual([
+      'Protocol {{protocolNumber}}.',
+      '({{visitName}})',
+      '{{visitName}} - visit'
+    ]);
+  });
+
+  it('leaves values that are part of a longer word or number', () => {
+    const texts = ['Day 14', 'Version 12.3', 'ABC-12', '12/3', 'Room 120'];
+    const template = pageToTemplate(page(texts), meta, values);
+    expect(template.cells.map((cell) => cell.text)).toEqual(texts);
+  });
+
+  it('treats values as plain text, not patterns', () => {
+    const template = pageToTemplate(page(['Arm (A+B)', 'Arm AAB']), meta, { visitName: '(A+B)' });
+    expect(template.cells.map((cell) => cell.text)).toEqual(['Arm {{visitName}}', 'Arm AAB']);
+  });
+
+  it('keeps the text as it is without values', () => {
+    expect(pageToTemplate(page(['Day 1']), meta, null).cells[0].text).toBe('Day 1');
+  });
+});
+
+describe('findPlaceholderChanges', () => {
+  it('lists only the texts that change', () => {
+    expect(findPlaceholderChanges(page(['Day 14', 'Protocol 12']), values)).toEqual([
+      { where: 'Page name', before: 'Day 1 Vitals', after: '{{visitName}} Vitals' },
+      { where: 'Visit name', before: 'Day 1', after: '{{visitName}}' },
+      { where: 'Row 2', before: 'Protocol 12', after: 'Protocol {{protocolNumber}}' }
+    ]);
+  });
+});
+
+describe('templateToPage', () => {
+  it('fills the placeholders back in', () => {
+    const template = pageToTemplate(page(['Protocol 12']), meta, values);
+    expect(findTemplatePlaceholders(template)).toEqual(['visitName', 'protocolNumber']);
+    const filled = templateToPage(template, { visitName: 'Week 4', protocolNumber: 'ACME-301' });
+    expect(filled.name).toBe('Week 4 Vitals');
+    expect(filled.visitName).toBe('Week 4');
+    expect(filled.cells[0].text).toBe('Protocol ACME-301');
+  });
+});
+
+describe('parseTags', () => {
+  it('splits on commas and drops blanks and repeats', () => {
+    expect(parseTags('Vitals, every visit,, vitals ')).toEqual(['Vitals', 'every visit']);
+  });
+});
+
+describe('parseTemplateExport', () => {
+  it('reads back what buildTemplateExport writes, without ids', () => {
+    const template = { id: 't-1', ...pageToTemplate(page(['Day 1']), meta, values) };
+    const [parsed] = parseTemplateExport(JSON.stringify(buildTemplateExport([template])));
+    expect(parsed.id).toBeUndefined();
+    expect(parsed.name).toBe('Vitals');
+    expect(parsed.cells).toEqual(template.cells);
+  });
+
+  it('says what is wrong with a file it cannot import', () => {
+    expect(() => parseTemplateExport('nope')).toThrow('not valid JSON');
+    expect(() => parseTemplateExport('{"format":"other","templates":[]}')).toThrow('not a template export');
+    const unnamed = JSON.stringify({ format: 'stat-page-templates', version: 1, templates: [{ cells: [] }] });
+    expect(() => parseTemplateExport(unnamed)).toThrow('Template 1 has no name');
+  });
+});
@@ -0,0 +1,66 @@
+// Print layout for source pages. A source page becomes one or more sheets of a fixed
+// size; each sheet repeats the page header and carries a footer with "Page X of Y".
+// Cells are measured in the print frame first, then split at cell boundaries so a row
+// is never cut across sheets.
+
+// Sheet size in the legacy source layout: a 226mm page body plus 5mm margins
+export const PAGE_BODY_WIDTH_MM = 226;
+export const SHEET_WIDTH_MM = PAGE_BODY_WIDTH_MM + 10;
+export const SHEET_HEIGHT_MM = 300;
+// Paper is a little taller than the sheet so rounding never spills onto a blank page
+export const PAPER_HEIGHT_MM = 305;
+// Room left under the last row of a sheet for sub-pixel rounding
+const SHEET_SLACK_PX = 4;
+
+// Added to SourceStyleV3.css inside the print frame
+export const PRINT_STYLES = `
+  @page { size: ${SHEET_WIDTH_MM}mm ${PAPER_HEIGHT_MM}mm; margin: 0; }
+  html, body { margin: 0; }
+  .printSheet { position: relative; isolation: isolate; height: ${SHEET_HEIGHT_MM}mm; overflow: hidden; }
+  .printSheet + .printSheet { page-break-before: always; }
+  .printCell { display: flow-root; }
+  .printFooter { position: absolute; left: 0; right: 0; bottom: 0; margin-left: 0; }
+  .printTemplateHeader { border-bottom: 1px solid black; margin-bottom: 1mm; color: #444; }
+  .printSheet .DraftStamp, .printSheet .RescindedStamp { position: absolute; z-index: -1; pointer-events: none; }
+  .printMeasure { position: absolute; visibility: hidden; }
+  .printSheetHeight { height: ${SHEET_HEIGHT_MM}mm; }
+  @media screen {
+    .printSheet { border-bottom: 1px dashed #b61b1b; }
+    .pdfExport .printSheet { border-bottom: 0; }
+  }
+`;
+
+// measurements: { sheetHeight, footerHeight, headerHeights: { [pageId]: px },
+// cellHeights: { [pageId]: [px per cell] } }. Returns
+// [{ key, page, cells, part, parts, number, total }] in print order.
+export const paginatePages = (pages, measurements) => {
+  const { sheetHeight, footerHeight, headerHeights, cellHeights } = measurements;
+  const sheets = [];
+
+  pages.forEach((page) => {
+    const budget = sheetHeight - footerHeight - (headerHeights[page.id] || 0) - SHEET_SLACK_PX;
+    const heights = cellHeights[page.id] || [];
+    const parts = [];
+    let current = [];
+    let used = 0;
+
+    (page.cells || []).forEach((cell, index) => {
+      const height = heights[index] || 0;
+      // A cell taller than a whole sheet still gets a sheet of its own
+      if (current.length && used + height > budget) {
+        parts.push(current);
+        current = [];
+        used = 0;
+      }
+      current.push(cell);
+      used += height;
+    });
+    parts.push(current);
+
+    parts.forEach((cells, index) => {
+      sheets.push({ key: `${page.id}-${index + 1}`, page, cells, part: index + 1, parts: parts.length });
+    });
+  });
+
+  return sheets.map((sheet, index) => ({ ...sheet, number: index + 1, total: sheets.length }));
+};
@@ -0,0 +1,113 @@
+import { CELL_TYPES, INPUT_WIDTHS, normalizePage } from './sourceCellTypes';
+
+// Capture mode: the values a coordinator fills into a page during a visit. Values live in
+// a flat map keyed by cell id (plus a part for cells with several inputs), so a draft
+// still lines up after page edits that leave a cell in place.
+
+export const NA_PART = 'na';
+
+export const captureKey = (cellId, part) => (part ? `${cellId}/${part}` : String(cellId));
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+export const DATE_PLACEHOLDER = 'DD / MMM / YYYY';
+
+// Source dates are written DD / MMM / YYYY (05 / MAR / 2024); slashes, dashes or
+// spaces between the parts are all accepted while typing
+export const parseSourceDate = (text) => {
+  const match = /^\s*(\d{1,2})\s*[/\-\s]\s*([a-z]{3})\s*[/\-\s]\s*(\d{4})\s*$/i.exec(text || '');
+  if (!match) {
+    return null;
+  }
+  const day = Number(match[1]);
+  const month = MONTHS.indexOf(match[2].toUpperCase());
+  const year = Number(match[3]);
+  if (month < 0) {
+    return null;
+  }
+  const date = new Date(year, month, day);
+  return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+};
+
+export const formatSourceDate = (date) =>
+  `${String(date.getDate()).padStart(2, '0')} / ${MONTHS[date.getMonth()]} / ${date.getFullYear()}`;
+
+const validateDate = (text, label) => {
+  const date = parseSourceDate(text);
+  if (!date) {
+    return `${label} must be a date like 05 / MAR / 2024`;
+  }
+  const endOfToday = new Date();
+  endOfToday.setHours(23, 59, 59, 999);
+  if (date > endOfToday) {
+    return `${label} cannot be in the future`;
+  }
+  return null;
+};
+
+// The inputs a page collects: [{ key, cellId, label, kind, required, naKey }], in page
+// order. kind is 'text', 'date', 'checkbox' or 'options'.
+export const getCaptureFields = (page) => {
+  const { cells } = normalizePage(page);
+  return (cells || []).flatMap((cell) => {
+    const field = (kind, part, label) => ({
+      key: captureKey(cell.id, part),
+      cellId: cell.id,
+      label: label || cell.label || cell.text || 'Field',
+      kind,
+      required: cell.required,
+      naKey: cell.na ? captureKey(cell.id, NA_PART) : null
+    });
+
+    switch (cell.type) {
+      case CELL_TYPES.CHECKBOX:
+        return [field('checkbox')];
+      case CELL_TYPES.LABEL:
+        return INPUT_WIDTHS[cell.input] ? [field('text')] : [];
+      case CELL_TYPES.MULTISELECT:
+        return [field('options')];
+      case CELL_TYPES.DATE:
+        return [field('date', null, cell.label || 'Date')];
+      case CELL_TYPES.INPUT_LINE:
+      case CELL_TYPES.NOTES_LINE:
+        return [field('text')];
+      case CELL_TYPES.SIGNATURE:
+        return [
+          field('text', 'name', cell.label || 'Signature'),
+          field('date', 'date', `${cell.label || 'Signature'} date`)
+        ];
+      case CELL_TYPES.BLOCKS:
+        return cell.blocks.map((block) => ({
+          ...field(block.input === 'checkbox' ? 'checkbox' : 'text', block.id, block.label || 'Field'),
+          required: false
+        }));
+      default:
+        return [];
+    }
+  });
+};
+
+export const isEmptyValue = (value) =>
+  value === undefined || value === null || value === false || value === '' || (Array.isArray(value) && !value.length);
+
+// { [key]: message } for the fields that fail. A field marked N/A is never required.
+export const validateCapture = (fields, values) =>
+  fields.reduce((errors, field) => {
+    const value = values[field.key];
+    if (field.naKey && values[field.naKey]) {
+      return errors;
+    }
+    if (isEmptyValue(value)) {
+      if (field.required) {
+        errors[field.key] = `${field.label} is required`;
+      }
+      return errors;
+    }
+    if (field.kind === 'date') {
+      const message = validateDate(String(value), field.label);
+      if (message) {
+        errors[field.key] = message;
+      }
+    }
+    return errors;
+  }, {});
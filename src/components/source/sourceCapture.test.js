@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseSourceDate,
+  formatSourceDate,
+  getCaptureFields,
+  validateCapture,
+  isEmptyValue
+} from './sourceCapture';
+
+const page = {
+  id: 'p-1',
+  cells: [
+    { id: 'c1', type: 'sectionHeader', text: 'Vitals' },
+    { id: 'c2', type: 'date', label: 'Visit date', required: true },
+    { id: 'c3', type: 'label', label: 'Weight', input: 'shortUnderline', required: true, na: true },
+    { id: 'c4', type: 'label', label: 'No input' },
+    { id: 'c5', type: 'signature', label: 'Investigator' }
+  ]
+};
+
+describe('parseSourceDate', () => {
+  it('reads DD / MMM / YYYY with slashes, dashes or spaces', () => {
+    for (const text of ['05 / MAR / 2024', '5-mar-2024', '5 Mar 2024', ' 05/MAR/2024 ']) {
+      const date = parseSourceDate(text);
+      expect([date.getFullYear(), date.getMonth(), date.getDate()]).toEqual([2024, 2, 5]);
+    }
+  });
+
+  it('refuses impossible and malformed dates', () => {
+    expect(parseSourceDate('31 / FEB / 2024')).toBeNull();
+    expect(parseSourceDate('29 / FEB / 2023')).toBeNull();
+    expect(parseSourceDate('05 / MRZ / 2024')).toBeNull();
+    expect(parseSourceDate('2024-03-05')).toBeNull();
+    expect(parseSourceDate('')).toBeNull();
+    expect(parseSourceDate(undefined)).toBeNull();
+  });
+
+  it('accepts a leap day', () => {
+    expect(parseSourceDate('29 / FEB / 2024')).not.toBeNull();
+  });
+});
+
+describe('formatSourceDate', () => {
+  it('writes the printed form', () => {
+    expect(formatSourceDate(new Date(2024, 2, 5))).toBe('05 / MAR / 2024');
+  });
+});
+
+describe('getCaptureFields', () => {
+  it('lists the inputs a page collects, in page order', () => {
+    expect(getCaptureFields(page).map(({ key, kind, naKey }) => [key, kind, naKey])).toEqual([
+      ['c2', 'date', null],
+      ['c3', 'text', 'c3/na'],
+      ['c5/name', 'text', null],
+      ['c5/date', 'date', null]
+    ]);
+  });
+});
+
+describe('validateCapture', () => {
+  const fields = getCaptureFields(page);
+
+  it('reports missing required fields', () => {
+    expect(validateCapture(fields, {})).toEqual({
+      c2: 'Visit date is required',
+      c3: 'Weight is required'
+    });
+  });
+
+  it('does not require a field marked N/A', () => {
+    expect(validateCapture(fields, { c2: '05 / MAR / 2024', 'c3/na': true })).toEqual({});
+  });
+
+  it('checks dates, including optional ones', () => {
+    const values = { c2: 'yesterday', c3: '70', 'c5/date': '31 / FEB / 2024' };
+    expect(validateCapture(fields, values)).toEqual({
+      c2: 'Visit date must be a date like 05 / MAR / 2024',
+      'c5/date': 'Investigator date must be a date like 05 / MAR / 2024'
+    });
+  });
+
+  it('refuses dates in the future', () => {
+    const nextYear = formatSourceDate(new Date(new Date().getFullYear() + 1, 0, 1));
+    expect(validateCapture(fields, { c2: nextYear, c3: '70' })).toEqual({
+      c2: 'Visit date cannot be in the future'
+    });
+  });
+});
+
+describe('isEmptyValue', () => {
+  it('treats blank, unchecked and empty selections as empty', () => {
+    expect([undefined, null, false, '', []].every(isEmptyValue)).toBe(true);
+    expect([0, 'x', true, ['a']].some(isEmptyValue)).toBe(false);
+  });
+});
@@ -0,0 +1,248 @@
+// The cell vocabulary of a source worksheet page, as returned by GetBinderPages.
+// Each page is { id, name, visitName, worksheetName, order, status, version, cells },
+// each cell { id, type, ...props }. The layout classes come from SourceStyleV3.css.
+
+export const CELL_TYPES = {
+  SECTION_HEADER: 'sectionHeader',
+  SEPARATOR: 'separator',
+  INFO_LINE: 'infoLine',
+  CHECKBOX: 'checkbox',
+  LABEL: 'label',
+  MULTISELECT: 'multiselect',
+  DATE: 'date',
+  INPUT_LINE: 'inputLine',
+  NOTES_LINE: 'notesLine',
+  BLANK_LINE: 'blankLine',
+  SIGNATURE: 'signature',
+  BLOCKS: 'blocks'
+};
+
+// Underline widths for label cells, narrowest first
+export const INPUT_WIDTHS = {
+  shortUnderline: 'cell_shortUnderline',
+  mediumUnderline: 'cell_mediumUnderline',
+  underline: 'cell_underline',
+  longUnderline: 'cell_longUnderline'
+};
+
+export const BLOCK_INPUTS = {
+  underline: 'cellBlock_underline',
+  checkbox: 'checkbox'
+};
+
+// Blocks are 1-6 units wide (cell_block, cell_block_x2 ... cell_block_x6)
+export const MAX_BLOCK_SIZE = 6;
+export const MAX_INDENT = 3;
+
+// Older pages use PascalCase or a `cellType` field; map the names we have seen
+const TYPE_ALIASES = {
+  header: CELL_TYPES.SECTION_HEADER,
+  sectionheader: CELL_TYPES.SECTION_HEADER,
+  seperator: CELL_TYPES.SEPARATOR,
+  separator: CELL_TYPES.SEPARATOR,
+  info: CELL_TYPES.INFO_LINE,
+  infoline: CELL_TYPES.INFO_LINE,
+  singleinfoline: CELL_TYPES.INFO_LINE,
+  checkbox: CELL_TYPES.CHECKBOX,
+  nocheckbox: CELL_TYPES.LABEL,
+  label: CELL_TYPES.LABEL,
+  multiselect: CELL_TYPES.MULTISELECT,
+  options: CELL_TYPES.MULTISELECT,
+  date: CELL_TYPES.DATE,
+  daterow: CELL_TYPES.DATE,
+  inputline: CELL_TYPES.INPUT_LINE,
+  notes: CELL_TYPES.NOTES_LINE,
+  notesline: CELL_TYPES.NOTES_LINE,
+  blank: CELL_TYPES.BLANK_LINE,
+  blankline: CELL_TYPES.BLANK_LINE,
+  signature: CELL_TYPES.SIGNATURE,
+  signaturerow: CELL_TYPES.SIGNATURE,
+  blocks: CELL_TYPES.BLOCKS,
+  inputblocks: CELL_TYPES.BLOCKS
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Number(value) || 0));
+
+export const normalizeCell = (cell, index = 0) => {
+  const rawType = String(cell?.type || cell?.Type || cell?.cellType || cell?.CellType || '');
+  const type = TYPE_ALIASES[rawType.toLowerCase()] || rawType;
+  const pick = (name) => cell?.[name] ?? cell?.[name.charAt(0).toUpperCase() + name.slice(1)];
+
+  return {
+    ...cell,
+    id: String(pick('id') ?? `cell-${index + 1}`),
+    type,
+    text: pick('text') || '',
+    label: pick('label') || '',
+    input: pick('input') || undefined,
+    suffix: pick('suffix') || '',
+    indent: clamp(pick('indent'), 0, MAX_INDENT),
+    na: Boolean(pick('na')),
+    required: Boolean(pick('required')),
+    options: Array.isArray(pick('options')) ? pick('options') : [],
+    blocks: Array.isArray(pick('blocks'))
+      ? pick('blocks').map((block, blockIndex) => ({
+          ...block,
+          id: String(block.id ?? `${pick('id') ?? index}-block-${blockIndex + 1}`),
+          size: clamp(block.size, 1, MAX_BLOCK_SIZE),
+          label: block.label || '',
+          input: block.input || 'underline'
+        }))
+      : []
+  };
+};
+
+export const normalizePage = (page, index = 0) => {
+  const pick = (name) => page?.[name] ?? page?.[name.charAt(0).toUpperCase() + name.slice(1)];
+  const cells = pick('cells');
+  return {
+    ...page,
+    id: String(pick('id') ?? pick('pageId') ?? `page-${index + 1}`),
+    name: pick('name') || pick('title') || '',
+    visitName: pick('visitName') || '',
+    worksheetName: pick('worksheetName') || '',
+    order: Number(pick('order') ?? index + 1),
+    status: pick('status') || 'active',
+    version: pick('version') ?? null,
+    cells: Array.isArray(cells) ? cells.map(normalizeCell) : null
+  };
+};
+
+// GetBinderPages returns a bare array or { pages: [...] }
+export const toPageArray = (response) => {
+  const list = Array.isArray(response) ? response : response?.pages || response?.Pages || [];
+  return list.map(normalizePage).sort((a, b) => a.order - b.order);
+};
+
+// Designer palette. Each entry creates a new cell; several entries share a type and
+// differ only in their starting props (e.g. the underline widths).
+export const CELL_PALETTE = [
+  { key: 'sectionHeader', label: 'Section header', cell: { type: CELL_TYPES.SECTION_HEADER, text: 'Section' } },
+  { key: 'separator', label: 'Separator', cell: { type: CELL_TYPES.SEPARATOR, text: 'Separator' } },
+  { key: 'infoLine', label: 'Info line', cell: { type: CELL_TYPES.INFO_LINE, text: 'Instructions' } },
+  { key: 'checkbox', label: 'Checkbox row', cell: { type: CELL_TYPES.CHECKBOX, label: 'Item' } },
+  { key: 'label', label: 'Row without checkbox', cell: { type: CELL_TYPES.LABEL, label: 'Label' } },
+  {
+    key: 'shortUnderline',
+    label: 'Short underline',
+    cell: { type: CELL_TYPES.LABEL, label: 'Value', input: 'shortUnderline' }
+  },
+  {
+    key: 'mediumUnderline',
+    label: 'Medium underline',
+    cell: { type: CELL_TYPES.LABEL, label: 'Value', input: 'mediumUnderline' }
+  },
+  {
+    key: 'longUnderline',
+    label: 'Long underline',
+    cell: { type: CELL_TYPES.LABEL, label: 'Value', input: 'longUnderline' }
+  },
+  { key: 'notesLine', label: 'Notes line', cell: { type: CELL_TYPES.NOTES_LINE, label: 'Notes' } },
+  {
+    key: 'multiselect',
+    label: 'Option boxes',
+    cell: { type: CELL_TYPES.MULTISELECT, label: 'Question', options: ['Yes', 'No'] }
+  },
+  { key: 'date', label: 'Date row', cell: { type: CELL_TYPES.DATE, label: 'Date' } },
+  { key: 'inputLine', label: 'Input line', cell: { type: CELL_TYPES.INPUT_LINE, label: 'Field' } },
+  { key: 'signature', label: 'Signature row', cell: { type: CELL_TYPES.SIGNATURE, label: 'Signature' } },
+  { key: 'blankLine', label: 'Blank line', cell: { type: CELL_TYPES.BLANK_LINE } },
+  {
+    key: 'blocks',
+    label: 'Input blocks',
+    cell: {
+      type: CELL_TYPES.BLOCKS,
+      blocks: [
+        { size: 3, label: 'Field', input: 'underline' },
+        { size: 1, label: 'Yes', input: 'checkbox' }
+      ]
+    }
+  }
+];
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const createCell = (paletteKey) => {
+  const entry = CELL_PALETTE.find((item) => item.key === paletteKey);
+  if (!entry) {
+    throw new Error(`Unknown palette item: ${paletteKey}`);
+  }
+  const template = JSON.parse(JSON.stringify(entry.cell));
+  if (template.blocks) {
+    template.blocks = template.blocks.map((block) => ({ ...block, id: newId('blk') }));
+  }
+  return normalizeCell({ ...template, id: newId('c') });
+};
+
+export const createBlock = () => ({ id: newId('blk'), size: 2, label: 'Field', input: 'underline' });
+
+// Copy of a cell with fresh ids, for duplicating
+export const cloneCell = (cell) =>
+  normalizeCell({
+    ...JSON.parse(JSON.stringify(cell)),
+    id: newId('c'),
+    blocks: (cell.blocks || []).map((block) => ({ ...block, id: newId('blk') }))
+  });
+
+// Which properties a cell type has, for the designer's property panel
+export const CELL_PROPERTIES = {
+  [CELL_TYPES.SECTION_HEADER]: ['text'],
+  [CELL_TYPES.SEPARATOR]: ['text'],
+  [CELL_TYPES.INFO_LINE]: ['text'],
+  [CELL_TYPES.CHECKBOX]: ['label', 'indent', 'na', 'required'],
+  [CELL_TYPES.LABEL]: ['label', 'input', 'suffix', 'indent', 'na', 'required'],
+  [CELL_TYPES.MULTISELECT]: ['label', 'options', 'indent', 'required'],
+  [CELL_TYPES.DATE]: ['label', 'required'],
+  [CELL_TYPES.INPUT_LINE]: ['label', 'required'],
+  [CELL_TYPES.NOTES_LINE]: ['label'],
+  [CELL_TYPES.BLANK_LINE]: [],
+  [CELL_TYPES.SIGNATURE]: ['label', 'required'],
+  [CELL_TYPES.BLOCKS]: ['blocks']
+};
+
+export const CELL_TYPE_LABELS = {
+  [CELL_TYPES.SECTION_HEADER]: 'Section header',
+  [CELL_TYPES.SEPARATOR]: 'Separator',
+  [CELL_TYPES.INFO_LINE]: 'Info line',
+  [CELL_TYPES.CHECKBOX]: 'Checkbox',
+  [CELL_TYPES.LABEL]: 'Label',
+  [CELL_TYPES.MULTISELECT]: 'Options',
+  [CELL_TYPES.DATE]: 'Date',
+  [CELL_TYPES.INPUT_LINE]: 'Input line',
+  [CELL_TYPES.NOTES_LINE]: 'Notes line',
+  [CELL_TYPES.BLANK_LINE]: 'Blank line',
+  [CELL_TYPES.SIGNATURE]: 'Signature',
+  [CELL_TYPES.BLOCKS]: 'Blocks'
+};
+
+// One-line summary of a cell for lists
+export const describeCell = (cell) => {
+  if (cell.type === CELL_TYPES.BLOCKS) {
+    return cell.blocks.map((block) => block.label || '(blank)').join(' | ');
+  }
+  if (cell.type === CELL_TYPES.MULTISELECT) {
+    return `${cell.label} [${cell.options.join(' / ')}]`;
+  }
+  return cell.text || cell.label || '';
+};
+
+// Strip normalization defaults so saved cells stay as small as the server's own
+export const serializeCell = (cell) => {
+  const props = CELL_PROPERTIES[cell.type];
+  if (!props) {
+    // A type this client does not know; send it back untouched
+    return cell;
+  }
+  const saved = { id: cell.id, type: cell.type };
+  props.forEach((name) => {
+    const value = cell[name];
+    if (value === undefined || value === '' || value === false || value === 0) {
+      return;
+    }
+    if (Array.isArray(value) && value.length === 0) {
+      return;
+    }
+    saved[name] = value;
+  });
+  return saved;
+};
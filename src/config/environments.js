@@ -0,0 +1,83 @@
+// Backend environments, configured through Vite env variables (see .env.example).
+// The active one is chosen at runtime from the navbar and persisted per browser.
+const env = import.meta.env;
+
+const STORAGE_KEY = 'apiEnvironment';
+// Resolved base URL, published for the legacy (non-module) pages
+const LEGACY_BASE_URL_KEY = 'apiBaseUrl';
+// The Vite dev server proxies /__api/<name>/* to that environment (vite.config.js)
+const PROXY_PREFIX = '/__api';
+
+const ENVIRONMENTS = [
+  {
+    name: 'local',
+    label: 'Local',
+    baseUrl: env.VITE_API_URL_LOCAL || 'http://localhost:3001',
+    color: 'success'
+  },
+  {
+    name: 'staging',
+    label: 'Staging',
+    baseUrl: env.VITE_API_URL_STAGING || '',
+    color: 'warning'
+  },
+  {
+    name: 'production',
+    label: 'Production',
+    baseUrl: env.VITE_API_URL_PRODUCTION || 'https://www.statresearch.com:3001',
+    color: 'error'
+  }
+].filter((environment) => environment.baseUrl);
+
+const DEFAULT_ENVIRONMENT = env.VITE_API_ENV || (env.DEV ? 'local' : 'production');
+const useDevProxy = Boolean(env.DEV) && env.VITE_API_PROXY !== 'false';
+
+const findEnvironment = (name) => ENVIRONMENTS.find((environment) => environment.name === name);
+
+const readStoredName = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const getEnvironments = () => ENVIRONMENTS;
+
+export const getActiveEnvironment = () =>
+  findEnvironment(readStoredName()) || findEnvironment(DEFAULT_ENVIRONMENT) || ENVIRONMENTS[0];
+
+// Base URL for requests: the dev proxy path in development, the backend itself otherwise
+export const getApiBaseUrl = () => {
+  const environment = getActiveEnvironment();
+  return useDevProxy ? `${PROXY_PREFIX}/${environment.name}` : environment.baseUrl;
+};
+
+// Legacy pages are not always served by the dev server, so they get the backend itself
+// rather than the proxy path
+const getLegacyApiBaseUrl = () => getActiveEnvironment().baseUrl;
+
+const publishForLegacyPages = () => {
+  try {
+    localStorage.setItem(LEGACY_BASE_URL_KEY, getLegacyApiBaseUrl());
+  } catch (error) {
+    // Legacy pages fall back to their own detection
+  }
+  window.StatApiConfig = { getApiBaseUrl: getLegacyApiBaseUrl, getActiveEnvironment };
+};
+
+// Switching backends invalidates the session and any loaded data, so reload
+export const setActiveEnvironment = (name) => {
+  if (!findEnvironment(name) || name === getActiveEnvironment().name) {
+    return;
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY, name);
+  } catch (error) {
+    console.error('Failed to persist API environment:', error);
+  }
+  publishForLegacyPages();
+  window.location.reload();
+};
+
+publishForLegacyPages();
@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { getApiBaseUrl, getActiveEnvironment } from './environments';
+
+describe('environments', () => {
+  it('gives the app the dev proxy path in development', () => {
+    expect(getApiBaseUrl()).toBe(`/__api/${getActiveEnvironment().name}`);
+  });
+
+  it('gives the legacy pages the backend itself', () => {
+    const { baseUrl } = getActiveEnvironment();
+    expect(baseUrl).toMatch(/^https?:\/\//);
+    expect(localStorage.getItem('apiBaseUrl')).toBe(baseUrl);
+    expect(window.StatApiConfig.getApiBaseUrl()).toBe(baseUrl);
+  });
+});
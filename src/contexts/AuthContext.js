@@ -1,8 +1,42 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { apiService } from '../services/apiService';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { apiService, getErrorMessage } from '../services/apiService';
+import { getAuthToken, setAuthToken, clearAuthToken, extractAuthToken } from '../services/authToken';
+import {
+  initializeGoogleSignIn,
+  renderGoogleButton as renderGsiButton,
+  disableGoogleAutoSelect,
+} from '../services/googleIdentity';
+import {
+  SESSION_EVENTS,
+  broadcastSessionEvent,
+  subscribeToSessionEvents
+} from '../services/sessionSync';
+import { setReauthenticationHandler } from '../services/authRecovery';
+import { captureStore } from '../services/captureStore';
+import { getUserId } from '../services/permissions';
+import { templateStore } from '../services/templateStore';
 
 const AuthContext = createContext();
 
+// Sign users out after this long without interaction, warning them first
+export const IDLE_TIMEOUT_MS = 20 * 60 * 1000;
+export const SESSION_WARNING_MS = 2 * 60 * 1000;
+
+// ValidateSession may report when the server-side session ends
+const parseSessionExpiry = (session) => {
+  if (!session) {
+    return null;
+  }
+  if (session.expiresIn) {
+    return Date.now() + Number(session.expiresIn) * 1000;
+  }
+  const expiry = session.expiresAt || session.expires || session.expiration;
+  const time = expiry ? Date.parse(expiry) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+const isAuthFailure = (error) => error.status === 401 || error.status === 403;
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -14,44 +48,218 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const [sessionNotice, setSessionNotice] = useState('');
+  // True while the re-login dialog is open; the ref settles the queued requests
+  const [reauthenticating, setReauthenticating] = useState(false);
+  const reauthResolveRef = useRef(null);
+  // Session event handlers outlive renders; read the latest user through a ref
+  const userRef = useRef(user);
+  userRef.current = user;
 
-  useEffect(() => {
-    // Check if user is logged in on app start
-    const token = localStorage.getItem('authToken');
-    if (token) {
-      // You might want to validate the token with your backend
-      setUser({ token });
+  // Ask the server whether the token is still good; throws if it is not
+  const validateSession = async () => {
+    const response = await apiService.validateSession();
+    if (response.data?.valid === false) {
+      const error = new Error('Session is no longer valid');
+      error.status = 401;
+      throw error;
     }
-    setLoading(false);
+    setSessionExpiresAt(parseSessionExpiry(response.data));
+    return response.data;
+  };
+
+  useEffect(() => {
+    // Validate any stored token before rendering protected routes
+    const restoreSession = async () => {
+      const token = getAuthToken();
+      if (!token) {
+        setLoading(false);
+        return;
+      }
+
+      try {
+        await validateSession();
+        const response = await apiService.getCurrentUser();
+        setUser({ token, ...response.data });
+      } catch (error) {
+        if (isAuthFailure(error)) {
+          clearAuthToken();
+          setSessionNotice('Your session has expired. Please sign in again.');
+        } else {
+          // Server unreachable: keep the token and let later requests decide
+          console.error('Session validation failed:', error);
+          setUser({ token });
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    restoreSession();
   }, []);
 
+  // Put a session into React state, here or when another tab signs in
+  const applySession = (token, userData) => {
+    setUser({ token, ...userData });
+    setSessionNotice('');
+    setSessionExpiresAt(null);
+
+    // Pick up the full profile and expiry without holding up the login
+    validateSession()
+      .then(() => apiService.getCurrentUser())
+      .then((response) => setUser((current) => current && { ...current, ...response.data }))
+      .catch((error) => console.error('Failed to load current user:', error));
+  };
+
+  // Store the server-issued token and user; shared by every sign-in method
+  const startSession = (token, userData) => {
+    setAuthToken(token);
+    applySession(token, userData);
+    broadcastSessionEvent(SESSION_EVENTS.LOGIN, { token, user: userData });
+  };
+
+  const endSession = (reason) => {
+    const endingUserId = getUserId(userRef.current);
+    completeReauthentication(false);
+    setUser(null);
+    setSessionExpiresAt(null);
+    setSessionNotice(typeof reason === 'string' ? reason : '');
+    // Unsent capture entries would otherwise stay on a shared device; other users' drafts are kept
+    captureStore
+      .deleteUserDrafts(endingUserId)
+      .catch((error) => console.error('Failed to delete capture drafts:', error));
+    // The next user may be on a server that has the template library
+    templateStore.reset();
+  };
+
+  useEffect(() => {
+    // Follow sign-in, sign-out and session refreshes from other tabs
+    return subscribeToSessionEvents((event) => {
+      if (event.type === SESSION_EVENTS.LOGIN && event.token) {
+        if (userRef.current?.token !== event.token) {
+          applySession(event.token, event.user);
+        }
+      } else if (event.type === SESSION_EVENTS.LOGOUT) {
+        if (userRef.current) {
+          disableGoogleAutoSelect();
+          endSession(event.reason || 'You were signed out in another tab.');
+        }
+      } else if (event.type === SESSION_EVENTS.REFRESH && event.expiresAt !== undefined) {
+        setSessionExpiresAt(event.expiresAt);
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    // A 401 while signed in opens the re-login dialog instead of leaving the page
+    return setReauthenticationHandler(() => {
+      if (!userRef.current) {
+        return false;
+      }
+      return new Promise((resolve) => {
+        reauthResolveRef.current = resolve;
+        setReauthenticating(true);
+      });
+    });
+  }, []);
+
+  // Called by the re-login dialog; true replays the queued requests
+  const completeReauthentication = (success) => {
+    if (reauthResolveRef.current) {
+      reauthResolveRef.current(success);
+      reauthResolveRef.current = null;
+    }
+    setReauthenticating(false);
+  };
+
+  // "Stay signed in": touching ValidateSession slides the server-side expiry
+  const extendSession = async () => {
+    try {
+      const session = await validateSession();
+      broadcastSessionEvent(SESSION_EVENTS.REFRESH, { expiresAt: parseSessionExpiry(session) });
+      return true;
+    } catch (error) {
+      if (isAuthFailure(error)) {
+        logout('Your session has expired. Please sign in again.');
+      }
+      return false;
+    }
+  };
+
   const login = async (credentials) => {
     try {
       const response = await apiService.login(credentials);
       const { token, user: userData } = response.data;
-      
-      localStorage.setItem('authToken', token);
-      setUser({ token, ...userData });
-      
-      return { success: true };
+
+      startSession(token, userData);
+
+      return { success: true, user: userData };
     } catch (error) {
       console.error('Login failed:', error);
-      return { 
-        success: false, 
-        error: error.response?.data?.message || 'Login failed' 
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Login failed'
       };
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('authToken');
-    setUser(null);
+  // Exchange a Google ID token for our own session token
+  const loginWithGoogle = async (idToken) => {
+    try {
+      const response = await apiService.authenticateWithGoogle(idToken);
+      const token = extractAuthToken(response.data);
+      if (!token) {
+        throw new Error('No session token returned from server');
+      }
+
+      startSession(token, response.data.user);
+
+      return { success: true, user: response.data.user };
+    } catch (error) {
+      console.error('Google login failed:', error);
+      return {
+        success: false,
+        error: getErrorMessage(error, 'Google sign-in failed')
+      };
+    }
+  };
+
+  // Render the Google Sign-In button; the callbacks report the exchange result
+  const renderGoogleButton = async (container, { onSuccess, onError } = {}) => {
+    await initializeGoogleSignIn(async (idToken) => {
+      const result = await loginWithGoogle(idToken);
+      if (result.success && onSuccess) {
+        onSuccess(result.user);
+      } else if (!result.success && onError) {
+        onError(result.error);
+      }
+    });
+    renderGsiButton(container);
+  };
+
+  // reason is shown on the login page (e.g. after an idle timeout)
+  const logout = (reason = '') => {
+    clearAuthToken();
+    disableGoogleAutoSelect();
+    endSession(reason);
+    // Signing out of a shared workstation must sign out every tab
+    broadcastSessionEvent(SESSION_EVENTS.LOGOUT, {
+      reason: typeof reason === 'string' && reason ? reason : undefined
+    });
   };
 
   const value = {
     user,
     login,
+    loginWithGoogle,
+    renderGoogleButton,
     logout,
+    extendSession,
+    reauthenticating,
+    completeReauthentication,
+    sessionExpiresAt,
+    sessionNotice,
     loading
   };
 
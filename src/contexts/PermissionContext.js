@@ -0,0 +1,121 @@
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { binderApi } from '../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../services/apiService';
+import { getUserGrants, getBinderGrants, hasPermission } from '../services/permissions';
+
+const PermissionContext = createContext();
+
+export const usePermissions = () => {
+  const context = useContext(PermissionContext);
+  if (!context) {
+    throw new Error('usePermissions must be used within a PermissionProvider');
+  }
+  return context;
+};
+
+// Loads a binder's permissions on mount and returns a can() bound to that binder.
+// error is set when they could not be loaded; retry() asks again.
+export const useBinderPermissions = (binderId) => {
+  const { can, loadBinderPermissions, isBinderLoaded, getBinderError } = usePermissions();
+  const error = binderId ? getBinderError(binderId) : '';
+
+  useEffect(() => {
+    if (binderId) {
+      loadBinderPermissions(binderId);
+    }
+  }, [binderId]);
+
+  return {
+    can: (permission) => can(permission, { binderId }),
+    loading: Boolean(binderId) && !isBinderLoaded(binderId) && !error,
+    error,
+    retry: () => loadBinderPermissions(binderId)
+  };
+};
+
+export const PermissionProvider = ({ children }) => {
+  const { user } = useAuth();
+  // binderId -> Set of grants
+  const [binderGrants, setBinderGrants] = useState({});
+  // binderId -> message for the last load that failed
+  const [binderErrors, setBinderErrors] = useState({});
+  const pendingRef = useRef({});
+
+  const userGrants = getUserGrants(user);
+
+  useEffect(() => {
+    // Permissions belong to the user; drop them on sign-out or account change
+    setBinderGrants({});
+    setBinderErrors({});
+    pendingRef.current = {};
+  }, [user?.token]);
+
+  const loadBinderPermissions = (binderId, { force = false } = {}) => {
+    if (!user || !binderId) {
+      return Promise.resolve(null);
+    }
+    if (!force && pendingRef.current[binderId]) {
+      return pendingRef.current[binderId];
+    }
+
+    const request = binderApi
+      .getBinderPermissions(binderId)
+      .then((response) => {
+        const grants = getBinderGrants(response, user);
+        setBinderGrants((current) => ({ ...current, [binderId]: grants }));
+        setBinderErrors(({ [binderId]: failed, ...rest }) => rest);
+        return grants;
+      })
+      .catch((error) => {
+        // Not cached: until a load succeeds the binder grants nothing, and the next load asks again
+        if (pendingRef.current[binderId] === request) {
+          delete pendingRef.current[binderId];
+        }
+        if (!isRequestCanceled(error)) {
+          console.error('Failed to load binder permissions:', error);
+          setBinderErrors((current) => ({
+            ...current,
+            [binderId]: getErrorMessage(error, 'Failed to load your permissions for this binder')
+          }));
+        }
+        return null;
+      });
+
+    pendingRef.current[binderId] = request;
+    return request;
+  };
+
+  const isBinderLoaded = (binderId) => Boolean(binderGrants[binderId]);
+
+  const getBinderError = (binderId) => binderErrors[binderId] || '';
+
+  // can(PERMISSIONS.BINDER_EDIT, { binderId }) checks the user's global grants
+  // first, then the binder's own grants once they have been loaded.
+  const can = (permission, { binderId } = {}) => {
+    if (!user) {
+      return false;
+    }
+    if (userGrants && hasPermission(userGrants, permission)) {
+      return true;
+    }
+    if (binderId) {
+      return hasPermission(binderGrants[binderId], permission);
+    }
+    // No permission model advertised for this user: let the server decide
+    return userGrants === null;
+  };
+
+  const value = {
+    can,
+    loadBinderPermissions,
+    isBinderLoaded,
+    getBinderError
+  };
+
+  return (
+    <PermissionContext.Provider value={value}>
+      {children}
+    </PermissionContext.Provider>
+  );
+};
@@ -0,0 +1,23 @@
+import { usePermissions } from '../contexts/PermissionContext';
+import { PERMISSIONS } from '../services/permissions';
+import { doaApi } from '../services/doaApi';
+
+// DOA finalization for the signed-in user. Controls hide or disable themselves with
+// canFinalize; finalize() refuses without doa.finalize instead of waiting for the server's 403.
+export const useDoaFinalize = () => {
+  const { can } = usePermissions();
+  const canFinalize = can(PERMISSIONS.DOA_FINALIZE);
+
+  const finalize = (data, config) => {
+    if (!canFinalize) {
+      const error = new Error('You do not have permission to finalize a DOA');
+      error.status = 403;
+      return Promise.reject(error);
+    }
+    return doaApi.finalizeDoa(data, config);
+  };
+
+  return { canFinalize, finalize };
+};
+
+export default useDoaFinalize;
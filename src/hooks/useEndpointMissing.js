@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { isEndpointMissing, subscribeToEndpointSupport } from '../services/endpointSupport';
+
+// True once the server has answered that it does not have endpoint (see OPTIONAL_ENDPOINTS)
+export const useEndpointMissing = (endpoint) =>
+  useSyncExternalStore(subscribeToEndpointSupport, () => isEndpointMissing(endpoint));
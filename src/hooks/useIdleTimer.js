@@ -0,0 +1,66 @@
+import { useEffect, useRef, useCallback } from 'react';
+import {
+  SESSION_EVENTS,
+  broadcastSessionEvent,
+  subscribeToSessionEvents
+} from '../services/sessionSync';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll', 'wheel'];
+// Share activity with other tabs at most this often
+const ACTIVITY_BROADCAST_MS = 15000;
+
+// Records the time of the last user interaction in any open tab, so a tab left in
+// the background does not time out a user who is working in another one.
+// Local activity is ignored while `paused` (e.g. while a timeout warning is open)
+// so only an explicit choice resets it.
+export const useIdleTimer = ({ enabled = true, paused = false } = {}) => {
+  const lastActivityRef = useRef(Date.now());
+  const lastBroadcastRef = useRef(0);
+  const pausedRef = useRef(paused);
+  pausedRef.current = paused;
+
+  const markActive = useCallback((at = Date.now()) => {
+    lastActivityRef.current = Math.max(lastActivityRef.current, at);
+    if (at - lastBroadcastRef.current >= ACTIVITY_BROADCAST_MS) {
+      lastBroadcastRef.current = at;
+      broadcastSessionEvent(SESSION_EVENTS.ACTIVITY, { at });
+    }
+  }, []);
+
+  const resetActivity = useCallback(() => {
+    lastBroadcastRef.current = 0;
+    markActive();
+  }, [markActive]);
+
+  const getLastActivity = useCallback(() => lastActivityRef.current, []);
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    lastActivityRef.current = Date.now();
+    const handleActivity = () => {
+      if (!pausedRef.current) {
+        markActive();
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((name) =>
+      window.addEventListener(name, handleActivity, { passive: true })
+    );
+    const unsubscribe = subscribeToSessionEvents((event) => {
+      if (event.type === SESSION_EVENTS.ACTIVITY || event.type === SESSION_EVENTS.REFRESH) {
+        lastActivityRef.current = Math.max(lastActivityRef.current, event.at || event.sentAt);
+      }
+    });
+    return () => {
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, handleActivity));
+      unsubscribe();
+    };
+  }, [enabled, markActive]);
+
+  return { getLastActivity, resetActivity };
+};
+
+export default useIdleTimer;
@@ -0,0 +1,125 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { binderApi } from '../services/binderApi';
+import { isRequestCanceled, getErrorMessage } from '../services/apiService';
+import { toPageArray } from '../components/source/sourceCellTypes';
+
+export const PAGE_CHUNK_SIZE = 10;
+
+const chunkOf = (index) => Math.floor(index / PAGE_CHUNK_SIZE);
+
+// Full pages (with their cells) of a binder, fetched a chunk at a time with
+// GetBinderPages skip/take. pages is the binder's page list without cells, loaded with
+// the same onlyActive so chunk positions line up. load(start, end) fetches the chunks
+// covering those page indexes that are not loaded or loading yet.
+// Returns { loaded: { [pageId]: page }, errors: { [pageId]: message }, load, retry, updatePage }.
+export const usePageChunks = (binderId, pages, onlyActive) => {
+  const [loaded, setLoaded] = useState({});
+  const [errors, setErrors] = useState({});
+  const loadedRef = useRef(loaded);
+  const requestedRef = useRef(new Set());
+  const controllerRef = useRef(null);
+  loadedRef.current = loaded;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    requestedRef.current = new Set();
+    setLoaded({});
+    setErrors({});
+    return () => controller.abort();
+  }, [binderId, onlyActive]);
+
+  const fetchChunk = useCallback(
+    (chunk) => {
+      const skip = chunk * PAGE_CHUNK_SIZE;
+      const chunkPages = pages.slice(skip, skip + PAGE_CHUNK_SIZE);
+      const chunkIds = chunkPages.map((page) => page.id);
+      const setChunkError = (message) =>
+        setErrors((current) => {
+          const next = { ...current };
+          chunkIds.forEach((id) => {
+            if (message) {
+              next[id] = message;
+            } else {
+              delete next[id];
+            }
+          });
+          return next;
+        });
+
+      requestedRef.current.add(chunk);
+      setChunkError(null);
+      const options = { skip, take: PAGE_CHUNK_SIZE, ...(onlyActive ? { onlyActive: true } : {}) };
+      binderApi
+        .getBinderPages(binderId, options, { signal: controllerRef.current?.signal })
+        .then((response) => {
+          // A server without skip/take sends every page, which fills every chunk at once
+          const received = toPageArray(response);
+          setLoaded((current) => {
+            const next = { ...current };
+            received.forEach((page) => {
+              next[page.id] = page;
+            });
+            return next;
+          });
+          // A page moved or removed since the list loaded is not in its chunk
+          const missing = chunkIds.filter((id) => !received.some((page) => page.id === id));
+          if (missing.length) {
+            setErrors((current) => {
+              const next = { ...current };
+              missing.forEach((id) => {
+                next[id] = 'This page has changed since the binder was opened. Reload to see it.';
+              });
+              return next;
+            });
+          }
+        })
+        .catch((err) => {
+          if (isRequestCanceled(err)) {
+            return;
+          }
+          console.error('Failed to load binder pages:', err);
+          requestedRef.current.delete(chunk);
+          setChunkError(getErrorMessage(err, 'Failed to load these pages'));
+        });
+    },
+    [binderId, pages, onlyActive]
+  );
+
+  const load = useCallback(
+    (start, end) => {
+      const last = Math.min(end, pages.length - 1);
+      for (let chunk = chunkOf(Math.max(0, start)); chunk <= chunkOf(last); chunk += 1) {
+        const chunkPages = pages.slice(chunk * PAGE_CHUNK_SIZE, (chunk + 1) * PAGE_CHUNK_SIZE);
+        if (!requestedRef.current.has(chunk) && !chunkPages.every((page) => loadedRef.current[page.id])) {
+          fetchChunk(chunk);
+        }
+      }
+    },
+    [pages, fetchChunk]
+  );
+
+  // Fetches the chunk holding pageId again, after it failed
+  const retry = useCallback(
+    (pageId) => {
+      const index = pages.findIndex((page) => page.id === pageId);
+      if (index >= 0) {
+        fetchChunk(chunkOf(index));
+      }
+    },
+    [pages, fetchChunk]
+  );
+
+  // Merges a changed page (e.g. a new status) into its loaded copy; a page with cells
+  // that is not loaded yet (e.g. one just added) is loaded as it is
+  const updatePage = useCallback((page) => {
+    setLoaded((current) => {
+      if (current[page.id]) {
+        return { ...current, [page.id]: { ...current[page.id], ...page } };
+      }
+      return page.cells ? { ...current, [page.id]: page } : current;
+    });
+  }, []);
+
+  return { loaded, errors, load, retry, updatePage };
+};
@@ -0,0 +1,72 @@
+import { useState, useCallback } from 'react';
+
+const HISTORY_LIMIT = 100;
+
+const initialHistory = (present) => ({ past: [], present, future: [], lastKey: null });
+
+// State with undo/redo. set(next, { coalesce }) records an undo step, except that
+// consecutive changes with the same coalesce key (typing into one field) share a step.
+export const useUndoableState = (initialValue) => {
+  const [history, setHistory] = useState(() => initialHistory(initialValue));
+
+  const set = useCallback((updater, { coalesce = null } = {}) => {
+    setHistory((current) => {
+      const next = typeof updater === 'function' ? updater(current.present) : updater;
+      if (next === current.present) {
+        return current;
+      }
+      if (coalesce && coalesce === current.lastKey) {
+        return { ...current, present: next, future: [] };
+      }
+      return {
+        past: [...current.past, current.present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        lastKey: coalesce
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((current) => {
+      if (!current.past.length) {
+        return current;
+      }
+      return {
+        past: current.past.slice(0, -1),
+        present: current.past[current.past.length - 1],
+        future: [current.present, ...current.future],
+        lastKey: null
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((current) => {
+      if (!current.future.length) {
+        return current;
+      }
+      return {
+        past: [...current.past, current.present],
+        present: current.future[0],
+        future: current.future.slice(1),
+        lastKey: null
+      };
+    });
+  }, []);
+
+  // Replace the value and forget the history, e.g. after loading
+  const reset = useCallback((value) => setHistory(initialHistory(value)), []);
+
+  return {
+    value: history.present,
+    set,
+    undo,
+    redo,
+    reset,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  };
+};
+
+export default useUndoableState;
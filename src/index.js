@@ -5,6 +5,7 @@ import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import App from './App';
 import { AuthProvider } from './contexts/AuthContext';
+import { PermissionProvider } from './contexts/PermissionContext';
 
 const theme = createTheme({
   palette: {
@@ -25,7 +26,9 @@ root.render(
       <ThemeProvider theme={theme}>
         <CssBaseline />
         <AuthProvider>
-          <App />
+          <PermissionProvider>
+            <App />
+          </PermissionProvider>
         </AuthProvider>
       </ThemeProvider>
     </BrowserRouter>
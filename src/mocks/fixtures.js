@@ -0,0 +1,437 @@
+// Fixture data for the mock backend. createFixtures() returns a fresh copy every
+// time so tests and resets never share mutable state.
+
+const users = [
+  {
+    id: 'u-1001',
+    name: 'Dana Whitfield',
+    email: 'dana.whitfield@statresearch.com',
+    username: 'dana',
+    roles: ['Coordinator'],
+    permissions: ['binder.create']
+  },
+  {
+    id: 'u-1002',
+    name: 'Marcus Osei',
+    email: 'marcus.osei@statresearch.com',
+    username: 'marcus',
+    roles: ['Investigator'],
+    permissions: ['binder.create', 'doa.finalize']
+  },
+  {
+    id: 'u-1003',
+    name: 'Priya Raman',
+    email: 'priya.raman@statresearch.com',
+    username: 'priya',
+    roles: ['Administrator'],
+    permissions: [],
+    isAdmin: true
+  },
+  {
+    id: 'u-1004',
+    name: 'Tom Becker',
+    email: 'tom.becker@statresearch.com',
+    username: 'tom',
+    roles: ['Monitor'],
+    permissions: []
+  },
+  {
+    id: 'u-1005',
+    name: 'Alicia Moreno',
+    email: 'alicia.moreno@statresearch.com',
+    username: 'alicia',
+    roles: ['Coordinator'],
+    permissions: ['binder.create']
+  }
+];
+
+const studies = [
+  {
+    id: 's-200',
+    name: 'ACME-301 Hypertension Phase III',
+    protocolNumber: 'ACME-301',
+    sponsor: 'Acme Therapeutics'
+  },
+  {
+    id: 's-201',
+    name: 'NEURO-12 Migraine Prevention',
+    protocolNumber: 'NEURO-12',
+    sponsor: 'Northbridge Neuro'
+  },
+  {
+    id: 's-202',
+    name: 'DERM-7 Atopic Dermatitis',
+    protocolNumber: 'DERM-7',
+    sponsor: 'Calder Dermatology'
+  }
+];
+
+// --- Source page content -------------------------------------------------
+
+let cellCounter = 0;
+const cell = (type, props = {}) => {
+  cellCounter += 1;
+  return { id: `c-${cellCounter}`, type, ...props };
+};
+
+const vitalsCells = () => [
+  cell('sectionHeader', { text: 'Vital Signs' }),
+  cell('date', { label: 'Date of assessment', required: true }),
+  cell('checkbox', { label: 'Vital signs collected', na: true }),
+  cell('label', { label: 'Blood pressure (seated, 5 min rest)', input: 'mediumUnderline', suffix: 'mmHg', indent: 1, required: true }),
+  cell('label', { label: 'Heart rate', input: 'shortUnderline', suffix: 'bpm', indent: 1, required: true }),
+  cell('label', { label: 'Temperature', input: 'shortUnderline', suffix: '°C', indent: 1 }),
+  cell('label', { label: 'Respiratory rate', input: 'shortUnderline', suffix: 'breaths/min', indent: 1 }),
+  cell('multiselect', { label: 'Position', options: ['Seated', 'Supine', 'Standing'] }),
+  cell('notesLine', { label: 'Comments' }),
+  cell('signature', { label: 'Assessed by' })
+];
+
+const consentCells = () => [
+  cell('sectionHeader', { text: 'Informed Consent' }),
+  cell('infoLine', { text: 'Consent must be obtained before any study-specific procedure.' }),
+  cell('checkbox', { label: 'Subject given adequate time to read the ICF and ask questions', required: true }),
+  cell('checkbox', { label: 'All questions answered to the subject’s satisfaction', required: true }),
+  cell('checkbox', { label: 'ICF signed and dated by the subject', required: true }),
+  cell('checkbox', { label: 'ICF signed and dated by the person obtaining consent', required: true }),
+  cell('checkbox', { label: 'Copy of signed ICF given to subject', required: true }),
+  cell('inputLine', { label: 'ICF version' }),
+  cell('date', { label: 'Date consent obtained', required: true }),
+  cell('separator', { text: 'Re-consent' }),
+  cell('checkbox', { label: 'Re-consent required for protocol amendment', na: true }),
+  cell('notesLine', { label: 'Notes' }),
+  cell('signature', { label: 'Person obtaining consent' })
+];
+
+const medicalHistoryCells = () => [
+  cell('sectionHeader', { text: 'Medical History' }),
+  cell('multiselect', { label: 'Any relevant medical history?', options: ['Yes', 'No'], required: true }),
+  cell('blocks', {
+    blocks: [
+      { id: 'blk-condition', size: 4, label: 'Condition', input: 'underline' },
+      { id: 'blk-onset', size: 2, label: 'Onset date', input: 'underline' },
+      { id: 'blk-ongoing', size: 1, label: 'Ongoing', input: 'checkbox' },
+      { id: 'blk-treated', size: 1, label: 'Treated', input: 'checkbox' }
+    ]
+  }),
+  cell('notesLine', { label: 'Additional history' }),
+  cell('notesLine'),
+  cell('signature', { label: 'Reviewed by' })
+];
+
+const labsCells = () => [
+  cell('sectionHeader', { text: 'Laboratory Samples' }),
+  cell('checkbox', { label: 'Fasting for at least 8 hours', na: true }),
+  cell('label', { label: 'Time of collection', input: 'shortUnderline', required: true }),
+  cell('checkbox', { label: 'Hematology', indent: 1 }),
+  cell('checkbox', { label: 'Chemistry', indent: 1 }),
+  cell('checkbox', { label: 'Urinalysis', indent: 1, na: true }),
+  cell('inputLine', { label: 'Requisition number' }),
+  cell('blankLine'),
+  cell('signature', { label: 'Collected by' })
+];
+
+const aeReviewCells = () => [
+  cell('sectionHeader', { text: 'Adverse Event Review' }),
+  cell('multiselect', { label: 'Any new adverse events since last visit?', options: ['Yes', 'No'], required: true }),
+  cell('infoLine', { text: 'If yes, complete the AE log.' }),
+  cell('multiselect', { label: 'Any changes to concomitant medications?', options: ['Yes', 'No'], required: true }),
+  cell('notesLine', { label: 'Details' }),
+  cell('signature', { label: 'Reviewed by' })
+];
+
+const WORKSHEETS = {
+  consent: { name: 'Informed Consent', build: consentCells },
+  vitals: { name: 'Vital Signs', build: vitalsCells },
+  history: { name: 'Medical History', build: medicalHistoryCells },
+  labs: { name: 'Laboratory Samples', build: labsCells },
+  ae: { name: 'AE / ConMed Review', build: aeReviewCells }
+};
+
+const buildPages = (binderId, plan) => {
+  const pages = [];
+  plan.forEach(([visitName, worksheetKeys]) => {
+    worksheetKeys.forEach((key) => {
+      const worksheet = WORKSHEETS[key];
+      const order = pages.length + 1;
+      pages.push({
+        id: `p-${binderId.replace('b-', '')}-${order}`,
+        binderId,
+        name: `${visitName} - ${worksheet.name}`,
+        visitName,
+        worksheetName: worksheet.name,
+        order,
+        status: 'active',
+        version: 1,
+        updatedAt: '2026-03-02T15:04:00.000Z',
+        cells: worksheet.build()
+      });
+    });
+  });
+  return pages;
+};
+
+// A long visit schedule, to exercise navigation and virtualization
+const longSchedule = () => {
+  const plan = [['Screening', ['consent', 'history', 'vitals', 'labs']]];
+  for (let week = 1; week <= 46; week += 1) {
+    plan.push([`Week ${week}`, week % 4 === 0 ? ['vitals', 'labs', 'ae', 'history'] : ['vitals', 'ae', 'labs', 'consent']]);
+  }
+  plan.push(['End of Study', ['vitals', 'labs', 'ae']]);
+  return plan;
+};
+
+const binders = [
+  {
+    id: 'b-5001',
+    name: 'ACME-301 Screening & Baseline',
+    description: 'Source worksheets for the screening and baseline visits.',
+    status: 'Active',
+    studyId: 's-200',
+    ownerId: 'u-1001',
+    protocolInfo: {
+      protocolNumber: 'ACME-301',
+      protocolTitle: 'A Phase III Study of ACM-114 in Adults with Stage 2 Hypertension',
+      protocolVersion: '3.0',
+      sponsor: 'Acme Therapeutics'
+    },
+    createdAt: '2025-11-14T16:20:00.000Z',
+    updatedAt: '2026-03-02T15:04:00.000Z',
+    members: [
+      { userId: 'u-1001', permissions: ['view', 'edit', 'archive', 'manageUsers'] },
+      { userId: 'u-1002', permissions: ['view', 'edit'] },
+      { userId: 'u-1004', permissions: ['view'] }
+    ]
+  },
+  {
+    id: 'b-5002',
+    name: 'NEURO-12 Visit Worksheets',
+    description: 'Full visit schedule for NEURO-12, screening through end of study.',
+    status: 'Active',
+    studyId: 's-201',
+    ownerId: 'u-1002',
+    protocolInfo: {
+      protocolNumber: 'NEURO-12',
+      protocolTitle: 'Preventive Treatment of Episodic Migraine with NBX-7',
+      protocolVersion: '2.1',
+      sponsor: 'Northbridge Neuro'
+    },
+    createdAt: '2025-09-01T13:00:00.000Z',
+    updatedAt: '2026-02-18T10:45:00.000Z',
+    members: [
+      { userId: 'u-1002', permissions: ['view', 'edit', 'archive', 'manageUsers'] },
+      { userId: 'u-1001', permissions: ['view', 'edit'] },
+      { userId: 'u-1005', permissions: ['view'] }
+    ]
+  },
+  {
+    id: 'b-5003',
+    name: 'Site SOP Checklists',
+    description: 'Freestanding checklists used across studies.',
+    status: 'Active',
+    studyId: null,
+    ownerId: 'u-1003',
+    protocolInfo: {
+      protocolNumber: '',
+      protocolTitle: '',
+      protocolVersion: '',
+      sponsor: ''
+    },
+    createdAt: '2025-06-10T09:30:00.000Z',
+    updatedAt: '2025-12-05T11:00:00.000Z',
+    members: [
+      { userId: 'u-1003', permissions: ['view', 'edit', 'archive', 'manageUsers'] },
+      { userId: 'u-1001', permissions: ['view'] }
+    ]
+  },
+  {
+    id: 'b-5004',
+    name: 'ACME-201 Source (closed)',
+    description: 'Closed-out study, kept for inspection.',
+    status: 'Archived',
+    studyId: 's-200',
+    ownerId: 'u-1001',
+    protocolInfo: {
+      protocolNumber: 'ACME-201',
+      protocolTitle: 'A Phase II Dose-Ranging Study of ACM-114',
+      protocolVersion: '5.0',
+      sponsor: 'Acme Therapeutics'
+    },
+    createdAt: '2023-02-01T09:00:00.000Z',
+    updatedAt: '2025-08-30T17:10:00.000Z',
+    archivedAt: '2025-08-30T17:10:00.000Z',
+    archivedBy: 'u-1001',
+    archiveReason: 'Study closed out; database locked.',
+    members: [
+      { userId: 'u-1001', permissions: ['view', 'edit', 'archive', 'manageUsers'] },
+      { userId: 'u-1002', permissions: ['view'] }
+    ]
+  }
+];
+
+const PAGE_PLANS = {
+  'b-5001': [
+    ['Screening', ['consent', 'history', 'vitals', 'labs']],
+    ['Baseline', ['vitals', 'labs', 'ae']]
+  ],
+  'b-5002': longSchedule(),
+  'b-5003': [['Site Procedures', ['consent', 'labs']]],
+  'b-5004': [['Screening', ['consent', 'vitals']]]
+};
+
+// A little page history so the version and status views have something to show: one
+// page has a draft waiting on top of its active version, another has been rescinded.
+const seedPageHistory = (pages) => {
+  const versions = [];
+  const snapshot = (page, extra) => {
+    const { id, order, updatedAt, ...content } = page;
+    return {
+      ...content,
+      versionId: `pv-${id.replace('p-', '')}-${extra.version}`,
+      pageId: id,
+      savedAt: updatedAt,
+      savedBy: 'u-1001',
+      ...extra
+    };
+  };
+
+  const vitals = pages.find((page) => page.id === 'p-5001-3');
+  versions.push(
+    snapshot(vitals, {
+      version: 1,
+      status: 'active',
+      // The first version asked for temperature without a unit and had no respiratory rate
+      cells: vitals.cells
+        .filter((item) => item.label !== 'Respiratory rate')
+        .map((item) => {
+          if (item.label !== 'Temperature') {
+            return item;
+          }
+          const { suffix, ...unitless } = item;
+          return unitless;
+        }),
+      savedAt: '2025-11-14T16:40:00.000Z',
+      statusChangedAt: '2025-11-20T09:00:00.000Z',
+      statusChangedBy: 'u-1002'
+    })
+  );
+  Object.assign(vitals, { status: 'draft', version: 2 });
+  versions.push(snapshot(vitals, { version: 2, status: 'draft' }));
+
+  const aeReview = pages.find((page) => page.id === 'p-5001-7');
+  Object.assign(aeReview, {
+    status: 'rescinded',
+    statusReason: 'AE review moved to the visit-independent AE log.',
+    statusChangedAt: '2026-03-02T15:04:00.000Z',
+    statusChangedBy: 'u-1002'
+  });
+  versions.push(snapshot(aeReview, { version: 1 }));
+
+  return versions;
+};
+
+// --- Delegation of authority ------------------------------------------------
+
+const doas = [
+  {
+    doaId: 'doa-300',
+    studyId: 's-200',
+    version: 1,
+    status: 'finalized',
+    finalizedAt: '2025-11-20T14:00:00.000Z',
+    finalizedBy: 'u-1002',
+    users: [
+      { userId: 'u-1002', name: 'Marcus Osei', role: 'Principal Investigator', tasks: ['Consent', 'Eligibility', 'AE assessment'] },
+      { userId: 'u-1001', name: 'Dana Whitfield', role: 'Study Coordinator', tasks: ['Consent', 'Vitals', 'Source documentation'] }
+    ]
+  },
+  {
+    doaId: 'doa-301',
+    studyId: 's-200',
+    version: 2,
+    status: 'pending',
+    users: [
+      { userId: 'u-1002', name: 'Marcus Osei', role: 'Principal Investigator', tasks: ['Consent', 'Eligibility', 'AE assessment'] },
+      { userId: 'u-1001', name: 'Dana Whitfield', role: 'Study Coordinator', tasks: ['Consent', 'Vitals', 'Source documentation'] },
+      { userId: 'u-1005', name: 'Alicia Moreno', role: 'Study Coordinator', tasks: ['Vitals', 'Lab processing'] }
+    ]
+  }
+];
+
+const doaAuditLog = [
+  { id: 'log-1', studyId: 's-200', doaId: 'doa-300', action: 'CreateInitialDoa', userId: 'u-1002', at: '2025-11-18T10:00:00.000Z' },
+  { id: 'log-2', studyId: 's-200', doaId: 'doa-300', action: 'AddUserToDoa', userId: 'u-1002', targetUserId: 'u-1001', at: '2025-11-18T10:05:00.000Z' },
+  { id: 'log-3', studyId: 's-200', doaId: 'doa-300', action: 'FinalizeDoa', userId: 'u-1002', at: '2025-11-20T14:00:00.000Z' },
+  { id: 'log-4', studyId: 's-200', doaId: 'doa-301', action: 'AddUserToDoa', userId: 'u-1002', targetUserId: 'u-1005', at: '2026-01-09T09:12:00.000Z' }
+];
+
+// Shared worksheets for the template library. {{visitName}} and {{protocolNumber}} are
+// filled in when a template is added to a binder.
+const seedPageTemplates = () => [
+  {
+    id: 't-1',
+    name: 'Vital signs',
+    description: 'Blood pressure, heart rate, temperature and respiratory rate.',
+    tags: ['vitals', 'every visit'],
+    pageName: '{{visitName}} - Vital Signs',
+    visitName: '{{visitName}}',
+    worksheetName: 'Vital Signs',
+    cells: vitalsCells(),
+    createdBy: 'u-1001',
+    createdAt: '2026-01-12T10:00:00.000Z',
+    updatedAt: '2026-01-12T10:00:00.000Z'
+  },
+  {
+    id: 't-2',
+    name: 'Informed consent checklist',
+    description: 'ICF process checklist with re-consent section.',
+    tags: ['consent', 'screening'],
+    pageName: '{{visitName}} - Informed Consent',
+    visitName: '{{visitName}}',
+    worksheetName: 'Informed Consent',
+    cells: consentCells().map((item) =>
+      item.type === 'infoLine'
+        ? { ...item, text: 'Consent to protocol {{protocolNumber}} must be obtained before any study-specific procedure.' }
+        : item
+    ),
+    createdBy: 'u-1002',
+    createdAt: '2026-01-15T14:30:00.000Z',
+    updatedAt: '2026-02-03T08:15:00.000Z'
+  },
+  {
+    id: 't-3',
+    name: 'AE / ConMed review',
+    description: 'New adverse events and concomitant medication changes since the last visit.',
+    tags: ['safety', 'ae'],
+    pageName: '{{visitName}} - AE / ConMed Review',
+    visitName: '{{visitName}}',
+    worksheetName: 'AE / ConMed Review',
+    cells: aeReviewCells(),
+    createdBy: 'u-1001',
+    createdAt: '2026-02-20T11:00:00.000Z',
+    updatedAt: '2026-02-20T11:00:00.000Z'
+  }
+];
+
+export const DEFAULT_MOCK_USER_ID = 'u-1001';
+
+export const createFixtures = () => {
+  cellCounter = 0;
+  const pages = Object.entries(PAGE_PLANS).flatMap(([binderId, plan]) => buildPages(binderId, plan));
+  const pageVersions = seedPageHistory(pages);
+  const pageTemplates = seedPageTemplates();
+
+  // structuredClone keeps the module-level data pristine between resets
+  return structuredClone({
+    users,
+    studies,
+    binders,
+    pages,
+    pageVersions,
+    pageTemplates,
+    doas,
+    doaAuditLog
+  });
+};
+
+export default createFixtures;
@@ -0,0 +1,135 @@
+import axios from 'axios';
+import { createMockBackend, DEFAULT_MOCK_OPTIONS } from './mockBackend';
+
+// Axios adapter backed by the mock backend. In tests:
+//
+//   const backend = createMockBackend({ persist: false, latency: { min: 0, max: 0 } });
+//   api.defaults.adapter = createMockAdapter(backend);
+export const createMockAdapter = (backend) => async (config) => {
+  const url = axios.getUri({ ...config, baseURL: '' });
+  const headers = config.headers?.toJSON ? config.headers.toJSON() : config.headers;
+
+  const request = backend.handle({
+    method: config.method,
+    url,
+    data: config.data,
+    headers,
+    signal: config.signal
+  });
+
+  let timer = null;
+  const timeout = config.timeout
+    ? new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new axios.AxiosError(`timeout of ${config.timeout}ms exceeded`, 'ECONNABORTED', config)),
+          config.timeout
+        );
+      })
+    : null;
+
+  let result;
+  try {
+    result = await (timeout ? Promise.race([request, timeout]) : request);
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw new axios.CanceledError(null, null, config);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const response = {
+    data: result.data,
+    status: result.status,
+    statusText: result.status < 400 ? 'OK' : 'Mock Error',
+    headers: result.headers,
+    config,
+    request: { mock: true }
+  };
+
+  const validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300);
+  if (!validateStatus(response.status)) {
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST',
+      config,
+      response.request,
+      response
+    );
+  }
+  return response;
+};
+
+// The legacy auth client talks to the API with fetch; route those calls too
+const installFetchMock = (backend) => {
+  const realFetch = window.fetch.bind(window);
+  window.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    const { pathname } = new URL(url, window.location.origin);
+    if (!/^(\/__api\/[^/]+)?\/(api|auth)\//.test(pathname)) {
+      return realFetch(input, init);
+    }
+
+    const result = await backend.handle({
+      method: init.method || 'GET',
+      url,
+      data: init.body,
+      headers: init.headers,
+      signal: init.signal
+    });
+    const body = result.data instanceof Blob ? result.data : JSON.stringify(result.data);
+    return new Response(body, {
+      status: result.status,
+      headers: { 'content-type': 'application/json', ...result.headers }
+    });
+  };
+};
+
+let backend = null;
+let adapter = null;
+
+// Adapter used by apiService in mock mode. Also installs the fetch shim and a
+// console handle (window.statMock) for simulating latency and failures.
+export const getMockModeAdapter = () => {
+  if (!backend) {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem('statMockOptions') || '{}');
+    } catch (error) {
+      stored = {};
+    }
+    backend = createMockBackend(stored);
+    installFetchMock(backend);
+
+    const saveOptions = (next) => {
+      backend.setOptions(next);
+      localStorage.setItem('statMockOptions', JSON.stringify(backend.getOptions()));
+    };
+    window.statMock = {
+      backend,
+      // statMock.setLatency(2000, 4000)
+      setLatency: (min, max = min) => saveOptions({ latency: { min, max } }),
+      // statMock.setErrorRate(0.2)
+      setErrorRate: (errorRate) => saveOptions({ errorRate }),
+      // statMock.fail('GET /api/v1/source/ListBinders', 500); pass null to clear
+      fail: (route, status) => {
+        const failures = { ...backend.getOptions().failures };
+        if (status) {
+          failures[route] = status;
+        } else {
+          delete failures[route];
+        }
+        saveOptions({ failures });
+      },
+      reset: () => {
+        backend.reset();
+        localStorage.removeItem('statMockOptions');
+        backend.setOptions(DEFAULT_MOCK_OPTIONS);
+      }
+    };
+    console.info('[mock] Mock backend active. Use window.statMock to simulate latency and errors.');
+    adapter = createMockAdapter(backend);
+  }
+  return adapter;
+};
@@ -0,0 +1,1085 @@
+import { createFixtures, DEFAULT_MOCK_USER_ID } from './fixtures';
+
+// In-memory implementation of the v1 API used by mock mode and component tests.
+//
+//   const backend = createMockBackend({ persist: false, latency: { min: 0, max: 0 } });
+//   const { status, data } = await backend.handle({ method: 'GET', url: '/api/v1/source/ListBinders', headers });
+//
+// Tokens are `mock-token-<userId>`, so a session survives page reloads.
+
+const DB_STORAGE_KEY = 'statMockDb';
+const TOKEN_PREFIX = 'mock-token-';
+
+export const DEFAULT_MOCK_OPTIONS = {
+  // Random delay per request, in ms
+  latency: { min: 150, max: 450 },
+  // Probability (0-1) that any request fails with a 503
+  errorRate: 0,
+  // Forced failures: { 'GET /api/v1/source/ListBinders': 500 }
+  failures: {}
+};
+
+class MockHttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const fail = (status, message) => {
+  throw new MockHttpError(status, message);
+};
+
+const now = () => new Date().toISOString();
+
+let idCounter = Date.now() % 100000;
+const nextId = (prefix) => {
+  idCounter += 1;
+  return `${prefix}-${idCounter}`;
+};
+
+// --- Helpers over the database -------------------------------------------------
+
+const findUser = (db, userId) => db.users.find((user) => user.id === userId);
+
+const publicUser = (user) =>
+  user && {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    roles: user.roles,
+    permissions: user.permissions,
+    isAdmin: Boolean(user.isAdmin)
+  };
+
+const findBinder = (db, binderId) => {
+  const binder = db.binders.find((item) => item.id === binderId);
+  if (!binder) {
+    fail(404, `Binder ${binderId} not found`);
+  }
+  return binder;
+};
+
+const findStudy = (db, studyId) => db.studies.find((study) => study.id === studyId) || null;
+
+const canAccessBinder = (binder, user) =>
+  user.isAdmin || binder.ownerId === user.id || binder.members.some((member) => member.userId === user.id);
+
+const binderPermissionsFor = (binder, user) => {
+  if (user.isAdmin || binder.ownerId === user.id) {
+    return ['view', 'edit', 'archive', 'manageUsers', 'transferOwnership'];
+  }
+  return binder.members.find((member) => member.userId === user.id)?.permissions || [];
+};
+
+const requireBinderPermission = (binder, user, permission) => {
+  if (!binderPermissionsFor(binder, user).includes(permission)) {
+    fail(403, `You do not have ${permission} permission on this binder`);
+  }
+};
+
+const requireActiveBinder = (binder) => {
+  if (binder.status === 'Archived') {
+    fail(409, 'Binder is archived and read-only');
+  }
+};
+
+const binderSummary = (db, binder) => ({
+  id: binder.id,
+  name: binder.name,
+  status: binder.status,
+  studyId: binder.studyId,
+  studyName: findStudy(db, binder.studyId)?.name || null,
+  protocolNumber: binder.protocolInfo?.protocolNumber || '',
+  ownerId: binder.ownerId,
+  ownerName: findUser(db, binder.ownerId)?.name || '',
+  pageCount: db.pages.filter((page) => page.binderId === binder.id).length,
+  updatedAt: binder.updatedAt,
+  archivedAt: binder.archivedAt || null
+});
+
+const binderDetail = (db, binder) => {
+  const { members, ...rest } = binder;
+  return {
+    ...rest,
+    study: findStudy(db, binder.studyId),
+    owner: publicUser(findUser(db, binder.ownerId)),
+    archivedByName: findUser(db, binder.archivedBy)?.name || '',
+    memberCount: members.length
+  };
+};
+
+const touch = (binder) => {
+  binder.updatedAt = now();
+};
+
+// --- Page versions ---------------------------------------------------------------
+//
+// The page record is always its newest version; every version, including the newest,
+// is also kept in db.pageVersions. Saving an active page starts a new draft version,
+// saving a draft updates it in place, and promoting makes the draft the active version.
+
+const PAGE_STATUS = { DRAFT: 'draft', ACTIVE: 'active', SUPERSEDED: 'superseded', RESCINDED: 'rescinded' };
+const RESCIND_REASON_MAX_LENGTH = 500;
+
+const findPage = (db, binder, pageId) => {
+  const page = db.pages.find((item) => item.id === pageId && item.binderId === binder.id);
+  if (!page) {
+    fail(404, 'Page not found');
+  }
+  return page;
+};
+
+const snapshotPage = (page, user) => {
+  const { id, order, updatedAt, ...content } = page;
+  return {
+    ...structuredClone(content),
+    versionId: nextId('pv'),
+    pageId: id,
+    savedAt: updatedAt,
+    savedBy: user ? user.id : null
+  };
+};
+
+// Databases persisted before versions were kept have no pageVersions yet
+const pageVersionStore = (db) => {
+  if (!db.pageVersions) {
+    db.pageVersions = [];
+  }
+  return db.pageVersions;
+};
+
+// Databases persisted before page templates were kept have none
+const pageTemplateStore = (db) => {
+  if (!db.pageTemplates) {
+    db.pageTemplates = [];
+  }
+  return db.pageTemplates;
+};
+
+const templateDetail = (db, template) => ({
+  ...template,
+  createdByName: findUser(db, template.createdBy)?.name || ''
+});
+
+// Newest first. A page without a history gets one from its current state.
+const pageVersionsFor = (db, page) => {
+  const store = pageVersionStore(db);
+  if (!store.some((version) => version.pageId === page.id)) {
+    store.push(snapshotPage(page, null));
+  }
+  return store
+    .filter((version) => version.pageId === page.id)
+    .sort((a, b) => b.version - a.version);
+};
+
+const versionSummary = (db, version) => {
+  const { cells, ...summary } = version;
+  return {
+    ...summary,
+    savedByName: findUser(db, version.savedBy)?.name || '',
+    statusChangedByName: findUser(db, version.statusChangedBy)?.name || ''
+  };
+};
+
+// A page has at most one active version
+const supersedeActive = (versions) =>
+  versions
+    .filter((version) => version.status === PAGE_STATUS.ACTIVE)
+    .forEach((version) => {
+      version.status = PAGE_STATUS.SUPERSEDED;
+    });
+
+const setPageStatus = (page, version, user, status, reason) => {
+  const change = { status, statusChangedAt: now(), statusChangedBy: user.id };
+  if (reason) {
+    change.statusReason = reason;
+  }
+  Object.assign(page, change);
+  Object.assign(version, change);
+};
+
+const logDoa = (db, doa, action, user, extra = {}) => {
+  db.doaAuditLog.push({
+    id: nextId('log'),
+    studyId: doa.studyId,
+    doaId: doa.doaId,
+    action,
+    userId: user.id,
+    at: now(),
+    ...extra
+  });
+};
+
+const findDoa = (db, doaId) => {
+  const doa = db.doas.find((item) => item.doaId === doaId);
+  if (!doa) {
+    fail(404, `DOA ${doaId} not found`);
+  }
+  return doa;
+};
+
+const doasForStudy = (db, studyId) =>
+  db.doas.filter((doa) => doa.studyId === studyId).sort((a, b) => a.version - b.version);
+
+const currentFinalizedDoa = (db, studyId) =>
+  doasForStudy(db, studyId).filter((doa) => doa.status === 'finalized').pop() || null;
+
+const pendingDoa = (db, studyId) => doasForStudy(db, studyId).find((doa) => doa.status === 'pending') || null;
+
+// Bare-bones PDF so downloads open in a viewer
+const fakePdf = (title) =>
+  new Blob(
+    [
+      `%PDF-1.4\n1 0 obj<</Type/Catalog/Pages 2 0 R>>endobj\n2 0 obj<</Type/Pages/Kids[3 0 R]/Count 1>>endobj\n` +
+        `3 0 obj<</Type/Page/Parent 2 0 R/MediaBox[0 0 612 792]/Contents 4 0 R/Resources<</Font<</F1 5 0 R>>>>>>endobj\n` +
+        `4 0 obj<</Length ${title.length + 34}>>stream\nBT /F1 18 Tf 72 720 Td (${title}) Tj ET\nendstream endobj\n` +
+        `5 0 obj<</Type/Font/Subtype/Type1/BaseFont/Helvetica>>endobj\ntrailer<</Root 1 0 R>>\n%%EOF`
+    ],
+    { type: 'application/pdf' }
+  );
+
+// --- Routes ------------------------------------------------------------------------
+// Each handler receives { db, user, params, query, body } and returns the response body.
+// `public: true` routes do not require a session.
+
+const issueSession = (user) => ({
+  token: `${TOKEN_PREFIX}${user.id}`,
+  user: publicUser(user)
+});
+
+const routes = [
+  // Legacy /auth endpoints
+  {
+    method: 'POST',
+    path: '/auth/login',
+    public: true,
+    handler: ({ db, body }) => {
+      const login = String(body.username || '').toLowerCase();
+      const user = db.users.find(
+        (item) => item.username === login || item.email.toLowerCase() === login
+      );
+      if (!user || body.password === 'wrong') {
+        fail(401, 'Invalid username or password');
+      }
+      return issueSession(user);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/auth/register',
+    public: true,
+    handler: ({ db, body }) => {
+      const user = {
+        id: nextId('u'),
+        name: body.name || body.username,
+        email: body.email || `${body.username}@example.com`,
+        username: String(body.username || '').toLowerCase(),
+        roles: ['Coordinator'],
+        permissions: []
+      };
+      db.users.push(user);
+      return issueSession(user);
+    }
+  },
+  { method: 'POST', path: '/auth/logout', handler: () => ({ success: true }) },
+  { method: 'GET', path: '/auth/profile', handler: ({ user }) => publicUser(user) },
+  {
+    method: 'PUT',
+    path: '/auth/profile',
+    handler: ({ user, body }) => {
+      if (body.name) {
+        user.name = body.name;
+      }
+      return publicUser(user);
+    }
+  },
+
+  // Users
+  {
+    method: 'POST',
+    path: '/api/v1/users/Authenticate',
+    public: true,
+    handler: ({ db, body }) => {
+      if (!body.idToken) {
+        fail(400, 'idToken is required');
+      }
+      return issueSession(findUser(db, DEFAULT_MOCK_USER_ID));
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/users/ValidateSession',
+    handler: ({ user }) => ({
+      valid: true,
+      userId: user.id,
+      expiresAt: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString()
+    })
+  },
+  { method: 'GET', path: '/api/v1/users/GetCurrentUser', handler: ({ user }) => publicUser(user) },
+  {
+    method: 'GET',
+    path: '/api/v1/users/SearchUsers',
+    handler: ({ db, query }) => {
+      const needle = String(query.query || '').trim().toLowerCase();
+      return db.users
+        .filter((candidate) =>
+          [candidate.name, candidate.email, candidate.username].some((field) =>
+            String(field || '').toLowerCase().includes(needle)
+          )
+        )
+        .slice(0, 20)
+        .map(publicUser);
+    }
+  },
+
+  // Source binders
+  {
+    method: 'GET',
+    path: '/api/v1/source/ListBinders',
+    handler: ({ db, user }) =>
+      db.binders.filter((binder) => canAccessBinder(binder, user)).map((binder) => binderSummary(db, binder))
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/source/GetBinder/:binderId',
+    handler: ({ db, user, params }) => {
+      const binder = findBinder(db, params.binderId);
+      requireBinderPermission(binder, user, 'view');
+      return binderDetail(db, binder);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/source/GetBinderOwner/:binderId',
+    handler: ({ db, params }) => publicUser(findUser(db, findBinder(db, params.binderId).ownerId))
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/source/GetBinderPermissions/:binderId',
+    handler: ({ db, user, params }) => {
+      const binder = findBinder(db, params.binderId);
+      if (!canAccessBinder(binder, user)) {
+        fail(403, 'You do not have access to this binder');
+      }
+      const memberIds = [binder.ownerId, ...binder.members.map((member) => member.userId)];
+      return {
+        binderId: binder.id,
+        ownerId: binder.ownerId,
+        users: [...new Set(memberIds)].map((userId) => {
+          const member = findUser(db, userId);
+          return {
+            userId,
+            name: member?.name || userId,
+            email: member?.email || '',
+            isOwner: userId === binder.ownerId,
+            permissions: binderPermissionsFor(binder, member || { id: userId })
+          };
+        })
+      };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/source/GetBinderPages/:binderId',
+    handler: ({ db, user, params, query }) => {
+      const binder = findBinder(db, params.binderId);
+      requireBinderPermission(binder, user, 'view');
+      let pages = db.pages
+        .filter((page) => page.binderId === binder.id)
+        .sort((a, b) => a.order - b.order);
+      if (query.onlyActive === 'true') {
+        pages = pages.filter((page) => page.status !== 'rescinded');
+      }
+      // skip/take page through the (filtered) list, e.g. to load a large binder in chunks
+      if (query.skip !== undefined || query.take !== undefined) {
+        const skip = Math.max(0, Number(query.skip) || 0);
+        const take = query.take === undefined ? pages.length : Math.max(0, Number(query.take) || 0);
+        pages = pages.slice(skip, skip + take);
+      }
+      if (query.simple === 'true') {
+        return pages.map(({ cells, ...summary }) => summary);
+      }
+      return pages;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/CreateNewSourceBinderFreeStanding',
+    handler: ({ db, user, body }) => createBinder(db, user, body, null)
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/CreateNewSourceBinderWithStudy',
+    handler: ({ db, user, body }) => {
+      if (!findStudy(db, body.studyId)) {
+        fail(400, 'A valid studyId is required');
+      }
+      return createBinder(db, user, body, body.studyId);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/SaveBinderPage',
+    handler: ({ db, user, body }) => {
+      const binder = findBinder(db, body.binderId);
+      requireBinderPermission(binder, user, 'edit');
+      requireActiveBinder(binder);
+      if (!Array.isArray(body.cells)) {
+        fail(400, 'cells must be an array');
+      }
+      const fields = {
+        name: body.name || '',
+        visitName: body.visitName || '',
+        worksheetName: body.worksheetName || '',
+        cells: body.cells
+      };
+
+      let page;
+      if (body.pageId) {
+        page = findPage(db, binder, body.pageId);
+        if (page.status === PAGE_STATUS.RESCINDED) {
+          fail(409, 'Page is rescinded and read-only');
+        }
+        const [latest] = pageVersionsFor(db, page);
+        if (page.status === PAGE_STATUS.DRAFT) {
+          Object.assign(page, fields, { updatedAt: now() });
+          Object.assign(latest, structuredClone(fields), { savedAt: page.updatedAt, savedBy: user.id });
+        } else {
+          Object.assign(page, fields, {
+            status: PAGE_STATUS.DRAFT,
+            version: (page.version || 0) + 1,
+            updatedAt: now()
+          });
+          delete page.statusChangedAt;
+          delete page.statusChangedBy;
+          pageVersionStore(db).push(snapshotPage(page, user));
+        }
+      } else {
+        const siblings = db.pages.filter((item) => item.binderId === binder.id);
+        page = {
+          id: nextId('p'),
+          binderId: binder.id,
+          ...fields,
+          order: siblings.reduce((max, item) => Math.max(max, item.order), 0) + 1,
+          status: PAGE_STATUS.DRAFT,
+          version: 1,
+          updatedAt: now()
+        };
+        db.pages.push(page);
+        pageVersionStore(db).push(snapshotPage(page, user));
+      }
+      touch(binder);
+      return page;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/source/GetBinderPageVersions/:binderId/:pageId',
+    handler: ({ db, user, params }) => {
+      const binder = findBinder(db, params.binderId);
+      requireBinderPermission(binder, user, 'view');
+      const page = findPage(db, binder, params.pageId);
+      return pageVersionsFor(db, page).map((version) => versionSummary(db, version));
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/source/GetBinderPageVersion/:binderId/:versionId',
+    handler: ({ db, user, params }) => {
+      const binder = findBinder(db, params.binderId);
+      requireBinderPermission(binder, user, 'view');
+      const version = pageVersionStore(db).find(
+        (item) => item.versionId === params.versionId && item.binderId === binder.id
+      );
+      if (!version) {
+        fail(404, 'Page version not found');
+      }
+      return { ...version, ...versionSummary(db, version) };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/PromoteBinderPageVersion',
+    handler: ({ db, user, body }) => {
+      const binder = findBinder(db, body.binderId);
+      requireBinderPermission(binder, user, 'edit');
+      requireActiveBinder(binder);
+      const page = findPage(db, binder, body.pageId);
+      if (page.status !== PAGE_STATUS.DRAFT) {
+        fail(409, 'Only a draft page can be promoted');
+      }
+      const [latest, ...older] = pageVersionsFor(db, page);
+      supersedeActive(older);
+      setPageStatus(page, latest, user, PAGE_STATUS.ACTIVE);
+      touch(binder);
+      return page;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/RescindBinderPage',
+    handler: ({ db, user, body }) => {
+      const binder = findBinder(db, body.binderId);
+      requireBinderPermission(binder, user, 'edit');
+      requireActiveBinder(binder);
+      const page = findPage(db, binder, body.pageId);
+      const reason = String(body.reason || '').trim();
+      if (!reason) {
+        fail(400, 'A rescind reason is required');
+      }
+      if (reason.length > RESCIND_REASON_MAX_LENGTH) {
+        fail(400, `Reason must be ${RESCIND_REASON_MAX_LENGTH} characters or fewer`);
+      }
+      if (page.status === PAGE_STATUS.RESCINDED) {
+        fail(409, 'Page is already rescinded');
+      }
+      const [latest, ...older] = pageVersionsFor(db, page);
+      supersedeActive(older);
+      setPageStatus(page, latest, user, PAGE_STATUS.RESCINDED, reason);
+      touch(binder);
+      return page;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/UpdateBinderName',
+    handler: ({ db, user, body }) => {
+      const binder = findBinder(db, body.binderId);
+      requireBinderPermission(binder, user, 'edit');
+      requireActiveBinder(binder);
+      if (!String(body.name || '').trim()) {
+        fail(400, 'Name is required');
+      }
+      binder.name = body.name.trim();
+      touch(binder);
+      return binderDetail(db, binder);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/UpdateBinderDescription',
+    handler: ({ db, user, body }) => {
+      const binder = findBinder(db, body.binderId);
+      requireBinderPermission(binder, user, 'edit');
+      requireActiveBinder(binder);
+      binder.description = body.description || '';
+      touch(binder);
+      return binderDetail(db, binder);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/UpdateBinderProtocolInfo',
+    handler: ({ db, user, body }) => {
+      const binder = findBinder(db, body.binderId);
+      requireBinderPermission(binder, user, 'edit');
+      requireActiveBinder(binder);
+      const { binderId, ...protocolInfo } = body;
+      binder.protocolInfo = { ...binder.protocolInfo, ...protocolInfo };
+      touch(binder);
+      return binderDetail(db, binder);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/UpdateBinderHeaderFooter',
+    handler: ({ db, user, body }) => {
+      const binder = findBinder(db, body.binderId);
+      requireBinderPermission(binder, user, 'edit');
+      requireActiveBinder(binder);
+      ['headerTemplate', 'footerTemplate'].forEach((name) => {
+        const value = body[name];
+        if (value !== null && value !== undefined && typeof value !== 'string') {
+          fail(400, `${name} must be text`);
+        }
+        if (typeof value === 'string' && value.length > 1000) {
+          fail(400, `${name} must be 1000 characters or fewer`);
+        }
+        if (value !== undefined) {
+          binder[name] = value;
+        }
+      });
+      touch(binder);
+      return binderDetail(db, binder);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/ArchiveBinder/:binderId',
+    handler: ({ db, user, params, body }) => {
+      const binder = findBinder(db, params.binderId);
+      requireBinderPermission(binder, user, 'archive');
+      requireActiveBinder(binder);
+      if (!String(body.reason || '').trim()) {
+        fail(400, 'An archive reason is required');
+      }
+      binder.status = 'Archived';
+      binder.archivedAt = now();
+      binder.archivedBy = user.id;
+      binder.archiveReason = body.reason.trim();
+      touch(binder);
+      return binderDetail(db, binder);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/RestoreBinder/:binderId',
+    handler: ({ db, user, params }) => {
+      const binder = findBinder(db, params.binderId);
+      requireBinderPermission(binder, user, 'archive');
+      if (binder.status !== 'Archived') {
+        fail(409, 'Binder is not archived');
+      }
+      binder.status = 'Active';
+      delete binder.archivedAt;
+      delete binder.archivedBy;
+      delete binder.archiveReason;
+      binder.restoredAt = now();
+      binder.restoredBy = user.id;
+      touch(binder);
+      return binderDetail(db, binder);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/source/ListPageTemplates',
+    handler: ({ db }) =>
+      pageTemplateStore(db)
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((template) => templateDetail(db, template))
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/SavePageTemplate',
+    handler: ({ db, user, body }) => {
+      const name = String(body.name || '').trim();
+      if (!name) {
+        fail(400, 'Name is required');
+      }
+      if (name.length > 200) {
+        fail(400, 'Name must be 200 characters or fewer');
+      }
+      if (!Array.isArray(body.cells)) {
+        fail(400, 'cells must be an array');
+      }
+      const fields = {
+        name,
+        description: body.description || '',
+        tags: Array.isArray(body.tags) ? body.tags.map(String) : [],
+        pageName: body.pageName || '',
+        visitName: body.visitName || '',
+        worksheetName: body.worksheetName || '',
+        cells: body.cells
+      };
+
+      const templates = pageTemplateStore(db);
+      let template;
+      if (body.templateId) {
+        template = templates.find((item) => item.id === body.templateId);
+        if (!template) {
+          fail(404, `Template ${body.templateId} not found`);
+        }
+        Object.assign(template, fields, { updatedAt: now() });
+      } else {
+        template = { id: nextId('t'), ...fields, createdBy: user.id, createdAt: now(), updatedAt: now() };
+        templates.push(template);
+      }
+      return templateDetail(db, template);
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/DeletePageTemplate/:templateId',
+    handler: ({ db, params }) => {
+      const templates = pageTemplateStore(db);
+      const index = templates.findIndex((item) => item.id === params.templateId);
+      if (index < 0) {
+        fail(404, `Template ${params.templateId} not found`);
+      }
+      templates.splice(index, 1);
+      return { id: params.templateId };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/AddUserToBinder/:binderId',
+    handler: ({ db, user, params, query }) => {
+      const binder = findBinder(db, params.binderId);
+      requireBinderPermission(binder, user, 'manageUsers');
+      if (!findUser(db, query.userId)) {
+        fail(404, 'User not found');
+      }
+      if (!binder.members.some((member) => member.userId === query.userId)) {
+        binder.members.push({ userId: query.userId, permissions: ['view'] });
+        touch(binder);
+      }
+      return { success: true };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/RemoveUserFromBinder/:binderId',
+    handler: ({ db, user, params, query }) => {
+      const binder = findBinder(db, params.binderId);
+      requireBinderPermission(binder, user, 'manageUsers');
+      if (query.userId === binder.ownerId) {
+        fail(409, 'Transfer ownership before removing the owner');
+      }
+      binder.members = binder.members.filter((member) => member.userId !== query.userId);
+      touch(binder);
+      return { success: true };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/source/SetBinderOwner/:binderId',
+    handler: ({ db, user, params, query }) => {
+      const binder = findBinder(db, params.binderId);
+      requireBinderPermission(binder, user, 'transferOwnership');
+      if (!findUser(db, query.userId)) {
+        fail(404, 'User not found');
+      }
+      const previousOwnerId = binder.ownerId;
+      binder.ownerId = query.userId;
+      if (!binder.members.some((member) => member.userId === query.userId)) {
+        binder.members.push({ userId: query.userId, permissions: ['view', 'edit', 'archive', 'manageUsers'] });
+      }
+      // The previous owner stays on as an editor
+      binder.members = binder.members.map((member) =>
+        member.userId === previousOwnerId ? { ...member, permissions: ['view', 'edit'] } : member
+      );
+      touch(binder);
+      return binderDetail(db, binder);
+    }
+  },
+
+  // Delegation of authority
+  {
+    method: 'POST',
+    path: '/api/v1/doa/CreateInitialDoa/:studyId',
+    handler: ({ db, user, params, body }) => {
+      if (doasForStudy(db, params.studyId).length) {
+        fail(409, 'A DOA already exists for this study');
+      }
+      const doa = {
+        doaId: nextId('doa'),
+        studyId: params.studyId,
+        version: 1,
+        status: 'pending',
+        users: body.users || []
+      };
+      db.doas.push(doa);
+      logDoa(db, doa, 'CreateInitialDoa', user);
+      return doa;
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/doa/GetCurrentFinalizedDoaForStudy/:studyId',
+    handler: ({ db, params }) =>
+      currentFinalizedDoa(db, params.studyId) || fail(404, 'No finalized DOA for this study')
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/doa/GetCurrentFinalizeDOAVersion/:studyId',
+    handler: ({ db, params }) => ({
+      studyId: params.studyId,
+      version: currentFinalizedDoa(db, params.studyId)?.version || 0
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/doa/GetCurrentAndPendingDoaForStudy/:studyId',
+    handler: ({ db, params }) => ({
+      current: currentFinalizedDoa(db, params.studyId),
+      pending: pendingDoa(db, params.studyId)
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/doa/GetCompiledDoaVersionForStudy/:studyId',
+    handler: ({ db, params }) => ({
+      studyId: params.studyId,
+      versions: doasForStudy(db, params.studyId).filter((doa) => doa.status === 'finalized')
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/doa/GetDoaSnapshotVersion/:versionId',
+    handler: ({ db, params }) => findDoa(db, params.versionId)
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/doa/GetDoaChangesOnlyForStudy/:studyId',
+    handler: ({ db, params }) => {
+      const current = currentFinalizedDoa(db, params.studyId);
+      const pending = pendingDoa(db, params.studyId);
+      const before = new Set((current?.users || []).map((entry) => entry.userId));
+      const after = new Set((pending?.users || []).map((entry) => entry.userId));
+      return {
+        added: (pending?.users || []).filter((entry) => !before.has(entry.userId)),
+        removed: (current?.users || []).filter((entry) => !after.has(entry.userId))
+      };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/v1/doa/GetDoaAuditLogForStudy/:studyId',
+    handler: ({ db, params }) => db.doaAuditLog.filter((entry) => entry.studyId === params.studyId)
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/doa/AddUserToDoa/',
+    handler: ({ db, user, body }) => {
+      const doa = findDoa(db, body.doaId);
+      if (doa.status !== 'pending') {
+        fail(409, 'Only a pending DOA can be changed');
+      }
+      const member = findUser(db, body.userId) || fail(404, 'User not found');
+      if (!doa.users.some((entry) => entry.userId === member.id)) {
+        doa.users.push({ userId: member.id, name: member.name, role: body.role || '', tasks: body.tasks || [] });
+        logDoa(db, doa, 'AddUserToDoa', user, { targetUserId: member.id });
+      }
+      return doa;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/doa/RemoveUserFromDoa/',
+    handler: ({ db, user, body }) => {
+      const doa = findDoa(db, body.doaId);
+      if (doa.status !== 'pending') {
+        fail(409, 'Only a pending DOA can be changed');
+      }
+      doa.users = doa.users.filter((entry) => entry.userId !== body.userId);
+      logDoa(db, doa, 'RemoveUserFromDoa', user, { targetUserId: body.userId });
+      return doa;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/doa/FinalizeDoa/',
+    handler: ({ db, user, body }) => {
+      if (!user.permissions.includes('doa.finalize') && !user.isAdmin) {
+        fail(403, 'You cannot finalize a DOA');
+      }
+      const doa = findDoa(db, body.doaId);
+      if (doa.status !== 'pending') {
+        fail(409, 'DOA is already finalized');
+      }
+      doa.status = 'finalized';
+      doa.finalizedAt = now();
+      doa.finalizedBy = user.id;
+      logDoa(db, doa, 'FinalizeDoa', user);
+      return doa;
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/doa/DownloadCompliledDoaLogPdf/:studyId',
+    handler: ({ params }) => fakePdf(`Compiled DOA log - ${params.studyId}`)
+  },
+  {
+    method: 'POST',
+    path: '/api/v1/doa/DownloadChangeOnlyDoaLogPdf/:studyId',
+    handler: ({ params }) => fakePdf(`DOA changes - ${params.studyId}`)
+  }
+];
+
+function createBinder(db, user, body, studyId) {
+  if (!String(body.name || '').trim()) {
+    fail(400, 'Name is required');
+  }
+  const binder = {
+    id: nextId('b'),
+    name: body.name.trim(),
+    description: body.description || '',
+    status: 'Active',
+    studyId,
+    ownerId: user.id,
+    protocolInfo: {
+      protocolNumber: '',
+      protocolTitle: '',
+      protocolVersion: '',
+      sponsor: '',
+      ...(body.protocolInfo || {})
+    },
+    createdAt: now(),
+    updatedAt: now(),
+    members: [{ userId: user.id, permissions: ['view', 'edit', 'archive', 'manageUsers'] }]
+  };
+  db.binders.push(binder);
+  return binderDetail(db, binder);
+}
+
+// '/api/v1/source/GetBinder/:binderId' -> matcher returning { binderId }
+const compilePath = (path) => {
+  const names = [];
+  const pattern = path
+    .replace(/\/$/, '')
+    .replace(/:(\w+)/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+  const regex = new RegExp(`^${pattern}/?$`, 'i');
+  return (pathname) => {
+    const match = regex.exec(pathname);
+    if (!match) {
+      return null;
+    }
+    return names.reduce(
+      (params, name, index) => ({ ...params, [name]: decodeURIComponent(match[index + 1]) }),
+      {}
+    );
+  };
+};
+
+const compiledRoutes = routes.map((route) => ({ ...route, match: compilePath(route.path) }));
+
+const getUserFromHeaders = (db, headers = {}) => {
+  const header = headers.Authorization || headers.authorization || '';
+  const token = header.replace(/^Bearer\s+/i, '');
+  if (!token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  return findUser(db, token.slice(TOKEN_PREFIX.length)) || null;
+};
+
+const readStoredDb = () => {
+  try {
+    const stored = localStorage.getItem(DB_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (!ms) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      },
+      { once: true }
+    );
+  });
+
+export const createMockBackend = ({ fixtures, persist = true, ...options } = {}) => {
+  let settings = { ...DEFAULT_MOCK_OPTIONS, ...options };
+  const freshDb = () => (fixtures ? structuredClone(fixtures) : createFixtures());
+  let db = (persist && readStoredDb()) || freshDb();
+
+  const save = () => {
+    if (!persist) {
+      return;
+    }
+    try {
+      localStorage.setItem(DB_STORAGE_KEY, JSON.stringify(db));
+    } catch (error) {
+      console.warn('[mock] Could not persist mock database:', error);
+    }
+  };
+
+  const simulatedFailure = (method, pathname) => {
+    const forced = settings.failures[`${method} ${pathname}`];
+    if (forced) {
+      return forced;
+    }
+    return Math.random() < settings.errorRate ? 503 : null;
+  };
+
+  // request: { method, url, params, data, headers, signal }
+  // resolves with { status, data, headers }; errors are returned, not thrown
+  const handle = async ({ method = 'GET', url, params = {}, data, headers, signal }) => {
+    const parsed = new URL(url, 'http://mock.local');
+    const pathname = parsed.pathname.replace(/^\/__api\/[^/]+/, '');
+    const query = { ...Object.fromEntries(parsed.searchParams), ...params };
+    Object.keys(query).forEach((key) => {
+      query[key] = query[key] === undefined || query[key] === null ? undefined : String(query[key]);
+    });
+    const verb = method.toUpperCase();
+
+    const { min, max } = settings.latency;
+    await sleep(min + Math.random() * Math.max(0, max - min), signal);
+
+    const forcedStatus = simulatedFailure(verb, pathname);
+    if (forcedStatus) {
+      return {
+        status: forcedStatus,
+        data: { error: `Simulated ${forcedStatus} from mock backend` },
+        headers: forcedStatus === 429 || forcedStatus === 503 ? { 'retry-after': '1' } : {}
+      };
+    }
+
+    let route = null;
+    let routeParams = null;
+    for (const candidate of compiledRoutes) {
+      routeParams = candidate.method === verb ? candidate.match(pathname) : null;
+      if (routeParams) {
+        route = candidate;
+        break;
+      }
+    }
+    if (!route) {
+      return { status: 404, data: { error: `No mock for ${verb} ${pathname}` }, headers: {} };
+    }
+
+    const user = getUserFromHeaders(db, headers);
+    if (!route.public && !user) {
+      return { status: 401, data: { error: 'Not authenticated' }, headers: {} };
+    }
+
+    let body = data;
+    if (typeof body === 'string' && body) {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        return { status: 400, data: { error: 'Malformed JSON body' }, headers: {} };
+      }
+    }
+
+    try {
+      const result = await route.handler({ db, user, params: routeParams, query, body: body || {} });
+      if (verb !== 'GET') {
+        save();
+      }
+      const isBlob = typeof Blob !== 'undefined' && result instanceof Blob;
+      return {
+        status: 200,
+        // Hand out copies so callers cannot mutate the database by accident
+        data: isBlob ? result : structuredClone(result ?? null),
+        headers: { 'content-type': isBlob ? result.type : 'application/json' }
+      };
+    } catch (error) {
+      if (error instanceof MockHttpError) {
+        return { status: error.status, data: { error: error.message }, headers: {} };
+      }
+      console.error('[mock] Handler failed:', error);
+      return { status: 500, data: { error: error.message }, headers: {} };
+    }
+  };
+
+  return {
+    handle,
+    getDb: () => db,
+    getOptions: () => settings,
+    setOptions: (next) => {
+      settings = { ...settings, ...next };
+    },
+    reset: () => {
+      db = freshDb();
+      save();
+    }
+  };
+};
+
+export default createMockBackend;
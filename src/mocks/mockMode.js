@@ -0,0 +1,25 @@
+// Mock mode switch. Kept separate from the mock backend so production bundles
+// only load the fixtures when mock mode is actually on.
+const STORAGE_KEY = 'statMockApi';
+
+export const isMockModeEnabled = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored !== null) {
+      return stored === 'true';
+    }
+  } catch (error) {
+    // Fall through to the build-time setting
+  }
+  return import.meta.env.VITE_MOCK_API === 'true';
+};
+
+// Turning mock mode on or off swaps every client, so reload to start clean
+export const setMockModeEnabled = (enabled) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, String(Boolean(enabled)));
+  } catch (error) {
+    console.error('Failed to persist mock mode:', error);
+  }
+  window.location.reload();
+};
@@ -1,20 +1,43 @@
 import axios from 'axios';
+import { getAuthToken, clearAuthToken } from './authToken';
+import { getApiBaseUrl } from '../config/environments';
+import {
+  REQUEST_TIMEOUT_MS,
+  getRetryDelay,
+  waitForRetry,
+  dedupeGets
+} from './requestPolicy';
 
-const BASE_URL = 'https://www.statresearch.com:3001';
+import { isMockModeEnabled } from '../mocks/mockMode';
+import { canReauthenticate, requestReauthentication } from './authRecovery';
+
+export { isRequestCanceled } from './requestPolicy';
 
 // Create axios instance with default config
 const api = axios.create({
-  baseURL: BASE_URL,
-  timeout: 10000,
+  baseURL: getApiBaseUrl(),
+  timeout: REQUEST_TIMEOUT_MS,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Mock mode serves every request from in-browser fixtures (see src/mocks).
+// They load on the first request, which keeps them out of the main bundle.
+if (isMockModeEnabled()) {
+  api.defaults.adapter = async (config) => {
+    const { getMockModeAdapter } = await import('../mocks/mockAdapter');
+    return getMockModeAdapter()(config);
+  };
+}
+
 // Add request interceptor to include auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('authToken');
+    // Resolve per request so every client follows the selected environment
+    config.baseURL = getApiBaseUrl();
+
+    const token = getAuthToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -25,34 +48,102 @@ api.interceptors.request.use(
   }
 );
 
+// Pull a human-readable message out of an axios error. The API server replies
+// with either { message } or { error }; fall back to the transport message.
+export const getErrorMessage = (error, fallback = 'Request failed') => {
+  const data = error?.response?.data;
+  if (typeof data === 'string' && data.trim()) {
+    return data;
+  }
+  return data?.message || data?.error || error?.message || fallback;
+};
+
+// Statuses a server answers with for an endpoint it does not have. Several source
+// endpoints (page versions and status, header/footer, templates) are newer than the
+// legacy client and missing on some servers.
+const UNSUPPORTED_STATUSES = [405, 501];
+
+// A 404 usually means the binder, page or version does not exist, so it only counts
+// when the body is an unmatched-route reply (Express's "Cannot POST /path", or the
+// mock backend's "No mock for POST /path")
+const MISSING_ROUTE_PATTERN = /Cannot (GET|POST|PUT|PATCH|DELETE) \/|^No mock for /;
+
+const isMissingRoute = (error) => {
+  if (error?.status !== 404) {
+    return false;
+  }
+  const data = error.response?.data;
+  const text = typeof data === 'string' ? data : data?.error || data?.message || '';
+  return MISSING_ROUTE_PATTERN.test(text);
+};
+
+export const isUnsupportedEndpoint = (error) =>
+  UNSUPPORTED_STATUSES.includes(error?.status) || isMissingRoute(error);
+
 // Add response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Handle unauthorized access
-      localStorage.removeItem('authToken');
-      window.location.href = '/login';
+  async (error) => {
+    // Retry transient failures of idempotent requests with backoff
+    const retryDelay = getRetryDelay(error);
+    if (retryDelay !== null) {
+      const config = error.config;
+      config.retryAttempt = (config.retryAttempt || 0) + 1;
+      await waitForRetry(retryDelay, config.signal);
+      return api(config);
+    }
+
+    // Normalize errors so callers can rely on status/userMessage
+    error.status = error.response?.status ?? null;
+    error.userMessage = getErrorMessage(error);
+
+    // Callers that handle 401 themselves (sign-in, session validation) opt out
+    if (error.response?.status === 401 && !error.config?.skipAuthRecovery) {
+      if (canReauthenticate()) {
+        // Sign in again in place, then replay the request; the page stays as it was
+        if (!error.config.reauthenticated && (await requestReauthentication())) {
+          error.config.reauthenticated = true;
+          return api(error.config);
+        }
+      } else {
+        // No re-login dialog mounted: fall back to the login page
+        clearAuthToken();
+        window.location.href = '/login';
+      }
     }
     return Promise.reject(error);
   }
 );
 
+// Identical GETs in flight share one request
+dedupeGets(api);
+
+// Every method accepts an axios config as its last argument, e.g. { signal } to
+// cancel when a page unmounts or { retry: false } to fail fast.
 export const apiService = {
   // Authentication
-  login: (credentials) => api.post('/auth/login', credentials),
+  login: (credentials) => api.post('/auth/login', credentials, { skipAuthRecovery: true }),
   register: (userData) => api.post('/auth/register', userData),
   logout: () => api.post('/auth/logout'),
+  // Exchange a Google ID token for a local session token
+  authenticateWithGoogle: (idToken) =>
+    api.post('/api/v1/users/Authenticate', { idToken }, { skipAuthRecovery: true }),
   
+  // Session
+  validateSession: (config) =>
+    api.get('/api/v1/users/ValidateSession', { skipAuthRecovery: true, ...config }),
+  getCurrentUser: (config) =>
+    api.get('/api/v1/users/GetCurrentUser', { skipAuthRecovery: true, ...config }),
+
   // User management
-  getProfile: () => api.get('/auth/profile'),
-  updateProfile: (data) => api.put('/auth/profile', data),
+  getProfile: (config) => api.get('/auth/profile', config),
+  updateProfile: (data, config) => api.put('/auth/profile', data, config),
   
   // Generic API methods for exploration
-  get: (endpoint) => api.get(endpoint),
-  post: (endpoint, data) => api.post(endpoint, data),
-  put: (endpoint, data) => api.put(endpoint, data),
-  delete: (endpoint) => api.delete(endpoint),
+  get: (endpoint, config) => api.get(endpoint, config),
+  post: (endpoint, data, config) => api.post(endpoint, data, config),
+  put: (endpoint, data, config) => api.put(endpoint, data, config),
+  delete: (endpoint, config) => api.delete(endpoint, config),
   
   // Method to discover available endpoints
   discoverEndpoints: async () => {
@@ -72,7 +163,8 @@ export const apiService = {
       
       for (const endpoint of endpoints) {
         try {
-          const response = await api.get(endpoint);
+          // Probes should fail fast rather than back off
+          const response = await api.get(endpoint, { retry: false });
           results.push({ endpoint, status: 'success', data: response.data });
         } catch (error) {
           results.push({ 
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { isUnsupportedEndpoint } from './apiService';
+
+const httpError = (status, data) => ({ status, response: { status, data } });
+
+describe('isUnsupportedEndpoint', () => {
+  it('treats 405 and 501 as a missing endpoint', () => {
+    expect(isUnsupportedEndpoint(httpError(405, ''))).toBe(true);
+    expect(isUnsupportedEndpoint(httpError(501, { error: 'Not implemented' }))).toBe(true);
+  });
+
+  it('treats a route-not-found 404 as a missing endpoint', () => {
+    const expressReply = '<pre>Cannot POST /api/v1/source/SaveBinderPage</pre>';
+    expect(isUnsupportedEndpoint(httpError(404, expressReply))).toBe(true);
+    expect(isUnsupportedEndpoint(httpError(404, { error: 'No mock for GET /api/v1/source/X' }))).toBe(true);
+  });
+
+  it('does not treat a 404 for a missing record as a missing endpoint', () => {
+    expect(isUnsupportedEndpoint(httpError(404, { error: 'Page version not found' }))).toBe(false);
+    expect(isUnsupportedEndpoint(httpError(404, 'Binder b-1 not found'))).toBe(false);
+    expect(isUnsupportedEndpoint(httpError(404, ''))).toBe(false);
+  });
+
+  it('ignores other failures', () => {
+    expect(isUnsupportedEndpoint(httpError(500, 'Server error'))).toBe(false);
+    expect(isUnsupportedEndpoint(new Error('Network Error'))).toBe(false);
+    expect(isUnsupportedEndpoint(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,33 @@
+// Coordinates re-authentication after a 401. The first failed request asks the
+// registered handler (the re-login dialog) to sign the user back in; requests that
+// fail meanwhile wait on the same attempt and are replayed once it succeeds.
+
+let handler = null;
+let pending = null;
+
+// handler() resolves true once the user has signed in again, false if they gave up
+export const setReauthenticationHandler = (nextHandler) => {
+  handler = nextHandler;
+  return () => {
+    if (handler === nextHandler) {
+      handler = null;
+    }
+  };
+};
+
+export const canReauthenticate = () => Boolean(handler);
+
+export const requestReauthentication = () => {
+  if (!handler) {
+    return Promise.resolve(false);
+  }
+  if (!pending) {
+    pending = Promise.resolve()
+      .then(() => handler())
+      .catch(() => false)
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+};
@@ -0,0 +1,45 @@
+// Single source of truth for the session token issued by the API server.
+// Both the React app and the legacy pages read and write this key.
+export const AUTH_TOKEN_KEY = 'authToken';
+
+// Older builds of the legacy auth client kept the token in sessionStorage
+const LEGACY_SESSION_KEY = 'statSessionToken';
+
+export const getAuthToken = () => {
+  try {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (token) {
+      return token;
+    }
+
+    // Adopt a token left behind by the legacy client so there is only one
+    const legacyToken = sessionStorage.getItem(LEGACY_SESSION_KEY);
+    if (legacyToken) {
+      localStorage.setItem(AUTH_TOKEN_KEY, legacyToken);
+      sessionStorage.removeItem(LEGACY_SESSION_KEY);
+      return legacyToken;
+    }
+  } catch (error) {
+    // Storage can be unavailable (private mode, disabled cookies)
+  }
+  return null;
+};
+
+export const setAuthToken = (token) => {
+  try {
+    if (token) {
+      localStorage.setItem(AUTH_TOKEN_KEY, token);
+    } else {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+    }
+    sessionStorage.removeItem(LEGACY_SESSION_KEY);
+  } catch (error) {
+    // Ignore storage failures; the in-memory session still works
+  }
+};
+
+export const clearAuthToken = () => setAuthToken(null);
+
+// The exchange endpoints have returned the token under several names over time
+export const extractAuthToken = (data) =>
+  (data && (data.token || data.guid || data.sessionToken || data.accessToken || data.id)) || null;
@@ -0,0 +1,100 @@
+import api from './apiService';
+
+const BASE_PATH = '/api/v1/source';
+
+// Every call accepts an optional axios config as its last argument (headers,
+// timeout, signal, ...) and resolves with the response body.
+const getJson = (path, params, config = {}, timeout = 15000) =>
+  api
+    .get(`${BASE_PATH}${path}`, { timeout, ...config, params })
+    .then((response) => response.data);
+
+const postJson = (path, data, config = {}, timeout = 20000) =>
+  api
+    .post(`${BASE_PATH}${path}`, data || {}, { timeout, ...config })
+    .then((response) => response.data);
+
+// Membership endpoints take the user id as a query parameter and no body
+const postWithUserId = (path, binderId, userId, config = {}) =>
+  api
+    .post(`${BASE_PATH}${path}/${encodeURIComponent(binderId)}`, null, {
+      timeout: 15000,
+      ...config,
+      params: { userId },
+    })
+    .then((response) => response.data);
+
+export const binderApi = {
+  // Binder creation
+  createNewSourceBinderFreeStanding: (payload, config) =>
+    postJson('/CreateNewSourceBinderFreeStanding', payload, config),
+  createNewSourceBinderWithStudy: (payload, config) =>
+    postJson('/CreateNewSourceBinderWithStudy', payload, config),
+
+  // Binder lookup
+  listBinders: (config) => getJson('/ListBinders', null, config),
+  getBinder: (binderId, config) =>
+    getJson(`/GetBinder/${encodeURIComponent(binderId)}`, null, config),
+  getBinderOwner: (binderId, config) =>
+    getJson(`/GetBinderOwner/${encodeURIComponent(binderId)}`, null, config),
+  getBinderPermissions: (binderId, config) =>
+    getJson(`/GetBinderPermissions/${encodeURIComponent(binderId)}`, null, config),
+  // options: { simple, onlyActive, skip, take }; simple leaves out the cells, skip/take
+  // return a slice of the pages in order
+  getBinderPages: (binderId, options = {}, config) =>
+    getJson(`/GetBinderPages/${encodeURIComponent(binderId)}`, options, config, 20000),
+  // Page history, newest first; each entry is a version without its cells
+  getBinderPageVersions: (binderId, pageId, config) =>
+    getJson(
+      `/GetBinderPageVersions/${encodeURIComponent(binderId)}/${encodeURIComponent(pageId)}`,
+      null,
+      config
+    ),
+  getBinderPageVersion: (binderId, versionId, config) =>
+    getJson(
+      `/GetBinderPageVersion/${encodeURIComponent(binderId)}/${encodeURIComponent(versionId)}`,
+      null,
+      config
+    ),
+
+  // Binder updates
+  updateBinderName: (payload, config) => postJson('/UpdateBinderName', payload, config),
+  updateBinderDescription: (payload, config) =>
+    postJson('/UpdateBinderDescription', payload, config),
+  updateBinderProtocolInfo: (payload, config) =>
+    postJson('/UpdateBinderProtocolInfo', payload, config),
+  // payload: { binderId, headerTemplate, footerTemplate }; null restores the default template
+  updateBinderHeaderFooter: (payload, config) =>
+    postJson('/UpdateBinderHeaderFooter', payload, config),
+  // payload: { binderId, pageId, name, visitName, worksheetName, cells }; no pageId adds a page
+  saveBinderPage: (payload, config) => postJson('/SaveBinderPage', payload, config),
+  // payload: { binderId, pageId }; makes the page's draft its active version
+  promoteBinderPageVersion: (payload, config) => postJson('/PromoteBinderPageVersion', payload, config),
+  // payload: { binderId, pageId, reason }
+  rescindBinderPage: (payload, config) => postJson('/RescindBinderPage', payload, config),
+  // payload: { reason }
+  archiveBinder: (binderId, payload, config) =>
+    postJson(`/ArchiveBinder/${encodeURIComponent(binderId)}`, payload, config),
+  // Not every server version has this; expect 404 or 405 where it is missing
+  restoreBinder: (binderId, payload, config) =>
+    postJson(`/RestoreBinder/${encodeURIComponent(binderId)}`, payload, config),
+
+  // Page templates. Not every server version has these; templateStore falls back to
+  // local storage where they are missing (404, 405 or 501).
+  listPageTemplates: (config) => getJson('/ListPageTemplates', null, config),
+  // payload: { templateId, name, description, tags, pageName, visitName, worksheetName, cells };
+  // no templateId adds a template
+  savePageTemplate: (payload, config) => postJson('/SavePageTemplate', payload, config),
+  deletePageTemplate: (templateId, config) =>
+    postJson(`/DeletePageTemplate/${encodeURIComponent(templateId)}`, null, config),
+
+  // Membership and ownership
+  addUserToBinder: (binderId, userId, config) =>
+    postWithUserId('/AddUserToBinder', binderId, userId, config),
+  removeUserFromBinder: (binderId, userId, config) =>
+    postWithUserId('/RemoveUserFromBinder', binderId, userId, config),
+  setBinderOwner: (binderId, userId, config) =>
+    postWithUserId('/SetBinderOwner', binderId, userId, config),
+};
+
+export default binderApi;
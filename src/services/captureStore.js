@@ -0,0 +1,102 @@
+// Capture-mode drafts in IndexedDB, so values typed into a source page survive a reload
+// or a browser crash mid-visit. One record per user, binder and page; nothing is sent
+// to the server from here, and signing out deletes that user's drafts.
+
+const DB_NAME = 'stat-source-capture';
+const DB_VERSION = 2;
+const STORE_NAME = 'drafts';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser cannot store drafts (IndexedDB is unavailable)'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains(STORE_NAME)
+          ? request.transaction.objectStore(STORE_NAME)
+          : db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        if (!store.indexNames.contains('binderId')) {
+          store.createIndex('binderId', 'binderId');
+        }
+        // Version 2: sign-out deletes one user's drafts
+        if (!store.indexNames.contains('userId')) {
+          store.createIndex('userId', 'userId');
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgrading the schema; reopen on the next call
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs one request in its own transaction and resolves once the transaction commits
+const runRequest = (mode, createRequest) =>
+  openDatabase().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = createRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Draft storage was aborted'));
+      })
+  );
+
+const draftKey = ({ userId, binderId, pageId }) => [userId || 'anonymous', binderId, pageId].join('|');
+
+export const captureStore = {
+  // Resolves to { binderId, pageId, pageVersion, values, updatedAt } or null
+  loadDraft: (ids) => runRequest('readonly', (store) => store.get(draftKey(ids))).then((record) => record || null),
+
+  saveDraft: ({ userId, binderId, pageId, pageVersion, values }) => {
+    const record = {
+      key: draftKey({ userId, binderId, pageId }),
+      userId: userId || null,
+      binderId,
+      pageId,
+      pageVersion: pageVersion ?? null,
+      values,
+      updatedAt: new Date().toISOString()
+    };
+    return runRequest('readwrite', (store) => store.put(record)).then(() => record);
+  },
+
+  deleteDraft: (ids) => runRequest('readwrite', (store) => store.delete(draftKey(ids))),
+
+  // Removes one user's drafts; with no userId, the drafts saved without one
+  deleteUserDrafts: (userId) =>
+    runRequest('readwrite', (store) => {
+      // Drafts without a user are not in the userId index
+      const request = userId
+        ? store.index('userId').openCursor(IDBKeyRange.only(userId))
+        : store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          if (userId || !cursor.value.userId) {
+            cursor.delete();
+          }
+          cursor.continue();
+        }
+      };
+      return request;
+    }).then(() => undefined)
+};
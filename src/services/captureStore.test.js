@@ -0,0 +1,38 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect } from 'vitest';
+import { captureStore } from './captureStore';
+
+const draft = (userId, pageId) => ({
+  userId,
+  binderId: 'b-1',
+  pageId,
+  pageVersion: 1,
+  values: { c1: 'x' }
+});
+
+describe('captureStore', () => {
+  it('keeps one draft per user, binder and page', async () => {
+    await captureStore.saveDraft(draft('u-1', 'p-1'));
+    await captureStore.saveDraft({ ...draft('u-1', 'p-1'), values: { c1: 'y' } });
+    await captureStore.saveDraft(draft('u-2', 'p-1'));
+
+    const saved = await captureStore.loadDraft({ userId: 'u-1', binderId: 'b-1', pageId: 'p-1' });
+    expect(saved.values).toEqual({ c1: 'y' });
+    expect(await captureStore.loadDraft({ userId: 'u-1', binderId: 'b-1', pageId: 'p-2' })).toBeNull();
+  });
+
+  it('deletes only the signing-out user\'s drafts', async () => {
+    await captureStore.saveDraft(draft('u-1', 'p-2'));
+    await captureStore.saveDraft(draft(null, 'p-1'));
+
+    await captureStore.deleteUserDrafts('u-1');
+    expect(await captureStore.loadDraft({ userId: 'u-1', binderId: 'b-1', pageId: 'p-1' })).toBeNull();
+    expect(await captureStore.loadDraft({ userId: 'u-1', binderId: 'b-1', pageId: 'p-2' })).toBeNull();
+    expect(await captureStore.loadDraft({ userId: 'u-2', binderId: 'b-1', pageId: 'p-1' })).not.toBeNull();
+    expect(await captureStore.loadDraft({ userId: null, binderId: 'b-1', pageId: 'p-1' })).not.toBeNull();
+
+    await captureStore.deleteUserDrafts(null);
+    expect(await captureStore.loadDraft({ userId: null, binderId: 'b-1', pageId: 'p-1' })).toBeNull();
+    expect(await captureStore.loadDraft({ userId: 'u-2', binderId: 'b-1', pageId: 'p-1' })).not.toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import api from './apiService';
+import { saveBlob } from '../utils/download';
+
+const BASE_PATH = '/api/v1/doa';
+
+const getJson = (path, config = {}, timeout = 10000) =>
+  api.get(`${BASE_PATH}${path}`, { timeout, ...config }).then((response) => response.data);
+
+const postJson = (path, data, config = {}, timeout = 10000) =>
+  api.post(`${BASE_PATH}${path}`, data || {}, { timeout, ...config }).then((response) => response.data);
+
+const byStudy = (path, studyId) => `${path}/${encodeURIComponent(studyId)}`;
+
+const downloadPdf = async (path, options, fileName, config = {}) => {
+  const response = await api.post(`${BASE_PATH}${path}`, options || {}, {
+    timeout: 60000,
+    ...config,
+    responseType: 'blob',
+  });
+  saveBlob(response.data, fileName);
+  return response.data;
+};
+
+export const doaApi = {
+  // DOA lifecycle
+  createInitialDoa: (studyId, data, config) =>
+    postJson(byStudy('/CreateInitialDoa', studyId), data, config, 30000),
+  finalizeDoa: (data, config) => postJson('/FinalizeDoa/', data, config, 30000),
+
+  // DOA lookup
+  getCurrentFinalizedDoaForStudy: (studyId, config) =>
+    getJson(byStudy('/GetCurrentFinalizedDoaForStudy', studyId), config),
+  getCurrentFinalizeDoaVersion: (studyId, config) =>
+    getJson(byStudy('/GetCurrentFinalizeDOAVersion', studyId), config),
+  getCurrentAndPendingDoaForStudy: (studyId, config) =>
+    getJson(byStudy('/GetCurrentAndPendingDoaForStudy', studyId), config),
+  getCompiledDoaVersionForStudy: (studyId, config) =>
+    getJson(byStudy('/GetCompiledDoaVersionForStudy', studyId), config, 15000),
+  getDoaSnapshotVersion: (versionId, config) =>
+    getJson(byStudy('/GetDoaSnapshotVersion', versionId), config),
+  getDoaChangesOnlyForStudy: (studyId, config) =>
+    getJson(byStudy('/GetDoaChangesOnlyForStudy', studyId), config),
+  getDoaAuditLogForStudy: (studyId, config) =>
+    getJson(byStudy('/GetDoaAuditLogForStudy', studyId), config),
+
+  // DOA membership ({ userId, doaId })
+  addUserToDoa: (data, config) => postJson('/AddUserToDoa/', data, config),
+  removeUserFromDoa: (data, config) => postJson('/RemoveUserFromDoa/', data, config),
+
+  // PDF downloads (the server path spelling is intentional)
+  downloadCompiledDoaLogPdf: (studyId, options, config) =>
+    downloadPdf(
+      byStudy('/DownloadCompliledDoaLogPdf', studyId),
+      options,
+      `doa-compiled-${studyId}.pdf`,
+      config
+    ),
+  downloadChangeOnlyDoaLogPdf: (studyId, options, config) =>
+    downloadPdf(
+      byStudy('/DownloadChangeOnlyDoaLogPdf', studyId),
+      options,
+      `doa-changes-${studyId}.pdf`,
+      config
+    ),
+};
+
+export default doaApi;
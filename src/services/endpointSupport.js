@@ -0,0 +1,36 @@
+// Source endpoints the current server turned out not to have, remembered for the session
+// so the actions that need them can be hidden. Switching environment reloads the app,
+// which starts the list over.
+
+import { isUnsupportedEndpoint } from './apiService';
+
+export const OPTIONAL_ENDPOINTS = {
+  SAVE_PAGE: 'SaveBinderPage',
+  PROMOTE_PAGE: 'PromoteBinderPageVersion',
+  RESCIND_PAGE: 'RescindBinderPage',
+  PAGE_VERSIONS: 'GetBinderPageVersions',
+  PAGE_VERSION: 'GetBinderPageVersion',
+  HEADER_FOOTER: 'UpdateBinderHeaderFooter'
+};
+
+const missing = new Set();
+const listeners = new Set();
+
+export const isEndpointMissing = (endpoint) => missing.has(endpoint);
+
+export const subscribeToEndpointSupport = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Records endpoint as missing when err says the server does not have it. Returns whether it did.
+export const noteUnsupportedEndpoint = (err, endpoint) => {
+  if (!isUnsupportedEndpoint(err)) {
+    return false;
+  }
+  if (!missing.has(endpoint)) {
+    missing.add(endpoint);
+    listeners.forEach((listener) => listener());
+  }
+  return true;
+};
@@ -0,0 +1,85 @@
+// Thin wrapper around Google Identity Services (One Tap + Sign-In button).
+// The server verifies the ID token; the client ID is only needed to render the UI.
+export const GOOGLE_CLIENT_ID =
+  '433232869281-jr409nki449q55oclm7chet102inc6tp.apps.googleusercontent.com';
+
+const GSI_SCRIPT_URL = 'https://accounts.google.com/gsi/client';
+
+let scriptPromise = null;
+let initialized = false;
+let credentialHandler = null;
+
+const getGoogleId = () => window.google?.accounts?.id;
+
+const loadGsiScript = () => {
+  if (getGoogleId()) {
+    return Promise.resolve();
+  }
+  if (!scriptPromise) {
+    scriptPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = GSI_SCRIPT_URL;
+      script.async = true;
+      script.defer = true;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        scriptPromise = null;
+        reject(new Error('Failed to load Google Sign-In'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return scriptPromise;
+};
+
+// Load the GSI script and route credentials to the latest handler.
+// Google only allows initialize() once per page, so later calls just swap the handler.
+export const initializeGoogleSignIn = async (onCredential) => {
+  credentialHandler = onCredential;
+  await loadGsiScript();
+
+  const googleId = getGoogleId();
+  if (!googleId) {
+    throw new Error('Google Sign-In failed to load');
+  }
+
+  if (!initialized) {
+    googleId.initialize({
+      client_id: GOOGLE_CLIENT_ID,
+      callback: (response) => {
+        if (response?.credential && credentialHandler) {
+          credentialHandler(response.credential);
+        }
+      },
+    });
+    initialized = true;
+  }
+};
+
+export const renderGoogleButton = (container, options = {}) => {
+  const googleId = getGoogleId();
+  if (!googleId || !container) {
+    return;
+  }
+  container.innerHTML = '';
+  googleId.renderButton(container, {
+    theme: 'outline',
+    size: 'large',
+    type: 'standard',
+    text: 'signin_with',
+    shape: 'rectangular',
+    ...options,
+  });
+};
+
+export const promptGoogleOneTap = () => {
+  getGoogleId()?.prompt();
+};
+
+export const disableGoogleAutoSelect = () => {
+  try {
+    getGoogleId()?.disableAutoSelect();
+  } catch (error) {
+    // Not fatal; One Tap may simply offer the last account again
+  }
+};
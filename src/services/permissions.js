@@ -0,0 +1,175 @@
+// Permission model shared by route guards and UI gating.
+// The server describes grants in a few shapes (string arrays, boolean flags,
+// roles), so everything is normalized into a set of lowercase names first.
+
+export const PERMISSIONS = {
+  BINDER_VIEW: 'binder.view',
+  BINDER_CREATE: 'binder.create',
+  BINDER_EDIT: 'binder.edit',
+  BINDER_ARCHIVE: 'binder.archive',
+  BINDER_MANAGE_MEMBERS: 'binder.members',
+  BINDER_TRANSFER_OWNERSHIP: 'binder.transferOwnership',
+  DOA_FINALIZE: 'doa.finalize'
+};
+
+export const PERMISSION_LABELS = {
+  [PERMISSIONS.BINDER_VIEW]: 'View',
+  [PERMISSIONS.BINDER_CREATE]: 'Create binders',
+  [PERMISSIONS.BINDER_EDIT]: 'Edit',
+  [PERMISSIONS.BINDER_ARCHIVE]: 'Archive',
+  [PERMISSIONS.BINDER_MANAGE_MEMBERS]: 'Manage members',
+  [PERMISSIONS.BINDER_TRANSFER_OWNERSHIP]: 'Transfer ownership',
+  [PERMISSIONS.DOA_FINALIZE]: 'Finalize DOA'
+};
+
+// Grant names that imply every permission
+const SUPER_GRANTS = ['*', 'admin', 'administrator', 'superuser', 'sysadmin'];
+
+// Binder owners can do everything to their binder
+const OWNER_GRANTS = ['owner', 'isowner'];
+const BINDER_PERMISSIONS = Object.values(PERMISSIONS).filter((name) => name.startsWith('binder.'));
+
+// Server spellings that map onto each permission
+const ALIASES = {
+  [PERMISSIONS.BINDER_VIEW]: ['read', 'view', 'canview', 'canread', 'member'],
+  [PERMISSIONS.BINDER_CREATE]: ['createbinder', 'cancreatebinder', 'binder.create'],
+  [PERMISSIONS.BINDER_EDIT]: ['edit', 'write', 'canedit', 'canwrite', 'editbinder'],
+  [PERMISSIONS.BINDER_ARCHIVE]: ['archive', 'canarchive', 'archivebinder'],
+  [PERMISSIONS.BINDER_MANAGE_MEMBERS]: ['manageusers', 'canmanageusers', 'managemembers'],
+  [PERMISSIONS.BINDER_TRANSFER_OWNERSHIP]: ['transferownership', 'cantransferownership', 'setowner'],
+  [PERMISSIONS.DOA_FINALIZE]: ['finalizedoa', 'canfinalizedoa']
+};
+
+// Editing implies viewing, and so on
+const IMPLIED_BY = {
+  [PERMISSIONS.BINDER_VIEW]: [
+    PERMISSIONS.BINDER_EDIT,
+    PERMISSIONS.BINDER_ARCHIVE,
+    PERMISSIONS.BINDER_MANAGE_MEMBERS,
+    PERMISSIONS.BINDER_TRANSFER_OWNERSHIP
+  ]
+};
+
+const addGrants = (grants, source) => {
+  if (!source) {
+    return;
+  }
+  if (typeof source === 'string') {
+    grants.add(source.toLowerCase());
+  } else if (Array.isArray(source)) {
+    source.forEach((entry) => addGrants(grants, entry?.name || entry?.Name || entry));
+  } else if (typeof source === 'object') {
+    Object.entries(source).forEach(([key, value]) => {
+      if (value === true) {
+        grants.add(key.toLowerCase());
+      }
+    });
+  }
+};
+
+const USER_GRANT_FIELDS = ['permissions', 'Permissions', 'roles', 'Roles', 'role', 'Role', 'isAdmin', 'IsAdmin'];
+
+// Grants that come with the signed-in user (GetCurrentUser). Returns null when
+// the user record carries no permission data at all; the server stays the judge then.
+export const getUserGrants = (user) => {
+  if (!user || !USER_GRANT_FIELDS.some((field) => user[field] !== undefined)) {
+    return null;
+  }
+  const grants = new Set();
+  addGrants(grants, user.permissions || user.Permissions);
+  addGrants(grants, user.roles || user.Roles);
+  addGrants(grants, user.role || user.Role);
+  if (user.isAdmin || user.IsAdmin) {
+    grants.add('admin');
+  }
+  return grants;
+};
+
+export const getUserId = (user) => user && (user.id || user.Id || user.userId || user.guid);
+
+const matchesUser = (entry, user) => {
+  const entryId = entry.userId || entry.UserId || entry.id || entry.Id;
+  const userId = getUserId(user);
+  if (userId && entryId && String(entryId) === String(userId)) {
+    return true;
+  }
+  return Boolean(user?.email && entry.email && entry.email.toLowerCase() === user.email.toLowerCase());
+};
+
+// Grants for one binder from GetBinderPermissions. The response is either the
+// caller's own flags or the member list, in which case we pick our own entry.
+export const getBinderGrants = (response, user) => {
+  const grants = new Set();
+  if (!response) {
+    return grants;
+  }
+
+  const members = Array.isArray(response) ? response : response.users || response.members;
+  if (Array.isArray(members) && members.some((entry) => entry && typeof entry === 'object')) {
+    const entry = members.find((member) => member && matchesUser(member, user));
+    if (entry) {
+      addGrants(grants, entry.permissions || entry.Permissions);
+      addGrants(grants, entry.role || entry.Role);
+      if (entry.isOwner) {
+        grants.add('owner');
+      }
+    }
+  } else {
+    addGrants(grants, response.permissions || response.Permissions || response);
+  }
+
+  const ownerId = response.ownerId || response.OwnerId || response.owner?.id;
+  if (ownerId && String(ownerId) === String(getUserId(user))) {
+    grants.add('owner');
+  }
+  return grants;
+};
+
+// The member list from GetBinderPermissions, one entry per user with their grants
+export const getBinderMembers = (response) => {
+  const members = Array.isArray(response) ? response : response?.users || response?.members || [];
+  const ownerId = response?.ownerId || response?.OwnerId || response?.owner?.id;
+  return members
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => {
+      const userId = String(entry.userId || entry.UserId || entry.id || entry.Id || '');
+      const grants = new Set();
+      addGrants(grants, entry.permissions || entry.Permissions);
+      addGrants(grants, entry.role || entry.Role);
+      const isOwner =
+        Boolean(entry.isOwner || entry.IsOwner) || Boolean(ownerId && String(ownerId) === userId);
+      if (isOwner) {
+        grants.add('owner');
+      }
+      return {
+        userId,
+        name: entry.name || entry.Name || entry.displayName || entry.email || userId,
+        email: entry.email || entry.Email || '',
+        isOwner,
+        grants
+      };
+    });
+};
+
+// The binder permissions a set of grants allows, for display
+export const listBinderPermissions = (grants) =>
+  BINDER_PERMISSIONS.filter(
+    (permission) => permission !== PERMISSIONS.BINDER_CREATE && hasPermission(grants, permission)
+  );
+
+export const hasPermission = (grants, permission) => {
+  if (!grants || !permission) {
+    return false;
+  }
+  if (SUPER_GRANTS.some((name) => grants.has(name))) {
+    return true;
+  }
+  if (BINDER_PERMISSIONS.includes(permission) && OWNER_GRANTS.some((name) => grants.has(name))) {
+    return true;
+  }
+  const names = [permission.toLowerCase(), ...(ALIASES[permission] || [])];
+  if (names.some((name) => grants.has(name))) {
+    return true;
+  }
+  return (IMPLIED_BY[permission] || []).some((implied) => hasPermission(grants, implied));
+};
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PERMISSIONS,
+  getUserGrants,
+  getBinderGrants,
+  getBinderMembers,
+  listBinderPermissions,
+  hasPermission,
+  getUserId
+} from './permissions';
+
+describe('getUserGrants', () => {
+  it('returns null when the user carries no permission data', () => {
+    expect(getUserGrants({ id: 'u-1', name: 'Ann' })).toBeNull();
+    expect(getUserGrants(null)).toBeNull();
+  });
+
+  it('reads permissions, roles and isAdmin in their different shapes', () => {
+    expect([...getUserGrants({ permissions: ['Binder.Create'], role: 'Coordinator' })]).toEqual([
+      'binder.create',
+      'coordinator'
+    ]);
+    expect([...getUserGrants({ Permissions: { canFinalizeDoa: true, canEdit: false } })]).toEqual([
+      'canfinalizedoa'
+    ]);
+    expect(getUserGrants({ isAdmin: true }).has('admin')).toBe(true);
+    expect(getUserGrants({ roles: [{ name: 'Monitor' }] }).has('monitor')).toBe(true);
+  });
+});
+
+describe('hasPermission', () => {
+  const grants = (...names) => new Set(names);
+
+  it('matches the permission name and its server spellings', () => {
+    expect(hasPermission(grants('doa.finalize'), PERMISSIONS.DOA_FINALIZE)).toBe(true);
+    expect(hasPermission(grants('canfinalizedoa'), PERMISSIONS.DOA_FINALIZE)).toBe(true);
+    expect(hasPermission(grants('canedit'), PERMISSIONS.BINDER_EDIT)).toBe(true);
+    expect(hasPermission(grants('canedit'), PERMISSIONS.BINDER_ARCHIVE)).toBe(false);
+  });
+
+  it('lets editing imply viewing', () => {
+    expect(hasPermission(grants('edit'), PERMISSIONS.BINDER_VIEW)).toBe(true);
+    expect(hasPermission(grants('view'), PERMISSIONS.BINDER_EDIT)).toBe(false);
+  });
+
+  it('gives owners every binder permission but not DOA finalization', () => {
+    expect(hasPermission(grants('owner'), PERMISSIONS.BINDER_TRANSFER_OWNERSHIP)).toBe(true);
+    expect(hasPermission(grants('owner'), PERMISSIONS.DOA_FINALIZE)).toBe(false);
+  });
+
+  it('gives administrators everything', () => {
+    expect(hasPermission(grants('admin'), PERMISSIONS.DOA_FINALIZE)).toBe(true);
+    expect(hasPermission(grants('*'), PERMISSIONS.BINDER_ARCHIVE)).toBe(true);
+  });
+
+  it('grants nothing without grants', () => {
+    expect(hasPermission(undefined, PERMISSIONS.BINDER_VIEW)).toBe(false);
+    expect(hasPermission(grants(), PERMISSIONS.BINDER_VIEW)).toBe(false);
+  });
+});
+
+describe('getBinderGrants', () => {
+  const user = { id: 'u-1', email: 'Ann@example.com' };
+
+  it('reads the caller\'s own flags', () => {
+    const result = getBinderGrants({ canEdit: true, canArchive: false }, user);
+    expect(hasPermission(result, PERMISSIONS.BINDER_EDIT)).toBe(true);
+    expect(hasPermission(result, PERMISSIONS.BINDER_ARCHIVE)).toBe(false);
+  });
+
+  it('picks the caller out of a member list by id or email', () => {
+    const members = [
+      { userId: 'u-2', permissions: ['binder.archive'] },
+      { email: 'ann@example.com', permissions: ['binder.edit'] }
+    ];
+    const result = getBinderGrants({ users: members }, user);
+    expect(listBinderPermissions(result)).toEqual([PERMISSIONS.BINDER_VIEW, PERMISSIONS.BINDER_EDIT]);
+  });
+
+  it('treats the binder owner as owner', () => {
+    expect(getBinderGrants({ ownerId: 'u-1', users: [] }, user).has('owner')).toBe(true);
+    expect(getBinderGrants(null, user).size).toBe(0);
+  });
+});
+
+describe('getBinderMembers', () => {
+  it('lists each member with their grants and marks the owner', () => {
+    const [owner, member] = getBinderMembers({
+      ownerId: 'u-1',
+      users: [
+        { userId: 'u-1', name: 'Ann' },
+        { UserId: 'u-2', Email: 'bo@example.com', Permissions: ['view'] }
+      ]
+    });
+    expect(owner).toMatchObject({ userId: 'u-1', name: 'Ann', isOwner: true });
+    expect(member).toMatchObject({ userId: 'u-2', email: 'bo@example.com', isOwner: false });
+    expect(listBinderPermissions(member.grants)).toEqual([PERMISSIONS.BINDER_VIEW]);
+  });
+});
+
+describe('getUserId', () => {
+  it('reads the id under its different names', () => {
+    expect(getUserId({ Id: 7 })).toBe(7);
+    expect(getUserId({ userId: 'u-3' })).toBe('u-3');
+    expect(getUserId(null)).toBeNull();
+  });
+});
@@ -0,0 +1,188 @@
+import axios from 'axios';
+
+// Retry and de-duplication policy for the shared axios instance (see apiService.js).
+const env = import.meta.env;
+
+export const REQUEST_TIMEOUT_MS = Number(env.VITE_API_TIMEOUT_MS) || 10000;
+
+// Per-request override: { retry: false } or { retry: { retries, baseDelay, maxDelay } }
+export const RETRY_DEFAULTS = {
+  retries: Number(env.VITE_API_RETRIES ?? 3),
+  baseDelay: 500,
+  maxDelay: 8000
+};
+
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+const RETRY_AFTER_STATUSES = [429, 503];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+// Never wait longer than this for a Retry-After, however long the server asks for
+const MAX_RETRY_AFTER_MS = 60000;
+
+const getRetryOptions = (config) => {
+  if (!config || config.retry === false) {
+    return null;
+  }
+  const method = (config.method || 'get').toLowerCase();
+  // Only idempotent requests retry unless the caller opts in explicitly
+  if (!config.retry && !IDEMPOTENT_METHODS.includes(method)) {
+    return null;
+  }
+  return { ...RETRY_DEFAULTS, ...(typeof config.retry === 'object' ? config.retry : {}) };
+};
+
+// Retry-After is either delta-seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const isRetryableError = (error) => {
+  if (axios.isCancel(error)) {
+    return false;
+  }
+  // No response: network failure or timeout
+  if (!error.response) {
+    return true;
+  }
+  return RETRYABLE_STATUSES.includes(error.response.status);
+};
+
+// How long to wait before the next attempt, or null when we should give up
+export const getRetryDelay = (error) => {
+  const config = error.config;
+  const options = getRetryOptions(config);
+  const attempt = config?.retryAttempt || 0;
+  if (!options || attempt >= options.retries || !isRetryableError(error)) {
+    return null;
+  }
+
+  const status = error.response?.status;
+  if (RETRY_AFTER_STATUSES.includes(status)) {
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, MAX_RETRY_AFTER_MS);
+    }
+  }
+
+  // Exponential backoff with full jitter
+  const ceiling = Math.min(options.maxDelay, options.baseDelay * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+};
+
+// Resolves after ms, or rejects as a cancellation if the signal aborts first
+export const waitForRetry = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new axios.CanceledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+// Config that changes what a GET returns or how it is sent; GETs share a request only
+// when all of it matches
+const dedupeKey = (url, config) =>
+  JSON.stringify([
+    url,
+    config.params || {},
+    config.baseURL || '',
+    config.headers || {},
+    config.responseType || '',
+    Boolean(config.skipAuthRecovery)
+  ]);
+
+// Wraps instance.get so identical GETs in flight share one network request.
+// Each caller keeps its own AbortSignal (or cancelToken), which only detaches that
+// caller; the shared request is only aborted once every caller waiting on it has
+// aborted. Opt out with { dedupe: false }.
+export const dedupeGets = (instance) => {
+  const inFlight = new Map();
+  const rawGet = instance.get.bind(instance);
+  // A fully aborted entry is dropped early, so a newer request may hold its key by the time it settles
+  const forget = (key, entry) => {
+    if (inFlight.get(key) === entry) {
+      inFlight.delete(key);
+    }
+  };
+
+  instance.get = (url, config = {}) => {
+    if (config.dedupe === false || config.responseType === 'blob') {
+      return rawGet(url, config);
+    }
+
+    const { signal, cancelToken, ...sharedConfig } = config;
+    const key = dedupeKey(url, sharedConfig);
+    let entry = inFlight.get(key);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, waiting: 0 };
+      entry.promise = rawGet(url, { ...sharedConfig, signal: controller.signal });
+      entry.promise.then(
+        () => forget(key, entry),
+        () => forget(key, entry)
+      );
+      inFlight.set(key, entry);
+    }
+
+    const shared = entry;
+    shared.waiting += 1;
+
+    return new Promise((resolve, reject) => {
+      let detached = false;
+
+      if (signal?.aborted || cancelToken?.reason) {
+        release();
+        reject(new axios.CanceledError());
+        return;
+      }
+
+      function release() {
+        detached = true;
+        shared.waiting -= 1;
+        if (shared.waiting === 0) {
+          forget(key, shared);
+          shared.controller.abort();
+        }
+      }
+
+      const onAbort = () => {
+        if (!detached) {
+          release();
+          reject(new axios.CanceledError());
+        }
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      cancelToken?.promise.then(onAbort);
+
+      shared.promise.then(
+        (response) => {
+          signal?.removeEventListener('abort', onAbort);
+          detached = true;
+          resolve(response);
+        },
+        (error) => {
+          signal?.removeEventListener('abort', onAbort);
+          detached = true;
+          reject(error);
+        }
+      );
+    });
+  };
+};
+
+export const isRequestCanceled = (error) => axios.isCancel(error);
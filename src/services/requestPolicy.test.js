@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import axios from 'axios';
+import { getRetryDelay, waitForRetry, dedupeGets, isRequestCanceled, RETRY_DEFAULTS } from './requestPolicy';
+
+const httpError = (status, config = {}, headers = {}) => ({
+  config: { method: 'get', ...config },
+  response: { status, headers }
+});
+
+describe('getRetryDelay', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('retries idempotent requests on transient failures', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(getRetryDelay(httpError(503))).toBe(RETRY_DEFAULTS.baseDelay / 2);
+    expect(getRetryDelay(httpError(502, { retryAttempt: 2 }))).toBe(RETRY_DEFAULTS.baseDelay * 2);
+    expect(getRetryDelay({ config: { method: 'get' } })).not.toBeNull();
+  });
+
+  it('gives up on other statuses, after the last attempt and on cancellation', () => {
+    expect(getRetryDelay(httpError(500))).toBeNull();
+    expect(getRetryDelay(httpError(404))).toBeNull();
+    expect(getRetryDelay(httpError(503, { retryAttempt: RETRY_DEFAULTS.retries }))).toBeNull();
+    expect(getRetryDelay(Object.assign(new axios.CanceledError(), { config: { method: 'get' } }))).toBeNull();
+  });
+
+  it('only retries other methods when the caller opts in', () => {
+    expect(getRetryDelay(httpError(503, { method: 'post' }))).toBeNull();
+    expect(getRetryDelay(httpError(503, { method: 'post', retry: { retries: 1 } }))).not.toBeNull();
+    expect(getRetryDelay(httpError(503, { retry: false }))).toBeNull();
+  });
+
+  it('follows Retry-After, up to a minute', () => {
+    expect(getRetryDelay(httpError(429, {}, { 'retry-after': '2' }))).toBe(2000);
+    expect(getRetryDelay(httpError(503, {}, { 'retry-after': '600' }))).toBe(60000);
+  });
+});
+
+describe('waitForRetry', () => {
+  it('rejects as a cancellation when the signal aborts', async () => {
+    const controller = new AbortController();
+    const wait = waitForRetry(10000, controller.signal);
+    controller.abort();
+    const error = await wait.catch((err) => err);
+    expect(isRequestCanceled(error)).toBe(true);
+  });
+});
+
+describe('dedupeGets', () => {
+  // A fake instance whose GETs settle when the test says so
+  const setup = () => {
+    const calls = [];
+    const instance = {
+      get: (url, config) =>
+        new Promise((resolve, reject) => {
+          const call = { url, config, resolve, reject };
+          calls.push(call);
+          config.signal?.addEventListener('abort', () => reject(new axios.CanceledError()));
+        })
+    };
+    dedupeGets(instance);
+    return { instance, calls };
+  };
+
+  it('shares one request between identical GETs', async () => {
+    const { instance, calls } = setup();
+    const first = instance.get('/binders', { params: { take: 10 } });
+    const second = instance.get('/binders', { params: { take: 10 } });
+    expect(calls).toHaveLength(1);
+    calls[0].resolve('list');
+    expect(await Promise.all([first, second])).toEqual(['list', 'list']);
+  });
+
+  it('keeps GETs apart when anything that shapes the request differs', () => {
+    const { instance, calls } = setup();
+    instance.get('/binders', { params: { take: 10 } });
+    instance.get('/binders', { params: { take: 20 } });
+    instance.get('/binders', { params: { take: 10 }, baseURL: '/__api/staging' });
+    instance.get('/binders', { params: { take: 10 }, headers: { Accept: 'text/csv' } });
+    instance.get('/binders', { params: { take: 10 }, responseType: 'text' });
+    instance.get('/binders', { params: { take: 10 }, skipAuthRecovery: true });
+    expect(calls).toHaveLength(6);
+  });
+
+  it('lets one caller abort without cancelling the others', async () => {
+    const { instance, calls } = setup();
+    const controller = new AbortController();
+    const leaving = instance.get('/binders', { signal: controller.signal });
+    const staying = instance.get('/binders', {});
+    expect(calls[0].config.signal).not.toBe(controller.signal);
+
+    controller.abort();
+    expect(isRequestCanceled(await leaving.catch((err) => err))).toBe(true);
+    expect(calls[0].config.signal.aborted).toBe(false);
+
+    calls[0].resolve('list');
+    expect(await staying).toBe('list');
+  });
+
+  it('detaches callers that cancel with a cancelToken', async () => {
+    const { instance, calls } = setup();
+    const source = axios.CancelToken.source();
+    const leaving = instance.get('/binders', { cancelToken: source.token });
+    const staying = instance.get('/binders', {});
+    expect(calls[0].config.cancelToken).toBeUndefined();
+
+    source.cancel();
+    expect(isRequestCanceled(await leaving.catch((err) => err))).toBe(true);
+    calls[0].resolve('list');
+    expect(await staying).toBe('list');
+  });
+
+  it('aborts the shared request once every caller has left', async () => {
+    const { instance, calls } = setup();
+    const controller = new AbortController();
+    instance.get('/binders', { signal: controller.signal }).catch(() => {});
+    controller.abort();
+    expect(calls[0].config.signal.aborted).toBe(true);
+
+    // The next GET starts over, and the old request settling late does not drop it
+    const next = instance.get('/binders', {});
+    await Promise.resolve();
+    const again = instance.get('/binders', {});
+    expect(calls).toHaveLength(2);
+    calls[1].resolve('fresh');
+    expect(await Promise.all([next, again])).toEqual(['fresh', 'fresh']);
+  });
+
+  it('leaves opted-out GETs alone', () => {
+    const { instance, calls } = setup();
+    const controller = new AbortController();
+    instance.get('/binders', { dedupe: false, signal: controller.signal });
+    instance.get('/binders', { dedupe: false });
+    expect(calls).toHaveLength(2);
+    expect(calls[0].config.signal).toBe(controller.signal);
+  });
+});
@@ -0,0 +1,71 @@
+import { AUTH_TOKEN_KEY } from './authToken';
+
+// Broadcasts session changes to every open tab of the app (and the legacy pages).
+// BroadcastChannel carries the events, and the legacy auth client posts on it too. Only
+// browsers without it fall back to storage events (a fallback key and the token key),
+// so each change reaches a tab once.
+
+const CHANNEL_NAME = 'stat-session';
+const FALLBACK_EVENT_KEY = 'statSessionEvent';
+
+export const SESSION_EVENTS = {
+  LOGIN: 'login',
+  LOGOUT: 'logout',
+  REFRESH: 'refresh',
+  ACTIVITY: 'activity'
+};
+
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+// Lets a tab ignore the storage echo of its own writes
+const tabId = Math.random().toString(36).slice(2);
+
+export const broadcastSessionEvent = (type, payload = {}) => {
+  const message = { type, ...payload, tabId, sentAt: Date.now() };
+  if (channel) {
+    channel.postMessage(message);
+    return;
+  }
+  try {
+    // Setting then clearing fires a storage event in every other tab
+    localStorage.setItem(FALLBACK_EVENT_KEY, JSON.stringify(message));
+    localStorage.removeItem(FALLBACK_EVENT_KEY);
+  } catch (error) {
+    // Other tabs will catch up when their next request fails
+  }
+};
+
+// listener({ type, token, user, expiresAt, ... }) for events from other tabs
+export const subscribeToSessionEvents = (listener) => {
+  const handleMessage = (message) => {
+    if (message && message.type && message.tabId !== tabId) {
+      listener(message);
+    }
+  };
+
+  const onChannelMessage = (event) => handleMessage(event.data);
+
+  const onStorage = (event) => {
+    if (event.key === FALLBACK_EVENT_KEY && event.newValue) {
+      try {
+        handleMessage(JSON.parse(event.newValue));
+      } catch (error) {
+        // Ignore malformed events
+      }
+    } else if (event.key === AUTH_TOKEN_KEY) {
+      // The token itself changed elsewhere (e.g. a legacy page signed in or out)
+      handleMessage(
+        event.newValue
+          ? { type: SESSION_EVENTS.LOGIN, token: event.newValue }
+          : { type: SESSION_EVENTS.LOGOUT }
+      );
+    }
+  };
+
+  if (channel) {
+    channel.addEventListener('message', onChannelMessage);
+    return () => channel.removeEventListener('message', onChannelMessage);
+  }
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+};
@@ -0,0 +1,30 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SESSION_EVENTS, subscribeToSessionEvents } from './sessionSync';
+import { AUTH_TOKEN_KEY } from './authToken';
+
+const nextMessage = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+describe('subscribeToSessionEvents', () => {
+  it('hears a sign-in from another tab once', async () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToSessionEvents(listener);
+    const otherTab = new BroadcastChannel('stat-session');
+
+    // The other tab writes the token and posts the event, as startSession does
+    window.dispatchEvent(new StorageEvent('storage', { key: AUTH_TOKEN_KEY, newValue: 'token-2' }));
+    otherTab.postMessage({
+      type: SESSION_EVENTS.LOGIN,
+      token: 'token-2',
+      user: { id: 'u-2' },
+      tabId: 'other'
+    });
+    await nextMessage();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ type: SESSION_EVENTS.LOGIN, token: 'token-2' })
+    );
+    otherTab.close();
+    unsubscribe();
+  });
+});
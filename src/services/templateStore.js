@@ -0,0 +1,116 @@
+// Source page templates, kept through the template endpoints when the server has them
+// and in this browser's localStorage when it does not. Whichever the first list() finds
+// is used until sign-out or a switch to another server; callers show `storage` so people
+// know local templates need exporting to be shared or kept.
+
+import { binderApi } from './binderApi';
+import { isUnsupportedEndpoint } from './apiService';
+import { getApiBaseUrl } from '../config/environments';
+
+export const TEMPLATE_STORAGE = {
+  API: 'api',
+  LOCAL: 'local'
+};
+
+const STORAGE_KEY = 'stat-page-templates';
+
+// { baseUrl, storage }: the storage in use and the server it was settled for
+let resolved = null;
+
+const currentStorage = () => (resolved?.baseUrl === getApiBaseUrl() ? resolved.storage : null);
+
+const settleStorage = (storage) => {
+  resolved = { baseUrl: getApiBaseUrl(), storage };
+};
+
+const toTemplateArray = (response) =>
+  Array.isArray(response) ? response : response?.templates || response?.Templates || [];
+
+const readLocal = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeLocal = (templates) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  } catch (error) {
+    throw new Error('This browser could not store the template (local storage is full or disabled)');
+  }
+};
+
+const localId = () => `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+
+const listFromApi = async (config) => {
+  try {
+    const templates = toTemplateArray(await binderApi.listPageTemplates(config));
+    settleStorage(TEMPLATE_STORAGE.API);
+    return templates;
+  } catch (err) {
+    if (!isUnsupportedEndpoint(err)) {
+      throw err;
+    }
+    settleStorage(TEMPLATE_STORAGE.LOCAL);
+    return null;
+  }
+};
+
+// Settles which storage is in use, asking the server once
+const resolveStorage = async (config) => {
+  if (!currentStorage()) {
+    await listFromApi(config);
+  }
+  return currentStorage();
+};
+
+export const templateStore = {
+  // The storage in use, or null before the first list()
+  storage: () => currentStorage(),
+
+  // Forgets the storage in use, so the next list() asks the server again
+  reset: () => {
+    resolved = null;
+  },
+
+  // Resolves to { templates, storage }, templates sorted by name
+  list: async (config) => {
+    const templates = currentStorage() === TEMPLATE_STORAGE.LOCAL ? null : await listFromApi(config);
+    return {
+      templates: (templates || readLocal()).slice().sort(byName),
+      storage: currentStorage()
+    };
+  },
+
+  // template: { id, name, description, tags, pageName, visitName, worksheetName, cells };
+  // no id adds a template. Resolves to the saved template.
+  save: async (template, config) => {
+    const { id, ...fields } = template;
+    if ((await resolveStorage(config)) === TEMPLATE_STORAGE.API) {
+      return binderApi.savePageTemplate({ templateId: id || undefined, ...fields }, config);
+    }
+    const templates = readLocal();
+    const existing = id && templates.find((item) => item.id === id);
+    const updatedAt = new Date().toISOString();
+    const saved = existing
+      ? { ...existing, ...fields, updatedAt }
+      : { id: localId(), ...fields, createdAt: updatedAt, updatedAt };
+    writeLocal(existing ? templates.map((item) => (item.id === id ? saved : item)) : [...templates, saved]);
+    return saved;
+  },
+
+  remove: async (templateId, config) => {
+    if ((await resolveStorage(config)) === TEMPLATE_STORAGE.API) {
+      return binderApi.deletePageTemplate(templateId, config);
+    }
+    writeLocal(readLocal().filter((item) => item.id !== templateId));
+    return { id: templateId };
+  }
+};
+
+export default templateStore;
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { binderApi } from './binderApi';
+import { templateStore, TEMPLATE_STORAGE } from './templateStore';
+
+vi.mock('./binderApi', () => ({
+  binderApi: {
+    listPageTemplates: vi.fn(),
+    savePageTemplate: vi.fn(),
+    deletePageTemplate: vi.fn()
+  }
+}));
+
+const httpError = (status, data) => ({ status, response: { status, data } });
+
+describe('templateStore', () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    localStorage.clear();
+    templateStore.reset();
+  });
+
+  it('uses the server when it has the template endpoints', async () => {
+    binderApi.listPageTemplates.mockResolvedValue({
+      templates: [{ id: 't-2', name: 'B' }, { id: 't-1', name: 'A' }]
+    });
+    const { templates, storage } = await templateStore.list();
+    expect(storage).toBe(TEMPLATE_STORAGE.API);
+    expect(templates.map((template) => template.name)).toEqual(['A', 'B']);
+  });
+
+  it('falls back to this browser when the server has no template endpoints', async () => {
+    const routeMissing = httpError(404, 'Cannot GET /api/v1/source/ListPageTemplates');
+    binderApi.listPageTemplates.mockRejectedValue(routeMissing);
+    const saved = await templateStore.save({ name: 'Vitals', cells: [] });
+    expect(templateStore.storage()).toBe(TEMPLATE_STORAGE.LOCAL);
+    expect(saved.id).toMatch(/^local-/);
+    expect((await templateStore.list()).templates).toEqual([saved]);
+    expect(binderApi.savePageTemplate).not.toHaveBeenCalled();
+  });
+
+  it('does not fall back on other errors', async () => {
+    binderApi.listPageTemplates.mockRejectedValue(httpError(404, { error: 'Template t-1 not found' }));
+    await expect(templateStore.list()).rejects.toMatchObject({ status: 404 });
+    expect(templateStore.storage()).toBeNull();
+  });
+
+  it('asks the server again after reset', async () => {
+    binderApi.listPageTemplates.mockRejectedValueOnce(httpError(501, ''));
+    await templateStore.list();
+    expect(templateStore.storage()).toBe(TEMPLATE_STORAGE.LOCAL);
+
+    templateStore.reset();
+    binderApi.listPageTemplates.mockResolvedValue([]);
+    expect((await templateStore.list()).storage).toBe(TEMPLATE_STORAGE.API);
+  });
+
+  it('asks the server again after switching environment', async () => {
+    binderApi.listPageTemplates.mockRejectedValueOnce(httpError(501, ''));
+    await templateStore.list();
+
+    localStorage.setItem('apiEnvironment', 'production');
+    expect(templateStore.storage()).toBeNull();
+    binderApi.listPageTemplates.mockResolvedValue([]);
+    expect((await templateStore.list()).storage).toBe(TEMPLATE_STORAGE.API);
+  });
+});
@@ -0,0 +1,13 @@
+import api from './apiService';
+
+const BASE_PATH = '/api/v1/users';
+
+export const userApi = {
+  // Directory search by name, email or username; resolves with a list of users
+  searchUsers: (query, config = {}) =>
+    api
+      .get(`${BASE_PATH}/SearchUsers`, { timeout: 10000, ...config, params: { query } })
+      .then((response) => response.data),
+};
+
+export default userApi;
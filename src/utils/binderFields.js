@@ -0,0 +1,105 @@
+// The source API has returned binders in a few shapes over time (PascalCase from the
+// .NET models, camelCase from the v1 endpoints, older `title`/`guid` fields). These
+// helpers read whichever is present so components can work with one shape.
+
+const firstPresent = (item, keys) => {
+  if (!item) {
+    return undefined;
+  }
+  const key = keys.find((name) => item[name] !== undefined && item[name] !== null && item[name] !== '');
+  return key ? item[key] : undefined;
+};
+
+export const getBinderId = (binder) =>
+  String(firstPresent(binder, ['Id', 'id', 'guid', 'binderId', 'BinderId']) ?? '');
+
+export const getBinderName = (binder) =>
+  firstPresent(binder, ['Name', 'name', 'title', 'displayName']) || '(unnamed)';
+
+export const getBinderStatus = (binder) => {
+  const status = firstPresent(binder, ['Status', 'status']);
+  if (status && typeof status === 'object') {
+    return status.Name || status.name || '';
+  }
+  return status || '';
+};
+
+export const isBinderArchived = (binder) =>
+  getBinderStatus(binder).toLowerCase() === 'archived' ||
+  Boolean(firstPresent(binder, ['archivedAt', 'ArchivedAt', 'isArchived', 'IsArchived']));
+
+// -> { archivedAt, archivedByName, reason }; empty values when the server does not say
+export const getArchiveInfo = (binder) => ({
+  archivedAt: firstPresent(binder, ['archivedAt', 'ArchivedAt']) || null,
+  archivedByName: firstPresent(binder, ['archivedByName', 'ArchivedByName']) || '',
+  reason: firstPresent(binder, ['archiveReason', 'ArchiveReason']) || ''
+});
+
+export const getBinderDescription = (binder) =>
+  firstPresent(binder, ['Description', 'description']) || '';
+
+export const getBinderUpdatedAt = (binder) =>
+  firstPresent(binder, ['UpdatedAt', 'updatedAt', 'ModifiedDate', 'modifiedDate']) || null;
+
+// Protocol fields, in display order; the payload keys for UpdateBinderProtocolInfo
+export const PROTOCOL_FIELDS = [
+  { name: 'protocolNumber', label: 'Protocol number', maxLength: 50 },
+  { name: 'protocolTitle', label: 'Protocol title', maxLength: 500 },
+  { name: 'protocolVersion', label: 'Protocol version', maxLength: 20 },
+  { name: 'sponsor', label: 'Sponsor', maxLength: 200 }
+];
+
+// Protocol info is nested under protocolInfo in v1 and flattened onto the binder in older responses
+export const getProtocolInfo = (binder) => {
+  const nested = firstPresent(binder, ['protocolInfo', 'ProtocolInfo']) || {};
+  return PROTOCOL_FIELDS.reduce((info, { name }) => {
+    const pascal = name.charAt(0).toUpperCase() + name.slice(1);
+    info[name] = firstPresent(nested, [name, pascal]) || firstPresent(binder, [name, pascal]) || '';
+    return info;
+  }, {});
+};
+
+// Print header and footer templates. An empty string is a deliberate blank band, so only
+// a missing template (null) means "use the default".
+export const getHeaderFooterTemplates = (binder) => {
+  const read = (keys) => {
+    const key = keys.find((name) => typeof binder?.[name] === 'string');
+    return key ? binder[key] : null;
+  };
+  return {
+    headerTemplate: read(['headerTemplate', 'HeaderTemplate']),
+    footerTemplate: read(['footerTemplate', 'FooterTemplate'])
+  };
+};
+
+export const getUserDisplayName = (user) =>
+  firstPresent(user, ['name', 'Name', 'displayName', 'fullName', 'email', 'Email', 'username']) || '';
+
+// List endpoints return either a bare array or the array wrapped in an envelope
+export const toBinderArray = (response) => {
+  if (Array.isArray(response)) {
+    return response;
+  }
+  const list = firstPresent(response, ['binders', 'Binders', 'items', 'Items', 'data']);
+  return Array.isArray(list) ? list : [];
+};
+
+export const normalizeBinder = (binder) => ({
+  id: getBinderId(binder),
+  name: getBinderName(binder),
+  description: getBinderDescription(binder),
+  status: getBinderStatus(binder) || 'Active',
+  archived: isBinderArchived(binder),
+  studyId: firstPresent(binder, ['StudyId', 'studyId']) || null,
+  studyName:
+    firstPresent(binder, ['StudyName', 'studyName']) ||
+    firstPresent(firstPresent(binder, ['study', 'Study']), ['name', 'Name']) ||
+    '',
+  protocolNumber: getProtocolInfo(binder).protocolNumber,
+  ownerId: firstPresent(binder, ['OwnerId', 'ownerId']) || null,
+  ownerName: firstPresent(binder, ['OwnerName', 'ownerName']) || '',
+  pageCount: firstPresent(binder, ['PageCount', 'pageCount']) ?? null,
+  updatedAt: getBinderUpdatedAt(binder),
+  archivedAt: getArchiveInfo(binder).archivedAt,
+  raw: binder
+});
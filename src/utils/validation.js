@@ -0,0 +1,11 @@
+// fields: [{ name, label, required, maxLength }] -> { [name]: message } for the invalid ones
+export const validateFields = (fields, values) =>
+  fields.reduce((errors, field) => {
+    const value = String(values[field.name] ?? '');
+    if (field.required && !value.trim()) {
+      errors[field.name] = `${field.label} is required`;
+    } else if (field.maxLength && value.length > field.maxLength) {
+      errors[field.name] = `${field.label} must be ${field.maxLength} characters or fewer`;
+    }
+    return errors;
+  }, {});
@@ -1,7 +1,43 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Keep in sync with src/config/environments.js
+const ENVIRONMENT_URLS = {
+  local: (env) => env.VITE_API_URL_LOCAL || 'http://localhost:3001',
+  staging: (env) => env.VITE_API_URL_STAGING,
+  production: (env) => env.VITE_API_URL_PRODUCTION || 'https://www.statresearch.com:3001',
+}
+
+// /__api/<environment>/* is forwarded to that backend, so the browser only
+// ever talks to the dev server and CORS never comes into play
+const buildProxy = (env) =>
+  Object.fromEntries(
+    Object.entries(ENVIRONMENT_URLS)
+      .map(([name, getUrl]) => [name, getUrl(env)])
+      .filter(([, target]) => target)
+      .map(([name, target]) => [
+        `/__api/${name}`,
+        {
+          target,
+          changeOrigin: true,
+          secure: false,
+          rewrite: (path) => path.replace(new RegExp(`^/__api/${name}`), ''),
+        },
+      ])
+  )
+
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), 'VITE_')
+
+  return {
+    plugins: [react()],
+    server: {
+      proxy: env.VITE_API_PROXY === 'false' ? undefined : buildProxy(env),
+    },
+    // The services touch window and localStorage when they load
+    test: {
+      environment: 'jsdom',
+    },
+  }
 })